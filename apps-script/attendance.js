@@ -0,0 +1,175 @@
+/**
+ * Expo Attendance - maps free-text RSVP answers to a canonical value
+ *
+ * The Response column holds whatever the form or staff wrote: "Yes, I'll
+ * attend", "No, I cannot attend", "نعم، سأحضر", "Maybe", or the "Accepted" /
+ * "Rejected" the response scenario writes. parse() turns it into one of
+ *   attending - yes, will attend, accepted, no problem, نعم, سأحضر, لا مانع, ...
+ *   declined  - no, cannot attend, rejected, لا, لن أحضر, أعتذر, ...
+ *   tentative - maybe, not sure, ربما, غير متأكد, ...
+ *   unknown   - empty, or nothing recognizable
+ * The payload sends it as attendanceStatus next to the raw response text,
+ * and onFormSubmit() then writes it back to the Response column (column K),
+ * so Make.com routers and filters compare one of four fixed values. Answers
+ * that stay unknown are left as typed for staff to read.
+ *
+ * How an answer is read:
+ *   1. idioms that sound negative but mean yes ("no problem", "can't wait",
+ *      "لا مانع") count as attending and are taken out of the answer
+ *   2. doubt anywhere wins: "Yes, maybe" is tentative
+ *   3. a leading yes or no decides: "Yes, no problem", "No, I cannot attend"
+ *   4. otherwise whole phrases: "I will attend, not with family" is attending
+ *      because "not" alone is no refusal, "I cannot attend" is declined
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.attendance):
+ *   writeBack - false leaves the Response column as submitted (default true)
+ *   aliases   - extra answers per value, e.g. { attending: ['Count me in'] }
+ */
+
+var ExpoAttendance = (function () {
+
+  const DEFAULTS = {
+    writeBack: true,
+    aliases: {}
+  };
+
+  const STATUS = {
+    ATTENDING: 'attending',
+    DECLINED: 'declined',
+    TENTATIVE: 'tentative',
+    UNKNOWN: 'unknown'
+  };
+
+  // Phrases per value, compared after simplify() as whole words. Checked in
+  // this order: tentative first ("yes, maybe"), then declined, then attending.
+  // Declined holds refusals only - a bare "not" or "no" inside a sentence is
+  // not one ("I will attend, not with family").
+  const ALIASES = {
+    tentative: [
+      'tentative', 'maybe', 'perhaps', 'possibly', 'might', 'not sure', 'unsure', 'undecided', 'tbc',
+      'ربما', 'يمكن', 'ممكن', 'محتمل', 'غير متاكد', 'لست متاكد', 'لست متاكدا', 'مو متاكد', 'مش متاكد', 'لم اقرر'
+    ],
+    declined: [
+      'declined', 'decline', 'cannot', 'cant', 'can not', 'wont', 'will not', 'unable', 'regret', 'regrets',
+      'rejected', 'reject', 'not attending', 'not coming', 'not going', 'not able',
+      'لن', 'اعتذر', 'معتذر', 'اسف', 'رفض', 'مرفوض', 'لا استطيع', 'لا اقدر', 'لا يمكنني', 'لم اتمكن'
+    ],
+    attending: [
+      'attending', 'attend', 'yes', 'yeah', 'yep', 'sure', 'accept', 'accepted', 'confirm', 'confirmed', 'going', 'coming', 'will be there',
+      'نعم', 'ايوه', 'احضر', 'ساحضر', 'سوف احضر', 'موافق', 'اكيد', 'حاضر', 'مقبول', 'قبول', 'بالتاكيد'
+    ]
+  };
+
+  // Negative-sounding phrases that mean yes
+  const POSITIVE_IDIOMS = [
+    'no problem', 'no worries', 'no doubt', 'cant wait', 'can not wait', 'cannot wait', 'wont miss', 'will not miss',
+    'wouldnt miss', 'would not miss', 'not miss',
+    'لا مانع', 'لا باس', 'بدون شك', 'لا شك'
+  ];
+
+  // A leading yes or no decides the answer
+  const LEADING = {
+    attending: ['yes', 'yeah', 'yep', 'sure', 'ok', 'okay', 'نعم', 'ايوه', 'اكيد', 'بالتاكيد', 'موافق'],
+    declined: ['no', 'nope', 'لا', 'كلا']
+  };
+
+  const ORDER = [STATUS.TENTATIVE, STATUS.DECLINED, STATUS.ATTENDING];
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  /**
+   * Returns the attendance settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.attendance) || {});
+  }
+
+  /**
+   * Simplifies an answer for alias matching: lowercase, no apostrophes or
+   * Arabic diacritics, one spelling of alef / yeh / teh marbuta
+   */
+  function simplify(text) {
+    return (text || '').toString()
+      .toLowerCase()
+      .replace(/['’`]/g, '')
+      .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+      .replace(/[أإآ]/g, 'ا')
+      .replace(/ى/g, 'ي')
+      .replace(/ة/g, 'ه')
+      .split(/[^a-z0-9\u0621-\u064A\u0660-\u0669\u066E-\u06D3]+/)
+      .filter(word => word !== '')
+      .join(' ');
+  }
+
+  /**
+   * Whether a simplified answer contains a simplified phrase as whole words
+   */
+  function contains(answer, phrase) {
+    return (' ' + answer + ' ').indexOf(' ' + phrase + ' ') !== -1;
+  }
+
+  /**
+   * Maps a Response cell to attending / declined / tentative / unknown
+   */
+  function parse(value, config) {
+    let answer = simplify(value);
+    if (answer === '') {
+      return STATUS.UNKNOWN;
+    }
+
+    const positive = POSITIVE_IDIOMS.some(idiom => contains(answer, idiom));
+    POSITIVE_IDIOMS.forEach(idiom => {
+      answer = (' ' + answer + ' ').split(' ' + idiom + ' ').join(' ').trim();
+    });
+
+    const extra = getSettings(config).aliases;
+    const matches = status => ALIASES[status].concat(extra[status] || [])
+      .map(simplify)
+      .some(phrase => phrase !== '' && contains(answer, phrase));
+
+    if (matches(STATUS.TENTATIVE)) {
+      return STATUS.TENTATIVE;
+    }
+    const first = answer.split(' ')[0];
+    const leading = [STATUS.ATTENDING, STATUS.DECLINED].find(status => LEADING[status].indexOf(first) !== -1);
+    if (leading) {
+      return leading;
+    }
+    const found = ORDER.find(matches);
+    return found || (positive ? STATUS.ATTENDING : STATUS.UNKNOWN);
+  }
+
+  /**
+   * Replaces a lead's Response cell with the canonical value
+   * Unknown answers keep the text as typed. Returns true if the cell changed
+   */
+  function writeBack(sheet, rowNumber, headerRow, data, config) {
+    const column = core().findColumns(headerRow, config).RESPONSE;
+    const status = data.attendanceStatus;
+    if (!getSettings(config).writeBack || !column || !rowNumber || !data.response ||
+        status === STATUS.UNKNOWN || data.response === status) {
+      return false;
+    }
+
+    sheet.getRange(rowNumber, column).setValue(status);
+    Logger.log('✓ Row ' + rowNumber + ' Response "' + data.response + '" → ' + status);
+    return true;
+  }
+
+  return {
+    STATUS: STATUS,
+    ALIASES: ALIASES,
+    POSITIVE_IDIOMS: POSITIVE_IDIOMS,
+    getSettings: getSettings,
+    simplify: simplify,
+    parse: parse,
+    writeBack: writeBack
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoAttendance;
+}
@@ -0,0 +1,434 @@
+/**
+ * Expo Check-in - event-day check-in web app
+ *
+ * Deployed as a web app (Deploy → New deployment → Web app), doGet() serves
+ * checkin-page.html: a mobile page where staff at the Grand Hyatt entrance
+ * scan a ticket QR code (tickets.js) or type a Ticket ID or email address.
+ * checkIn() then
+ *   1. verifies a scanned token - an altered or made-up QR code is refused
+ *   2. finds the lead in the leads sheet by Ticket ID or email - a code no
+ *      lead holds is refused
+ *   3. records the check-in (time, expo day, lead, party size, staff
+ *      member, whether the lead showed a QR code or staff typed a Ticket ID
+ *      or email) in a "checkins" tab, one row per arrival
+ *   4. refuses a second check-in of the same lead on the same day and
+ *      shows who checked them in and when
+ * Leads that did not answer attending, or chose the other day, are checked
+ * in with a warning. The page shows a live count of arrivals per day next
+ * to the expected guests (sessions.js). Where the sandboxed web app iframe
+ * gets no camera, the page switches to a handheld scanner or typed entry.
+ *
+ * doPost() offers the same check-in as JSON for handheld scanners:
+ *   POST code=<token, Ticket ID or email>&staff=<name>&key=<access key>
+ *   → { status: 'checked_in' | 'duplicate' | 'not_found' | 'invalid', ... }
+ *
+ * ACCESS: the web app runs as the script owner, so every request needs the
+ * access key: run generateCheckinKey() once and open the page as
+ * <web app URL>?key=<key>. Until a key exists every request is refused.
+ * Typing a Ticket ID or email is a staff-only fallback for a guest whose
+ * QR code will not scan: it skips the signature check, so only holders of
+ * the key reach checkIn() at all, and the "Found By" column tells typed
+ * check-ins from scanned ones.
+ * The staff member is the name typed on the page, else the signed-in
+ * Google account.
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.checkin):
+ *   sheetName - check-in log tab name (default 'checkins')
+ */
+
+var ExpoCheckin = (function () {
+
+  const DEFAULTS = {
+    sheetName: 'checkins'
+  };
+
+  const KEY_PROPERTY = 'CHECKIN_KEY';
+
+  const HEADERS = ['Checked In At', 'Day', 'Ticket ID', 'Email', 'Name', 'Party Size', 'Lead Row', 'Staff', 'Found By'];
+
+  const STATUS = {
+    CHECKED_IN: 'checked_in',
+    DUPLICATE: 'duplicate',
+    NOT_FOUND: 'not_found',
+    INVALID: 'invalid'
+  };
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  function attendance() {
+    return typeof ExpoAttendance !== 'undefined' ? ExpoAttendance : require('./attendance');
+  }
+
+  function sessions() {
+    return typeof ExpoSessions !== 'undefined' ? ExpoSessions : require('./sessions');
+  }
+
+  function tickets() {
+    return typeof ExpoTickets !== 'undefined' ? ExpoTickets : require('./tickets');
+  }
+
+  function signing() {
+    return typeof ExpoSigning !== 'undefined' ? ExpoSigning : require('./signing');
+  }
+
+  /**
+   * Returns the check-in settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.checkin) || {});
+  }
+
+  function text(value) {
+    return value === undefined || value === null ? '' : value.toString().trim();
+  }
+
+  function formatDate(date, pattern) {
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), pattern);
+  }
+
+  function dayLabel(date) {
+    const day = sessions().DAYS.find(item => item.date === date);
+    return day ? day.label : date;
+  }
+
+  // ==========================================================================
+  // ACCESS
+  // ==========================================================================
+
+  /**
+   * Whether a request may use the web app: only with the access key, and
+   * never before generateCheckinKey() has set one
+   */
+  function isAuthorized(key) {
+    const expected = PropertiesService.getScriptProperties().getProperty(KEY_PROPERTY);
+    return Boolean(expected) && signing().safeEqual(expected, text(key));
+  }
+
+  /**
+   * Creates a random access key and stores it in Script Properties
+   */
+  function generateKey() {
+    const key = Utilities.getUuid().replace(/-/g, '');
+    PropertiesService.getScriptProperties().setProperty(KEY_PROPERTY, key);
+    return key;
+  }
+
+  /**
+   * The staff member recorded with a check-in: the typed name, else the
+   * signed-in account (empty when the web app cannot see it)
+   */
+  function getStaff(staff) {
+    return text(staff) || text(Session.getActiveUser().getEmail()) || 'unknown';
+  }
+
+  // ==========================================================================
+  // LOOKUP
+  // ==========================================================================
+
+  /**
+   * Reads what staff scanned or typed (see ACCESS above)
+   * Returns { ticketId, scanned } / { ticketId } / { email }, or { error }
+   * when nothing was entered or a QR code does not verify
+   */
+  function parseCode(code) {
+    const value = text(code);
+    if (!value) {
+      return { error: 'Scan a ticket or enter a Ticket ID or email' };
+    }
+    if (value.indexOf('@') !== -1) {
+      return { email: value.toLowerCase() };
+    }
+    if (value.indexOf('.') !== -1) {
+      const token = tickets().verifyToken(value);
+      return token.valid ? { ticketId: token.ticketId, scanned: true } : { error: 'This QR code is not a valid expo ticket (' + token.reason + ')' };
+    }
+    return { ticketId: value.toUpperCase() };
+  }
+
+  /**
+   * Finds a lead by Ticket ID or email (the first matching row)
+   * Returns { rowNumber, data } with the lead's getFormData(), or null
+   */
+  function findLead(sheet, query, config) {
+    const headerRow = core().getHeaderRow(sheet);
+    const columns = core().resolveColumnMapping(headerRow, config);
+    const lastRow = sheet.getLastRow();
+    const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, headerRow.length).getValues() : [];
+    const column = query.ticketId ? columns.TICKET_ID : columns.EMAIL;
+    const wanted = query.ticketId || query.email;
+    if (!column) {
+      return null;
+    }
+
+    const index = rows.findIndex(row => {
+      const value = text(core().getCell(row, column));
+      return query.ticketId ? value.toUpperCase() === wanted : value.toLowerCase() === wanted;
+    });
+    return index === -1 ? null : { rowNumber: index + 2, data: core().getFormData(rows[index], headerRow, config) };
+  }
+
+  // ==========================================================================
+  // CHECK-IN LOG
+  // ==========================================================================
+
+  /**
+   * Returns the check-in log sheet, creating it on first use
+   */
+  function getLogSheet(spreadsheet, config) {
+    const settings = getSettings(config);
+    let sheet = spreadsheet.getSheetByName(settings.sheetName);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(settings.sheetName);
+      sheet.getRange(1, 1, 1, HEADERS.length).setValues([HEADERS]);
+    }
+
+    return sheet;
+  }
+
+  /**
+   * The logged check-ins: [{ at, day, ticketId, email, name, partySize, rowNumber, staff, foundBy }]
+   */
+  function readLog(sheet) {
+    const lastRow = sheet.getLastRow();
+    const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, HEADERS.length).getValues() : [];
+    return rows.map(row => ({
+      at: row[0],
+      day: text(row[1]),
+      ticketId: text(row[2]),
+      email: text(row[3]).toLowerCase(),
+      name: text(row[4]),
+      partySize: Number(row[5]) || 1,
+      rowNumber: row[6],
+      staff: text(row[7]),
+      foundBy: text(row[8])
+    }));
+  }
+
+  /**
+   * Arrivals per day: the expo days (and today, when it is not one of them)
+   * with the check-ins, the guests they brought and the expected guests
+   * Returns { today, days: [{ date, label, arrivals, guests, expected }] }
+   */
+  function getCounts(spreadsheet, config, now) {
+    const today = formatDate(now || new Date(), 'yyyy-MM-dd');
+    const log = readLog(getLogSheet(spreadsheet, config));
+    const dates = sessions().DAYS.map(day => day.date);
+    if (dates.indexOf(today) === -1) {
+      dates.push(today);
+    }
+
+    const sheet = core().getSheet(spreadsheet, config);
+    const expected = {};
+    if (sheet && sheet.getLastRow() > 1) {
+      const headerRow = core().getHeaderRow(sheet);
+      const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, headerRow.length).getValues();
+      sessions().tally(headerRow, rows, config).days.forEach(day => {
+        expected[day.date] = day.attending.guests;
+      });
+    }
+
+    return {
+      today: today,
+      days: dates.map(date => {
+        const arrivals = log.filter(entry => entry.day === date);
+        return {
+          date: date,
+          label: dayLabel(date),
+          arrivals: arrivals.length,
+          guests: arrivals.reduce((sum, entry) => sum + entry.partySize, 0),
+          expected: expected[date] || 0
+        };
+      })
+    };
+  }
+
+  // ==========================================================================
+  // CHECK-IN
+  // ==========================================================================
+
+  function describeLead(lead) {
+    return {
+      rowNumber: lead.rowNumber,
+      name: lead.data.name,
+      email: lead.data.email,
+      ticketId: lead.data.ticketId,
+      partySize: lead.data.partySize,
+      preferredDay: lead.data.preferredDay,
+      attendanceStatus: lead.data.attendanceStatus
+    };
+  }
+
+  /**
+   * Warnings shown with a check-in: the lead did not answer attending, or
+   * chose the other expo day, or already came on another day
+   */
+  function getWarnings(lead, today, earlier) {
+    const warnings = [];
+    if (lead.data.attendanceStatus !== attendance().STATUS.ATTENDING) {
+      warnings.push('Response is "' + lead.data.attendanceStatus + '"' + (lead.data.response ? ' (' + lead.data.response + ')' : ''));
+    }
+    const chosen = lead.data.preferredDay;
+    if (chosen && chosen !== sessions().BOTH_DAYS && chosen !== today) {
+      warnings.push('Registered for ' + dayLabel(chosen));
+    }
+    earlier.forEach(entry => {
+      warnings.push('Also checked in on ' + dayLabel(entry.day));
+    });
+    return warnings;
+  }
+
+  /**
+   * Checks a guest in
+   * code is a scanned ticket token, a Ticket ID or an email address
+   * Returns { status, message, lead, warnings, previous, counts }
+   */
+  function checkIn(spreadsheet, code, staff, config, now) {
+    const at = now || new Date();
+    const today = formatDate(at, 'yyyy-MM-dd');
+    const query = parseCode(code);
+    if (query.error) {
+      return { status: STATUS.INVALID, message: query.error, warnings: [], counts: getCounts(spreadsheet, config, at) };
+    }
+
+    const sheet = core().getSheet(spreadsheet, config);
+    if (!sheet) {
+      throw new Error('Leads sheet "' + core().resolveConfig(config).sheetName + '" not found');
+    }
+
+    // Two phones scanning the same ticket must not both check it in
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30 * 1000);
+    try {
+      const lead = findLead(sheet, query, config);
+      if (!lead) {
+        return {
+          status: STATUS.NOT_FOUND,
+          message: 'No lead with ' + (query.ticketId ? 'Ticket ID ' + query.ticketId : 'email ' + query.email),
+          warnings: [],
+          counts: getCounts(spreadsheet, config, at)
+        };
+      }
+
+      const logSheet = getLogSheet(spreadsheet, config);
+      const earlier = readLog(logSheet).filter(entry =>
+        (lead.data.ticketId && entry.ticketId === lead.data.ticketId) || entry.email === lead.data.email);
+      const previous = earlier.find(entry => entry.day === today);
+      if (previous) {
+        const time = previous.at instanceof Date ? formatDate(previous.at, 'HH:mm') : text(previous.at);
+        Logger.log('⚠ ' + lead.data.email + ' is already checked in (' + time + ', ' + previous.staff + ')');
+        return {
+          status: STATUS.DUPLICATE,
+          message: 'Already checked in at ' + time + ' by ' + previous.staff,
+          lead: describeLead(lead),
+          warnings: [],
+          previous: { at: time, staff: previous.staff },
+          counts: getCounts(spreadsheet, config, at)
+        };
+      }
+
+      const staffMember = getStaff(staff);
+      const foundBy = query.scanned ? 'QR Code' : query.ticketId ? 'Ticket ID' : 'Email';
+      logSheet.appendRow([at, today, lead.data.ticketId, lead.data.email, lead.data.name, lead.data.partySize, lead.rowNumber, staffMember, foundBy]);
+      Logger.log('✓ Checked in ' + lead.data.email + ' (row ' + lead.rowNumber + ', party of ' + lead.data.partySize + ', by ' + foundBy.toLowerCase() + ') by ' + staffMember);
+
+      return {
+        status: STATUS.CHECKED_IN,
+        message: 'Welcome, ' + (lead.data.name || lead.data.email) + (lead.data.partySize > 1 ? ' - party of ' + lead.data.partySize : ''),
+        lead: describeLead(lead),
+        warnings: getWarnings(lead, today, earlier),
+        counts: getCounts(spreadsheet, config, at)
+      };
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  // ==========================================================================
+  // WEB APP
+  // ==========================================================================
+
+  /**
+   * doGet() - serves the check-in page
+   */
+  function serve(e) {
+    if (!PropertiesService.getScriptProperties().getProperty(KEY_PROPERTY)) {
+      return HtmlService.createHtmlOutput('<p>Check-in is not set up yet - run generateCheckinKey() in the Apps Script editor.</p>')
+        .setTitle('Expo check-in');
+    }
+    if (!isAuthorized(e && e.parameter && e.parameter.key)) {
+      return HtmlService.createHtmlOutput('<p>Access key missing or wrong - open the link you were given.</p>')
+        .setTitle('Expo check-in');
+    }
+    return HtmlService.createHtmlOutputFromFile('checkin-page')
+      .setTitle('Expo check-in')
+      .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+  }
+
+  /**
+   * Called by checkin-page.html to load the deployment name and counts
+   */
+  function getPageModel(key, config) {
+    if (!isAuthorized(key)) {
+      throw new Error('Access key missing or wrong');
+    }
+    return {
+      deployment: core().resolveConfig(config).name,
+      venue: sessions().VENUE,
+      counts: getCounts(SpreadsheetApp.getActiveSpreadsheet(), config)
+    };
+  }
+
+  /**
+   * Called by checkin-page.html with { code, staff, key }
+   */
+  function checkInFromPage(form, config) {
+    if (!isAuthorized(form && form.key)) {
+      throw new Error('Access key missing or wrong');
+    }
+    return checkIn(SpreadsheetApp.getActiveSpreadsheet(), form.code, form.staff, config);
+  }
+
+  /**
+   * doPost() - the check-in as JSON, from form fields or a JSON body
+   */
+  function handlePost(e, config) {
+    let result;
+    try {
+      const body = e && e.postData && e.postData.type === 'application/json' ? JSON.parse(e.postData.contents) : {};
+      const request = Object.assign({}, (e && e.parameter) || {}, body);
+      result = isAuthorized(request.key)
+        ? checkIn(SpreadsheetApp.getActiveSpreadsheet(), request.code, request.staff, config)
+        : { status: 'unauthorized', message: 'Access key missing or wrong' };
+    } catch (error) {
+      Logger.log('✗ Error in check-in: ' + error.toString());
+      result = { status: 'error', message: error.toString() };
+    }
+    return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(ContentService.MimeType.JSON);
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    KEY_PROPERTY: KEY_PROPERTY,
+    HEADERS: HEADERS,
+    STATUS: STATUS,
+    getSettings: getSettings,
+    isAuthorized: isAuthorized,
+    generateKey: generateKey,
+    parseCode: parseCode,
+    findLead: findLead,
+    getCounts: getCounts,
+    checkIn: checkIn,
+    serve: serve,
+    getPageModel: getPageModel,
+    checkInFromPage: checkInFromPage,
+    handlePost: handlePost
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoCheckin;
+}
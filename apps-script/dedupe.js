@@ -0,0 +1,217 @@
+/**
+ * Expo Dedupe - merges repeated form submissions into the existing lead
+ *
+ * People often submit the form twice, with another spelling of their name
+ * or another phone number. onFormSubmit() asks mergeSubmission() whether the
+ * submitted row belongs to a lead that is already in the sheet:
+ *   1. the same email (trimmed, lowercased), or
+ *   2. no email match, but the same phone number once normalized to E.164
+ * The oldest matching row is the lead. The submission's non-empty values
+ * are copied into it - except the columns the campaign owns (Timestamp,
+ * Date Added, Status, Email 1/2/3 Date, Notes, Ticket ID) - and the submitted row is
+ * moved to a hidden "lead_duplicates" sheet. The merged row is then sent as
+ * lead_updated instead of new_lead, so no second invitation goes out.
+ *
+ * Submissions read from e.namedValues (the form writes to another tab) add
+ * no row to the leads sheet and are not merged.
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.dedupe):
+ *   enabled    - false sends every submission as before (default true)
+ *   matchPhone - also match on the phone number (default true)
+ *   duplicates - 'archive' (move to the archive tab) or 'delete' (default 'archive')
+ *   sheetName  - archive tab name (default 'lead_duplicates')
+ */
+
+var ExpoDedupe = (function () {
+
+  const DEFAULTS = {
+    enabled: true,
+    matchPhone: true,
+    duplicates: 'archive',
+    sheetName: 'lead_duplicates'
+  };
+
+  // Archive columns before the copied lead row
+  const HEADERS = ['Archived', 'Row', 'Merged Into Row', 'Matched On'];
+
+  // Columns written by the campaign, never overwritten by a submission
+  const KEPT_FIELDS = ['TIMESTAMP', 'DATE_ADDED', 'STATUS', 'EMAIL_1_DATE', 'EMAIL_2_DATE', 'EMAIL_3_DATE', 'NOTES', 'TICKET_ID'];
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  function phone() {
+    return typeof ExpoPhone !== 'undefined' ? ExpoPhone : require('./phone');
+  }
+
+  /**
+   * Returns the dedupe settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.dedupe) || {});
+  }
+
+  function text(value) {
+    return value === undefined || value === null ? '' : value.toString().trim();
+  }
+
+  // ==========================================================================
+  // MATCHING
+  // ==========================================================================
+
+  /**
+   * The keys a row is matched on: { email, phone } ('' when missing)
+   * phone is the E.164 number, and only for valid numbers
+   */
+  function matchKeys(rowData, columns, config) {
+    const number = phone().normalize(text(core().getCell(rowData, columns.PHONE)), config);
+    return {
+      email: text(core().getCell(rowData, columns.EMAIL)).toLowerCase(),
+      phone: number.valid ? number.e164 : ''
+    };
+  }
+
+  /**
+   * Finds the existing lead a submitted row belongs to
+   * rows are the sheet's data rows (row 2 onwards)
+   * Returns { rowNumber, matchedOn } of the oldest match, or null
+   */
+  function findMatch(rows, rowData, rowNumber, columns, config) {
+    const settings = getSettings(config);
+    const keys = matchKeys(rowData, columns, config);
+    const others = rows
+      .map((values, i) => ({ rowNumber: i + 2, keys: matchKeys(values, columns, config) }))
+      .filter(row => row.rowNumber !== rowNumber);
+
+    const byEmail = keys.email ? others.find(row => row.keys.email === keys.email) : null;
+    if (byEmail) {
+      return { rowNumber: byEmail.rowNumber, matchedOn: 'email' };
+    }
+
+    const byPhone = settings.matchPhone && keys.phone ? others.find(row => row.keys.phone === keys.phone) : null;
+    return byPhone ? { rowNumber: byPhone.rowNumber, matchedOn: 'phone' } : null;
+  }
+
+  /**
+   * Copies the submission's non-empty values over the lead's row
+   * Returns { values, mergedFields } - mergedFields are the headers that changed
+   */
+  function mergeValues(headerRow, existing, submitted, config) {
+    const columns = core().findColumns(headerRow, config);
+    const kept = KEPT_FIELDS.map(field => columns[field]).filter(column => column);
+    const values = existing.slice();
+    const mergedFields = [];
+    // "Ahmed@Example.com " and "ahmed@example.com" are the same address
+    const same = (a, b, i) => (i + 1 === columns.EMAIL ? text(a).toLowerCase() === text(b).toLowerCase() : text(a) === text(b));
+
+    headerRow.forEach((header, i) => {
+      const value = submitted[i];
+      if (kept.indexOf(i + 1) !== -1 || text(value) === '' || same(value, existing[i], i)) {
+        return;
+      }
+      values[i] = value;
+      mergedFields.push(header);
+    });
+
+    return { values: values, mergedFields: mergedFields };
+  }
+
+  // ==========================================================================
+  // ARCHIVE
+  // ==========================================================================
+
+  /**
+   * Returns the archive sheet, creating it (hidden) on first use
+   */
+  function getArchiveSheet(spreadsheet, headerRow, config) {
+    const settings = getSettings(config);
+    let sheet = spreadsheet.getSheetByName(settings.sheetName);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(settings.sheetName);
+      const headers = HEADERS.concat(headerRow);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      sheet.hideSheet();
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Removes the duplicate row, keeping a copy in the archive sheet unless
+   * config.dedupe.duplicates is 'delete'
+   */
+  function removeDuplicate(spreadsheet, sheet, headerRow, duplicate, match, config) {
+    if (getSettings(config).duplicates !== 'delete') {
+      getArchiveSheet(spreadsheet, headerRow, config)
+        .appendRow([new Date(), duplicate.rowNumber, match.rowNumber, match.matchedOn].concat(duplicate.rowData));
+    }
+    sheet.deleteRow(duplicate.rowNumber);
+  }
+
+  // ==========================================================================
+  // FORM SUBMISSIONS
+  // ==========================================================================
+
+  /**
+   * Merges a submitted row into the existing lead, if there is one
+   * submitted is the getSubmittedRow() result of onFormSubmit()
+   * Returns null when the submission is a new lead, otherwise
+   * { rowNumber, rowData, duplicateRow, matchedOn, mergedFields } where
+   * rowNumber is the lead's row after the duplicate was removed
+   */
+  function mergeSubmission(spreadsheet, sheet, submitted, config) {
+    if (!getSettings(config).enabled || submitted.source === 'namedValues' || !submitted.rowNumber) {
+      return null;
+    }
+
+    // Rows move when the duplicate is deleted - one submission at a time
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30 * 1000);
+    try {
+      const headerRow = submitted.headerRow;
+      const columns = core().findColumns(headerRow, config);
+      const lastRow = sheet.getLastRow();
+      const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, headerRow.length).getValues() : [];
+      const match = findMatch(rows, submitted.rowData, submitted.rowNumber, columns, config);
+      if (!match) {
+        return null;
+      }
+
+      const merged = mergeValues(headerRow, rows[match.rowNumber - 2], submitted.rowData, config);
+      sheet.getRange(match.rowNumber, 1, 1, headerRow.length).setValues([merged.values]);
+      removeDuplicate(spreadsheet, sheet, headerRow, submitted, match, config);
+
+      const rowNumber = submitted.rowNumber < match.rowNumber ? match.rowNumber - 1 : match.rowNumber;
+      Logger.log('↷ Row ' + submitted.rowNumber + ' is a repeat of row ' + match.rowNumber + ' (same ' + match.matchedOn + ') - ' +
+        (merged.mergedFields.length > 0 ? 'merged ' + merged.mergedFields.join(', ') : 'nothing new') + '; duplicate ' +
+        (getSettings(config).duplicates === 'delete' ? 'deleted' : 'archived'));
+
+      return {
+        rowNumber: rowNumber,
+        rowData: merged.values,
+        duplicateRow: submitted.rowNumber,
+        matchedOn: match.matchedOn,
+        mergedFields: merged.mergedFields
+      };
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    KEPT_FIELDS: KEPT_FIELDS,
+    getSettings: getSettings,
+    findMatch: findMatch,
+    mergeValues: mergeValues,
+    getArchiveSheet: getArchiveSheet,
+    mergeSubmission: mergeSubmission
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoDedupe;
+}
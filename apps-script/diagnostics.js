@@ -0,0 +1,254 @@
+/**
+ * Expo Diagnostics - data quality report of the leads sheet
+ *
+ * diagnoseSheetStructure() (triggers.js, Expo Setup menu) runs these checks
+ * on every lead row and writes the result to a "diagnostics" tab, replacing
+ * the previous report:
+ *   Missing email        - no Email
+ *   Invalid email        - fails validation (email.js), e.g. a disposable domain
+ *   Possible email typo  - valid, but looks like a typo (gmial.com)
+ *   Duplicate email      - the same email on more than one row
+ *   Unknown language     - a Language value that is not English or Arabic
+ *   Unknown status       - a Status the email sequence does not know
+ *   Inconsistent status  - spelled differently ("email 1 sent"), or not
+ *                          matching the Email 1/2/3 Date columns
+ *   Stuck in stage       - Email 1/2 sent more than stuckAfterDays ago, the
+ *                          next email not sent and no response yet
+ *   Date stored as text  - a date column holding text instead of a date,
+ *                          which Make.com date filters cannot compare
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.diagnostics):
+ *   sheetName      - report tab name (default 'diagnostics')
+ *   stuckAfterDays - days in a stage before a lead counts as stuck (default 7)
+ *   statuses       - extra Status values to accept (e.g. ['VIP'])
+ */
+
+var ExpoDiagnostics = (function () {
+
+  const DEFAULTS = {
+    sheetName: 'diagnostics',
+    stuckAfterDays: 7,
+    statuses: []
+  };
+
+  const CHECKS = {
+    MISSING_EMAIL: 'Missing email',
+    INVALID_EMAIL: 'Invalid email',
+    EMAIL_TYPO: 'Possible email typo',
+    DUPLICATE_EMAIL: 'Duplicate email',
+    UNKNOWN_LANGUAGE: 'Unknown language',
+    UNKNOWN_STATUS: 'Unknown status',
+    INCONSISTENT_STATUS: 'Inconsistent status',
+    STUCK: 'Stuck in stage',
+    TEXT_DATE: 'Date stored as text'
+  };
+
+  // Statuses written by the scenarios, the sequencer and staff
+  const KNOWN_STATUSES = ['New', 'Email 1 Sent', 'Email 2 Sent', 'Email 3 Sent', 'Campaign Complete', 'Unsubscribed'];
+
+  const DATE_FIELDS = ['TIMESTAMP', 'DATE_ADDED', 'EMAIL_1_DATE', 'EMAIL_2_DATE', 'EMAIL_3_DATE', 'RESPONSE_DATE'];
+
+  const ISSUE_HEADERS = ['Check', 'Row', 'Email', 'Value', 'Details'];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  function emailCheck() {
+    return typeof ExpoEmail !== 'undefined' ? ExpoEmail : require('./email');
+  }
+
+  function language() {
+    return typeof ExpoLanguage !== 'undefined' ? ExpoLanguage : require('./language');
+  }
+
+  function sequencer() {
+    return typeof ExpoSequencer !== 'undefined' ? ExpoSequencer : require('./sequencer');
+  }
+
+  /**
+   * Returns the diagnostics settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.diagnostics) || {});
+  }
+
+  function text(value) {
+    return value instanceof Date ? value.toISOString() : (value === undefined || value === null ? '' : value.toString().trim());
+  }
+
+  // ==========================================================================
+  // CHECKS
+  // ==========================================================================
+
+  /**
+   * Checks the lead rows
+   * rows are the data rows (row 2 onwards), now the reference time
+   * Returns { rows, issues: [{ check, row, email, value, details }], counts }
+   */
+  function analyze(headerRow, rows, config, now) {
+    const settings = getSettings(config);
+    const columns = core().findColumns(headerRow, config);
+    const statuses = KNOWN_STATUSES.concat(settings.statuses);
+    const steps = sequencer().STEPS;
+    const today = now || new Date();
+    const issues = [];
+    const byEmail = {};
+    let leads = 0;
+
+    rows.forEach((rowData, i) => {
+      if (!rowData.some(value => text(value) !== '')) {
+        return;
+      }
+      leads++;
+      const rowNumber = i + 2;
+      const cell = field => core().getCell(rowData, columns[field]);
+      const email = text(cell('EMAIL'));
+      const add = (check, value, details) => issues.push({ check: check, row: rowNumber, email: email, value: value, details: details });
+
+      // Email
+      if (email === '') {
+        add(CHECKS.MISSING_EMAIL, '', 'No email - this lead cannot be contacted');
+      } else {
+        const result = emailCheck().validate(email, config);
+        if (!result.valid) {
+          add(CHECKS.INVALID_EMAIL, email, emailCheck().describe(email, result));
+        } else if (result.suggestion) {
+          add(CHECKS.EMAIL_TYPO, email, emailCheck().describe(email, result));
+        }
+        const key = email.toLowerCase();
+        byEmail[key] = (byEmail[key] || []).concat(rowNumber);
+      }
+
+      // Language
+      const languageValue = text(cell('LANGUAGE'));
+      if (columns.LANGUAGE && languageValue !== '' && !language().parse(languageValue)) {
+        add(CHECKS.UNKNOWN_LANGUAGE, languageValue, 'Not English or Arabic - the language is guessed from the name');
+      }
+
+      // Status
+      const status = text(cell('STATUS'));
+      if (columns.STATUS && status !== '') {
+        const known = statuses.find(value => value.toLowerCase() === status.replace(/\s+/g, ' ').toLowerCase());
+        if (!known) {
+          add(CHECKS.UNKNOWN_STATUS, status, 'Expected one of: ' + statuses.join(', '));
+        } else if (known !== status) {
+          add(CHECKS.INCONSISTENT_STATUS, status, 'Write "' + known + '" - the scenario filters compare the exact text');
+        }
+      }
+
+      const reached = steps.filter(step => step.status.toLowerCase() === status.toLowerCase()).map(step => step.step)[0] || 0;
+      steps.forEach(step => {
+        if (!columns[step.dateField]) {
+          return;
+        }
+        const sent = sequencer().parseDate(cell(step.dateField));
+        if (step.step <= reached && !sent) {
+          add(CHECKS.INCONSISTENT_STATUS, status, 'Status is "' + status + '" but ' + headerRow[columns[step.dateField] - 1] + ' is empty');
+        } else if (sent && reached > 0 && step.step > reached) {
+          add(CHECKS.INCONSISTENT_STATUS, status, headerRow[columns[step.dateField] - 1] + ' is set but Status is "' + status + '"');
+        }
+      });
+
+      // Stuck leads
+      const next = steps.filter(step => step.afterStatus && step.afterStatus.toLowerCase() === status.toLowerCase())[0];
+      if (next && columns[next.afterDateField] && !text(cell('RESPONSE'))) {
+        const since = sequencer().parseDate(cell(next.afterDateField));
+        const days = since ? Math.floor((today.getTime() - since.getTime()) / DAY_MS) : 0;
+        if (days > settings.stuckAfterDays && !sequencer().parseDate(cell(next.dateField))) {
+          add(CHECKS.STUCK, status, status + ' ' + days + ' days ago, Email ' + next.step + ' not sent and no response');
+        }
+      }
+
+      // Dates
+      DATE_FIELDS.forEach(field => {
+        const value = cell(field);
+        if (columns[field] && !(value instanceof Date) && text(value) !== '') {
+          const readable = sequencer().parseDate(value) ? 'readable, but a' : 'not a date - a';
+          add(CHECKS.TEXT_DATE, text(value), headerRow[columns[field] - 1] + ' holds text (' + readable + ' date filter cannot compare it)');
+        }
+      });
+    });
+
+    Object.keys(byEmail).filter(email => byEmail[email].length > 1).forEach(email => {
+      byEmail[email].forEach(rowNumber => {
+        const others = byEmail[email].filter(other => other !== rowNumber);
+        issues.push({ check: CHECKS.DUPLICATE_EMAIL, row: rowNumber, email: email, value: email, details: 'Also on row ' + others.join(', ') });
+      });
+    });
+
+    issues.sort((a, b) => a.row - b.row);
+    const counts = {};
+    Object.keys(CHECKS).forEach(key => {
+      counts[CHECKS[key]] = issues.filter(issue => issue.check === CHECKS[key]).length;
+    });
+
+    return { rows: leads, issues: issues, counts: counts };
+  }
+
+  // ==========================================================================
+  // REPORT
+  // ==========================================================================
+
+  /**
+   * Writes a report to the diagnostics tab, replacing the previous one
+   * Layout: title, a count per check, then one line per issue
+   */
+  function writeReport(spreadsheet, report, sheetName, config) {
+    const settings = getSettings(config);
+    const sheet = spreadsheet.getSheetByName(settings.sheetName) || spreadsheet.insertSheet(settings.sheetName);
+    const width = ISSUE_HEADERS.length;
+    const line = values => values.concat(['', '', '', '', '']).slice(0, width);
+
+    const values = [
+      line(['Data quality report', new Date(), 'Sheet: ' + sheetName, 'Lead rows: ' + report.rows, 'Issues: ' + report.issues.length]),
+      line([]),
+      line(['Check', 'Count'])
+    ];
+    Object.keys(report.counts).forEach(check => values.push(line([check, report.counts[check]])));
+    values.push(line([]));
+    values.push(ISSUE_HEADERS.slice());
+    report.issues.forEach(issue => values.push([issue.check, issue.row, issue.email, issue.value, issue.details]));
+
+    sheet.clearContents();
+    sheet.getRange(1, 1, values.length, width).setValues(values);
+    return sheet;
+  }
+
+  /**
+   * Checks the deployment's sheet, writes the report and logs a summary
+   * Returns the report
+   */
+  function run(spreadsheet, sheet, config) {
+    const lastRow = sheet.getLastRow();
+    const headerRow = core().getHeaderRow(sheet);
+    const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, headerRow.length).getValues() : [];
+    const report = analyze(headerRow, rows, config, new Date());
+
+    writeReport(spreadsheet, report, sheet.getName(), config);
+
+    Logger.log(report.rows + ' lead rows, ' + report.issues.length + ' issue(s)');
+    Object.keys(report.counts).filter(check => report.counts[check] > 0).forEach(check => {
+      Logger.log('⚠ ' + check + ': ' + report.counts[check]);
+    });
+    Logger.log('✓ Report written to the "' + getSettings(config).sheetName + '" tab');
+    return report;
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    CHECKS: CHECKS,
+    KNOWN_STATUSES: KNOWN_STATUSES,
+    getSettings: getSettings,
+    analyze: analyze,
+    writeReport: writeReport,
+    run: run
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoDiagnostics;
+}
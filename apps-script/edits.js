@@ -0,0 +1,407 @@
+/**
+ * Expo Edits - webhook events for Status / Response changes made by staff
+ *
+ * Watched columns are found by header like every other column (by default
+ * Status and Response - columns E and K in the leads sheet). The last value
+ * seen in each watched cell is kept per lead email in a hidden
+ * "edit_tracking" sheet, so an edit can always report its old value - even
+ * for multi-cell pastes, where Apps Script does not pass e.oldValue.
+ *
+ * Changes are debounced: an edit only records a pending change, and
+ * flushEditEvents (time-driven, every minute) sends it once the cell has
+ * been quiet for debounceSeconds. Retyping a cell or pasting over a block
+ * several times therefore sends one payload per changed cell, with the value
+ * before the first edit and the value after the last one. A change that is
+ * reverted inside the window sends nothing.
+ *
+ * Payloads go through sendToWebhook() with:
+ *   event        - status_change (Status) or attendance_response (Response)
+ *   changedField - 'status' or 'response'
+ *   oldValue / newValue / rowNumber
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.edits):
+ *   fields          - watched fields (default ['STATUS', 'RESPONSE'])
+ *   sheetName       - tracking tab name (default 'edit_tracking')
+ *   debounceSeconds - quiet time before a change is sent (default 60)
+ *   maxPerRun       - payloads sent per flush at most (default 50)
+ */
+
+var ExpoEdits = (function () {
+
+  const DEFAULTS = {
+    fields: ['STATUS', 'RESPONSE'],
+    sheetName: 'edit_tracking',
+    debounceSeconds: 60,
+    maxPerRun: 50
+  };
+
+  const HEADERS = ['Email', 'Field', 'Value', 'Pending Old Value', 'Pending Since', 'Last Change', 'Lead Row'];
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  function outbox() {
+    return typeof ExpoOutbox !== 'undefined' ? ExpoOutbox : require('./outbox');
+  }
+
+  function tickets() {
+    return typeof ExpoTickets !== 'undefined' ? ExpoTickets : require('./tickets');
+  }
+
+  /**
+   * Returns the edit settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.edits) || {});
+  }
+
+  /**
+   * Event type sent when a watched field changes
+   */
+  function getFieldEvent(field) {
+    return field === 'RESPONSE' ? core().EVENTS.ATTENDANCE_RESPONSE : core().EVENTS.STATUS_CHANGE;
+  }
+
+  /**
+   * Returns the hidden tracking sheet, creating it on first use
+   */
+  function getTrackingSheet(spreadsheet, config) {
+    const settings = getSettings(config);
+    let sheet = spreadsheet.getSheetByName(settings.sheetName);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(settings.sheetName);
+      sheet.getRange(1, 1, 1, HEADERS.length).setValues([HEADERS]);
+      // Keep tracked values as typed text so "1" or a date stays comparable
+      sheet.getRange(1, 3, sheet.getMaxRows(), 2).setNumberFormat('@');
+      sheet.hideSheet();
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Reads every tracking row, keyed by "email|FIELD"
+   */
+  function readTracking(sheet) {
+    const entries = {};
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) {
+      return entries;
+    }
+
+    sheet.getRange(2, 1, lastRow - 1, HEADERS.length).getValues().forEach(row => {
+      entries[row[0] + '|' + row[1]] = {
+        email: row[0],
+        field: row[1],
+        value: row[2].toString(),
+        pendingOld: row[3].toString(),
+        pendingSince: row[4] ? new Date(row[4]) : null,
+        lastChange: row[5] ? new Date(row[5]) : null,
+        leadRow: Number(row[6]) || null
+      };
+    });
+    return entries;
+  }
+
+  /**
+   * Writes the tracking rows back in one call
+   */
+  function writeTracking(sheet, entries) {
+    const rows = Object.keys(entries).map(key => {
+      const entry = entries[key];
+      return [entry.email, entry.field, entry.value, entry.pendingOld,
+        entry.pendingSince || '', entry.lastChange || '', entry.leadRow || ''];
+    });
+
+    if (sheet.getLastRow() > rows.length + 1) {
+      sheet.getRange(rows.length + 2, 1, sheet.getLastRow() - rows.length - 1, HEADERS.length).clearContent();
+    }
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+    }
+  }
+
+  /**
+   * Compares lead rows with the tracked values and records pending changes
+   * oldValues - { rowNumber: { FIELD: value } } known from the edit event,
+   *             used for leads that are not tracked yet
+   * Returns the number of cells whose value changed
+   */
+  function recordChanges(spreadsheet, sheet, firstRow, lastRow, oldValues, config) {
+    const settings = getSettings(config);
+    const headerRow = core().getHeaderRow(sheet);
+    const columns = core().resolveColumnMapping(headerRow, config);
+    const fields = settings.fields.filter(field => columns[field]);
+    if (fields.length === 0 || lastRow < firstRow) {
+      return 0;
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30 * 1000);
+    try {
+      const trackingSheet = getTrackingSheet(spreadsheet, config);
+      const entries = readTracking(trackingSheet);
+      const rows = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, sheet.getLastColumn()).getValues();
+      const now = new Date();
+      let changed = 0;
+
+      rows.forEach((rowData, index) => {
+        const rowNumber = firstRow + index;
+        const email = core().getCell(rowData, columns.EMAIL).toString().trim().toLowerCase();
+        if (!email) {
+          return;
+        }
+
+        fields.forEach(field => {
+          const key = email + '|' + field;
+          const value = core().getCell(rowData, columns[field]).toString().trim();
+          let entry = entries[key];
+
+          if (!entry) {
+            // First time this lead is seen: the event's old value, if any, is the baseline
+            const known = oldValues && oldValues[rowNumber] ? oldValues[rowNumber][field] : undefined;
+            entry = { email: email, field: field, value: known === undefined ? value : known.toString().trim(),
+              pendingOld: '', pendingSince: null, lastChange: null, leadRow: rowNumber };
+            entries[key] = entry;
+          }
+
+          entry.leadRow = rowNumber;
+          if (entry.value === value) {
+            return;
+          }
+
+          if (!entry.pendingSince) {
+            entry.pendingOld = entry.value;
+            entry.pendingSince = now;
+          }
+          entry.value = value;
+          entry.lastChange = now;
+          changed++;
+        });
+      });
+
+      writeTracking(trackingSheet, entries);
+      return changed;
+
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Handles an edit of the leads sheet (installable "On edit" trigger)
+   * Only records the change - flushEditEvents() sends it after the debounce
+   */
+  function onEdit(e, config) {
+    try {
+      if (!e || !e.range) {
+        Logger.log('✗ Error: onEdit needs the edit event - install it as an "On edit" trigger');
+        return;
+      }
+
+      const settings = core().resolveConfig(config);
+      const sheet = e.range.getSheet();
+      if (sheet.getName() !== settings.sheetName) {
+        return;
+      }
+
+      const columns = core().resolveColumnMapping(core().getHeaderRow(sheet), config);
+      const firstColumn = e.range.getColumn();
+      const lastColumn = e.range.getLastColumn();
+      const watched = getSettings(config).fields.filter(field =>
+        columns[field] && columns[field] >= firstColumn && columns[field] <= lastColumn);
+      if (watched.length === 0) {
+        return;
+      }
+
+      // Single-cell edits carry the previous value
+      const oldValues = {};
+      if (e.range.getNumRows() === 1 && watched.length === 1 && firstColumn === lastColumn && e.oldValue !== undefined) {
+        oldValues[e.range.getRow()] = {};
+        oldValues[e.range.getRow()][watched[0]] = e.oldValue;
+      }
+
+      const spreadsheet = e.source || SpreadsheetApp.getActiveSpreadsheet();
+      const changed = recordChanges(spreadsheet, sheet, Math.max(e.range.getRow(), 2), e.range.getLastRow(), oldValues, config);
+      if (changed > 0) {
+        Logger.log('→ Recorded ' + changed + ' change(s) - sent after ' + getSettings(config).debounceSeconds + 's without further edits');
+      }
+
+    } catch (error) {
+      Logger.log('✗ Error in onEdit: ' + error.toString());
+      Logger.log('Stack trace: ' + error.stack);
+    }
+  }
+
+  /**
+   * Handles a structural change (installable "On change" trigger)
+   * Rows can be inserted, removed or sorted, so the whole sheet is compared
+   */
+  function onChange(e, config) {
+    try {
+      if (e && e.changeType === 'FORMAT') {
+        return;
+      }
+
+      const spreadsheet = (e && e.source) || SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = core().getSheet(spreadsheet, config);
+      if (!sheet) {
+        return;
+      }
+
+      const changed = recordChanges(spreadsheet, sheet, 2, sheet.getLastRow(), null, config);
+      if (changed > 0) {
+        Logger.log('→ Recorded ' + changed + ' change(s) after ' + ((e && e.changeType) || 'a change'));
+      }
+
+    } catch (error) {
+      Logger.log('✗ Error in onChange: ' + error.toString());
+      Logger.log('Stack trace: ' + error.stack);
+    }
+  }
+
+  /**
+   * Sends every pending change that has been quiet for debounceSeconds
+   * Called by the time-driven trigger; returns a summary of what happened
+   */
+  function flush(config) {
+    const summary = { sent: 0, queued: 0, failed: 0, reverted: 0, waiting: 0 };
+    const settings = getSettings(config);
+    const lock = LockService.getScriptLock();
+
+    if (!lock.tryLock(30 * 1000)) {
+      Logger.log('Edit events are already being sent - skipping this run');
+      return summary;
+    }
+
+    try {
+      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      const trackingSheet = spreadsheet.getSheetByName(settings.sheetName);
+      const sheet = core().getSheet(spreadsheet, config);
+      if (!trackingSheet || !sheet) {
+        return summary;
+      }
+
+      const entries = readTracking(trackingSheet);
+      const headerRow = core().getHeaderRow(sheet);
+      const columns = core().resolveColumnMapping(headerRow, config);
+      const cutoff = Date.now() - settings.debounceSeconds * 1000;
+      let processed = 0;
+
+      Object.keys(entries).forEach(key => {
+        const entry = entries[key];
+        if (!entry.pendingSince) {
+          return;
+        }
+        if (entry.lastChange.getTime() > cutoff || processed >= settings.maxPerRun) {
+          summary.waiting++;
+          return;
+        }
+
+        const oldValue = entry.pendingOld;
+        entry.pendingOld = '';
+        entry.pendingSince = null;
+        if (oldValue === entry.value) {
+          summary.reverted++;
+          return;
+        }
+
+        processed++;
+        const rowNumber = outbox().findLeadRow(sheet, columns, entry.email, entry.leadRow);
+        if (!rowNumber) {
+          Logger.log('✗ Lead ' + entry.email + ' is no longer in the sheet - dropping its ' + entry.field + ' change');
+          summary.failed++;
+          return;
+        }
+
+        const data = core().getFormData(core().getRowData(sheet, rowNumber), headerRow, config);
+        data.event = getFieldEvent(entry.field);
+        data.rowNumber = rowNumber;
+        data.change = { field: entry.field.toLowerCase(), oldValue: oldValue, newValue: entry.value };
+        // A Response changed to "attending" earns the lead a ticket; a failure
+        // there must not stop the run before the tracking sheet is written
+        try {
+          tickets().issue(sheet, rowNumber, data, config);
+        } catch (error) {
+          Logger.log('⚠ No ticket issued to ' + entry.email + ' (row ' + rowNumber + '): ' + error.toString());
+        }
+
+        Logger.log('→ Sending ' + data.event + ' for ' + entry.email + ' (row ' + rowNumber + '): "' +
+          oldValue + '" → "' + entry.value + '"');
+        const response = core().sendToWebhook(data, config);
+        if (response.success) {
+          summary.sent++;
+        } else if (outbox().handleFailure(spreadsheet, data, rowNumber, response, config)) {
+          summary.queued++;
+        } else {
+          summary.failed++;
+        }
+      });
+
+      writeTracking(trackingSheet, entries);
+
+      Logger.log('Edit events: ' + summary.sent + ' sent, ' + summary.queued + ' queued, ' + summary.failed +
+        ' failed, ' + summary.reverted + ' reverted, ' + summary.waiting + ' waiting');
+      return summary;
+
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Records the current value of every watched cell without sending anything
+   * Run once before enabling the triggers so the first edits know their old value
+   */
+  function snapshot(config) {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = core().getSheet(spreadsheet, config);
+    if (!sheet) {
+      return 0;
+    }
+    return recordChanges(spreadsheet, sheet, 2, sheet.getLastRow(), null, config);
+  }
+
+  /**
+   * Installs the edit, change and flush triggers for the given handler names
+   * Existing triggers for a handler are left alone
+   */
+  function installTriggers(handlers, config) {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const existing = ScriptApp.getProjectTriggers().map(trigger => trigger.getHandlerFunction());
+    const install = (name, create) => {
+      if (existing.indexOf(name) !== -1) {
+        Logger.log('Trigger for ' + name + ' already installed');
+        return;
+      }
+      create(ScriptApp.newTrigger(name));
+      Logger.log('✓ Installed trigger: ' + name);
+    };
+
+    snapshot(config);
+    install(handlers.onEdit, builder => builder.forSpreadsheet(spreadsheet).onEdit().create());
+    install(handlers.onChange, builder => builder.forSpreadsheet(spreadsheet).onChange().create());
+    install(handlers.flush, builder => builder.timeBased().everyMinutes(1).create());
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    HEADERS: HEADERS,
+    getSettings: getSettings,
+    getFieldEvent: getFieldEvent,
+    getTrackingSheet: getTrackingSheet,
+    recordChanges: recordChanges,
+    onEdit: onEdit,
+    onChange: onChange,
+    flush: flush,
+    snapshot: snapshot,
+    installTriggers: installTriggers
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoEdits;
+}
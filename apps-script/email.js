@@ -0,0 +1,204 @@
+/**
+ * Expo Email - validates lead email addresses before anything is sent
+ *
+ * A typo such as "gmail.cor" or "gmial.com" silently costs an invitation
+ * (see QUICK-FIX-EMAIL-TYPO.txt). validate() checks an address for:
+ *   syntax     - local@domain.tld, no spaces, commas or double dots
+ *   disposable - throwaway inboxes (mailinator.com, yopmail.com, …)
+ *   typos      - near misses of common domains (gmail.com, hotmail.com,
+ *                outlook.com, omantel.net.om, …) and of ".com"
+ *
+ * Invalid addresses are not sent to the webhook; the lead's row is marked in
+ * the Notes column instead. Typos are only suggestions - the address is
+ * still sent and the suggestion is logged for staff to review.
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.email):
+ *   blockDisposable    - treat disposable domains as invalid (default true)
+ *   disposableDomains  - extra disposable domains
+ *   domains            - extra domains to suggest, e.g. a company domain
+ */
+
+var ExpoEmail = (function () {
+
+  const DEFAULTS = {
+    blockDisposable: true,
+    disposableDomains: [],
+    domains: []
+  };
+
+  const REASONS = {
+    EMPTY: 'empty',
+    SYNTAX: 'syntax',
+    DISPOSABLE: 'disposable'
+  };
+
+  // Domains that typos are corrected to
+  const COMMON_DOMAINS = [
+    'gmail.com', 'hotmail.com', 'outlook.com', 'yahoo.com', 'icloud.com',
+    'live.com', 'omantel.net.om'
+  ];
+
+  // Real domains close to a common one - never "corrected"
+  const KNOWN_DOMAINS = [
+    'mail.com', 'email.com', 'ymail.com', 'gmx.com', 'me.com', 'msn.com',
+    'aol.com', 'hotmail.co.uk', 'omantel.om'
+  ];
+
+  // Typos too far from their domain for the distance check
+  const TYPOS = {
+    'omantel.net': 'omantel.net.om',
+    'omantel.com': 'omantel.net.om',
+    'gmail.com.om': 'gmail.com'
+  };
+
+  // Misspelled ".com" endings
+  const COM_TYPOS = ['con', 'cmo', 'ocm', 'cpm', 'vom', 'xom', 'cor', 'comm', 'coom'];
+
+  const DISPOSABLE_DOMAINS = [
+    'mailinator.com', 'guerrillamail.com', 'sharklasers.com', '10minutemail.com',
+    'tempmail.com', 'temp-mail.org', 'yopmail.com', 'throwawaymail.com',
+    'trashmail.com', 'getnada.com', 'maildrop.cc', 'dispostable.com',
+    'fakeinbox.com', 'mailnesia.com', 'emailondeck.com', 'mohmal.com', 'tempail.com'
+  ];
+
+  const LOCAL_PART = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+  const DOMAIN = /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+  /**
+   * Returns the email settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.email) || {});
+  }
+
+  /**
+   * Edit distance counting swapped neighbours as one edit ("gmial" → "gmail")
+   */
+  function distance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+      rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+      rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Suggests the domain that was probably meant, or '' if it looks right
+   */
+  function suggestDomain(domain, config) {
+    const settings = getSettings(config);
+    const common = COMMON_DOMAINS.concat(settings.domains.map(value => value.toLowerCase()));
+    if (common.indexOf(domain) !== -1 || KNOWN_DOMAINS.indexOf(domain) !== -1) {
+      return '';
+    }
+    if (TYPOS[domain]) {
+      return TYPOS[domain];
+    }
+
+    let best = '';
+    let bestDistance = 3;
+    common.forEach(candidate => {
+      const edits = distance(domain, candidate);
+      if (edits < bestDistance) {
+        best = candidate;
+        bestDistance = edits;
+      }
+    });
+    if (best) {
+      return best;
+    }
+
+    const tld = domain.slice(domain.lastIndexOf('.') + 1);
+    return COM_TYPOS.indexOf(tld) !== -1 ? domain.slice(0, domain.lastIndexOf('.') + 1) + 'com' : '';
+  }
+
+  /**
+   * Whether a domain (or its parent domain) is a disposable inbox
+   */
+  function isDisposable(domain, config) {
+    const domains = DISPOSABLE_DOMAINS.concat(getSettings(config).disposableDomains.map(value => value.toLowerCase()));
+    return domains.some(disposable => domain === disposable || domain.slice(-disposable.length - 1) === '.' + disposable);
+  }
+
+  /**
+   * Validates an email address
+   * Returns { valid, reason, suggestion } - reason is one of REASONS or ''
+   * and suggestion the corrected address ('' when nothing looks wrong)
+   */
+  function validate(value, config) {
+    const email = (value || '').toString().trim().toLowerCase();
+    const result = { valid: false, reason: '', suggestion: '' };
+    if (email === '') {
+      result.reason = REASONS.EMPTY;
+      return result;
+    }
+
+    const at = email.lastIndexOf('@');
+    const local = email.slice(0, at);
+    const domain = email.slice(at + 1);
+    if (at < 1 || email.length > 254 || local.length > 64 || !LOCAL_PART.test(local) || !DOMAIN.test(domain)) {
+      result.reason = REASONS.SYNTAX;
+      return result;
+    }
+
+    const suggested = suggestDomain(domain, config);
+    result.suggestion = suggested ? local + '@' + suggested : '';
+
+    if (getSettings(config).blockDisposable && isDisposable(domain, config)) {
+      result.reason = REASONS.DISPOSABLE;
+      return result;
+    }
+
+    result.valid = true;
+    return result;
+  }
+
+  /**
+   * Describes a validate() result for logs and the Notes column
+   */
+  function describe(email, result) {
+    const problems = {
+      empty: 'is empty',
+      syntax: 'is not a valid email address',
+      disposable: 'uses a disposable email domain'
+    };
+    const parts = [];
+    if (!result.valid) {
+      parts.push('"' + email + '" ' + problems[result.reason]);
+    }
+    if (result.suggestion) {
+      parts.push('did you mean ' + result.suggestion + '?');
+    }
+    return parts.join(' - ');
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    REASONS: REASONS,
+    COMMON_DOMAINS: COMMON_DOMAINS,
+    DISPOSABLE_DOMAINS: DISPOSABLE_DOMAINS,
+    getSettings: getSettings,
+    distance: distance,
+    suggestDomain: suggestDomain,
+    isDisposable: isDisposable,
+    validate: validate,
+    describe: describe
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoEmail;
+}
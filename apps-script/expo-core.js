@@ -0,0 +1,888 @@
+/**
+ * Expo Core - shared library for the Make.com webhook integration
+ *
+ * This file holds all the logic that used to be copied into every webhook
+ * script (getFormData, sendToWebhook, diagnostics and the test helpers).
+ * Each deployment only supplies a small config object (see the
+ * *-GOOGLE-APPS-SCRIPT-*.js files in the repository root) and the trigger
+ * functions in triggers.js pass that config into ExpoCore.
+ *
+ * APPS SCRIPT:
+ * Add this file, the other apps-script/ modules (outbox.js, ...), triggers.js
+ * and ONE deployment config file to the same Apps Script project. All files
+ * share the global scope, so ExpoCore is available everywhere.
+ *
+ * NODE:
+ *   const ExpoCore = require('./apps-script/expo-core');
+ * Apps Script services (Logger, UrlFetchApp, SpreadsheetApp) are looked up
+ * as globals when a function runs, so a test harness can provide fakes.
+ *
+ * EVENT ROUTING:
+ * Every payload carries an "event" field (new_lead, attendance_response,
+ * status_change, lead_updated). config.webhooks maps events to their own webhook URLs;
+ * events without an entry go to config.webhookUrl. Routes saved from the
+ * Expo Setup dialog replace config.webhooks as a whole (see settings.js).
+ */
+
+var ExpoCore = (function () {
+
+  // ==========================================================================
+  // DEFAULTS
+  // ==========================================================================
+
+  const DEFAULT_SHEET_NAME = 'leads';
+
+  // Columns are found by reading the header row (row 1) and matching the
+  // aliases below, so inserting a "Timestamp" column or reordering the sheet
+  // does not break the mapping. Matching ignores case, extra spaces,
+  // punctuation and hints in brackets such as "Status (E)".
+  // A deployment can add aliases through config.columnAliases.
+  const COLUMN_ALIASES = {
+    TIMESTAMP: ['Timestamp', 'Submitted At', 'الطابع الزمني'],
+    NAME: ['Name', 'Full Name', 'Your Name', 'الاسم', 'الاسم الكامل'],
+    EMAIL: ['Email', 'E-mail', 'Email Address', 'E-mail Address', 'البريد الإلكتروني', 'البريد الالكتروني'],
+    PHONE: ['Phone', 'Phone Number', 'Mobile', 'Mobile Number', 'WhatsApp', 'رقم الهاتف', 'الهاتف', 'الجوال'],
+    LANGUAGE: ['Language', 'Preferred Language', 'اللغة'],
+    STATUS: ['Status', 'الحالة'],
+    DATE_ADDED: ['Date Added', 'Added', 'تاريخ الإضافة'],
+    EMAIL_1_DATE: ['Email 1 Date', 'Invitation Date'],
+    EMAIL_2_DATE: ['Email 2 Date', 'Reminder Date'],
+    EMAIL_3_DATE: ['Email 3 Date', 'Final Call Date'],
+    NOTES: ['Notes', 'Note', 'ملاحظات'],
+    RESPONSE: ['Response', 'Attendance', 'Will you attend', 'الرد', 'الحضور'],
+    RESPONSE_DATE: ['Response Date', 'تاريخ الرد'],
+    COMMENTS: ['Comments', 'Comment', 'Message', 'التعليقات'],
+    PREFERRED_DAY: ['Preferred Day', 'Day', 'Which day', 'Which day will you attend', 'اليوم', 'يوم الحضور'],
+    PARTY_SIZE: ['Party Size', 'Guests', 'Number of Guests', 'Number of People', 'عدد الضيوف', 'عدد الأشخاص'],
+    TIME_SLOT: ['Time Slot', 'Session', 'Preferred Time', 'Time', 'الوقت', 'الفترة'],
+    TICKET_ID: ['Ticket ID', 'Ticket', 'Ticket Number', 'رقم التذكرة']
+  };
+
+  // Fields that must have a column - getFormData() throws if any is missing
+  const REQUIRED_COLUMNS = ['NAME', 'EMAIL'];
+
+  // Event types sent in the payload's "event" field. Each one can be routed
+  // to its own Make.com webhook through config.webhooks.
+  const EVENTS = {
+    NEW_LEAD: 'new_lead',
+    ATTENDANCE_RESPONSE: 'attendance_response',
+    STATUS_CHANGE: 'status_change',
+    LEAD_UPDATED: 'lead_updated'
+  };
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function outbox() {
+    return typeof ExpoOutbox !== 'undefined' ? ExpoOutbox : require('./outbox');
+  }
+
+  function idempotency() {
+    return typeof ExpoIdempotency !== 'undefined' ? ExpoIdempotency : require('./idempotency');
+  }
+
+  function signing() {
+    return typeof ExpoSigning !== 'undefined' ? ExpoSigning : require('./signing');
+  }
+
+  function language() {
+    return typeof ExpoLanguage !== 'undefined' ? ExpoLanguage : require('./language');
+  }
+
+  function phone() {
+    return typeof ExpoPhone !== 'undefined' ? ExpoPhone : require('./phone');
+  }
+
+  function attendance() {
+    return typeof ExpoAttendance !== 'undefined' ? ExpoAttendance : require('./attendance');
+  }
+
+  function dedupe() {
+    return typeof ExpoDedupe !== 'undefined' ? ExpoDedupe : require('./dedupe');
+  }
+
+  function sessions() {
+    return typeof ExpoSessions !== 'undefined' ? ExpoSessions : require('./sessions');
+  }
+
+  function tickets() {
+    return typeof ExpoTickets !== 'undefined' ? ExpoTickets : require('./tickets');
+  }
+
+  function diagnostics() {
+    return typeof ExpoDiagnostics !== 'undefined' ? ExpoDiagnostics : require('./diagnostics');
+  }
+
+  function emailCheck() {
+    return typeof ExpoEmail !== 'undefined' ? ExpoEmail : require('./email');
+  }
+
+  function schema() {
+    return typeof ExpoSchema !== 'undefined' ? ExpoSchema : require('./schema');
+  }
+
+  // ==========================================================================
+  // CONFIGURATION
+  // ==========================================================================
+
+  /**
+   * Validates a deployment config and fills in defaults
+   * Throws if the config cannot work (e.g. no webhook URL)
+   */
+  function resolveConfig(config) {
+    if (!config || typeof config !== 'object') {
+      throw new Error('A deployment config object is required');
+    }
+
+    const eventNames = Object.keys(EVENTS).map(name => EVENTS[name]);
+    const webhooks = {};
+    Object.keys(config.webhooks || {}).forEach(event => {
+      if (eventNames.indexOf(event) === -1) {
+        throw new Error('Unknown event "' + event + '" in webhooks. Known events: ' + eventNames.join(', '));
+      }
+      if (config.webhooks[event]) {
+        webhooks[event] = config.webhooks[event];
+      }
+    });
+
+    if (config.formEvent && eventNames.indexOf(config.formEvent) === -1) {
+      throw new Error('Unknown formEvent "' + config.formEvent + '". Known events: ' + eventNames.join(', '));
+    }
+    if (!config.webhookUrl && Object.keys(webhooks).length === 0) {
+      throw new Error('Deployment "' + (config.name || 'unnamed') + '" has no webhookUrl');
+    }
+
+    const columnAliases = {};
+    Object.keys(COLUMN_ALIASES).forEach(field => {
+      columnAliases[field] = COLUMN_ALIASES[field].slice();
+    });
+    Object.keys(config.columnAliases || {}).forEach(field => {
+      columnAliases[field] = (columnAliases[field] || []).concat(config.columnAliases[field]);
+    });
+
+    return {
+      name: config.name || 'unnamed',
+      webhookUrl: config.webhookUrl || '',
+      webhooks: webhooks,
+      formEvent: config.formEvent || '',
+      requireSignature: config.requireSignature === true,
+      sheetName: config.sheetName || DEFAULT_SHEET_NAME,
+      columnAliases: columnAliases,
+      columnHeaders: Object.assign({}, config.columnHeaders || {})
+    };
+  }
+
+  /**
+   * Returns the webhook URL for an event type
+   * config.webhooks[event] wins; otherwise config.webhookUrl is the default
+   */
+  function getWebhookUrl(event, config) {
+    const settings = resolveConfig(config);
+    const url = settings.webhooks[event] || settings.webhookUrl;
+    if (!url) {
+      throw new Error('No webhook for event "' + event + '" in deployment "' + settings.name +
+        '" - add it to webhooks or set webhookUrl');
+    }
+    return url;
+  }
+
+  // ==========================================================================
+  // COLUMN RESOLUTION
+  // ==========================================================================
+
+  /**
+   * Normalizes a header or alias for comparison
+   * "E-mail Address" → "e mail address", "Status (E)" → "status"
+   */
+  function normalizeHeader(header) {
+    return (header || '').toString()
+      .toLowerCase()
+      .replace(/\(.*?\)/g, ' ')
+      .replace(/[\s_\-:?.*]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Finds the column number (1-based) of every known field in the header row
+   * An explicit config.columnHeaders entry wins over the aliases.
+   * Fields without a matching header are left out of the result
+   */
+  function findColumns(headerRow, config) {
+    const settings = config ? resolveConfig(config) : null;
+    const aliasesByField = settings ? settings.columnAliases : COLUMN_ALIASES;
+    const columnHeaders = settings ? settings.columnHeaders : {};
+    const normalizedHeaders = headerRow.map(normalizeHeader);
+    const columns = {};
+
+    Object.keys(aliasesByField).forEach(field => {
+      const aliases = columnHeaders[field] ? [columnHeaders[field]] : aliasesByField[field];
+      const normalizedAliases = aliases.map(normalizeHeader);
+      const index = normalizedHeaders.findIndex(header => header !== '' && normalizedAliases.indexOf(header) !== -1);
+      if (index !== -1) {
+        columns[field] = index + 1;
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * Resolves the column mapping from the header row
+   * Throws an error naming every required field whose header is missing
+   */
+  function resolveColumnMapping(headerRow, config) {
+    const columns = findColumns(headerRow, config);
+    const missing = REQUIRED_COLUMNS.filter(field => !columns[field]);
+
+    if (missing.length > 0) {
+      throw new Error('Required column(s) not found in header row: ' + missing.join(', ') +
+        '. Headers found: ' + headerRow.map(header => '"' + header + '"').join(', '));
+    }
+
+    return columns;
+  }
+
+  /**
+   * Reads a cell from the row array by column number (1-based)
+   * Returns an empty string when the column does not exist in the sheet
+   */
+  function getCell(rowData, column) {
+    if (!column) {
+      return '';
+    }
+    const value = rowData[column - 1];
+    return value === undefined || value === null ? '' : value;
+  }
+
+  /**
+   * Converts a column number to its letter (1 = A, 27 = AA)
+   */
+  function getColumnLetter(columnNumber) {
+    let letter = '';
+    while (columnNumber > 0) {
+      const remainder = (columnNumber - 1) % 26;
+      letter = String.fromCharCode(65 + remainder) + letter;
+      columnNumber = Math.floor((columnNumber - 1) / 26);
+    }
+    return letter;
+  }
+
+  // ==========================================================================
+  // SHEET ACCESS
+  // ==========================================================================
+
+  /**
+   * Returns the deployment's sheet, logging the available sheets if missing
+   */
+  function getSheet(spreadsheet, config) {
+    const settings = resolveConfig(config);
+    const sheet = spreadsheet.getSheetByName(settings.sheetName);
+
+    if (!sheet) {
+      Logger.log('✗ Error: Sheet "' + settings.sheetName + '" not found');
+      Logger.log('Available sheets: ' + spreadsheet.getSheets().map(s => s.getName()).join(', '));
+      return null;
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Reads the header row of the sheet
+   */
+  function getHeaderRow(sheet) {
+    return sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  }
+
+  /**
+   * Reads one data row of the sheet
+   */
+  function getRowData(sheet, rowNumber) {
+    return sheet.getRange(rowNumber, 1, 1, sheet.getLastColumn()).getValues()[0];
+  }
+
+  // ==========================================================================
+  // FORM DATA AND WEBHOOK
+  // ==========================================================================
+
+  /**
+   * Extracts and structures form data from the row array
+   * Columns are located by their header text (see COLUMN_ALIASES)
+   */
+  function getFormData(rowData, headerRow, config) {
+    const columns = resolveColumnMapping(headerRow, config);
+
+    // Prefer the Date Added column, then the form Timestamp, then now
+    let timestamp = getCell(rowData, columns.DATE_ADDED) || getCell(rowData, columns.TIMESTAMP);
+
+    // Convert to ISO string if it's a Date object
+    if (timestamp instanceof Date) {
+      timestamp = timestamp.toISOString();
+    } else if (timestamp && typeof timestamp === 'string' && timestamp.trim() !== '') {
+      // Keep as is if it's already a string
+    } else {
+      // Use current time if no date found
+      timestamp = new Date().toISOString();
+    }
+
+    // Extract all fields from the row (convert to strings and trim)
+    const data = {
+      timestamp: timestamp,
+      name: getCell(rowData, columns.NAME).toString().trim(),
+      email: getCell(rowData, columns.EMAIL).toString().trim(),
+      phone: getCell(rowData, columns.PHONE).toString().trim(),
+      status: getCell(rowData, columns.STATUS).toString().trim(),
+      dateAdded: getCell(rowData, columns.DATE_ADDED) || getCell(rowData, columns.TIMESTAMP),
+      response: getCell(rowData, columns.RESPONSE).toString().trim(),
+      responseDate: getCell(rowData, columns.RESPONSE_DATE).toString().trim(),
+      comments: getCell(rowData, columns.COMMENTS).toString().trim()
+    };
+
+    // Clean up email (convert to lowercase)
+    if (data.email) {
+      data.email = data.email.toLowerCase();
+    }
+
+    // "Arabic", "العربية", "AR " or an empty cell next to an Arabic name → en/ar
+    const detected = language().normalize(getCell(rowData, columns.LANGUAGE), data);
+    data.language = detected.language;
+    data.languageSource = detected.source;
+
+    // "97083232", "0097158…" → E.164; invalid numbers keep the typed text
+    const number = phone().normalize(data.phone, config);
+    if (number.valid) {
+      data.phone = number.e164;
+    }
+    data.phoneValid = number.valid;
+    data.phoneCountry = number.country;
+
+    // Map response to attendance for backward compatibility with Make.com scenarios
+    data.attendance = data.response || '';
+
+    // "Yes, I'll attend", "نعم، سأحضر", "Maybe" → attending / declined / tentative / unknown
+    data.attendanceStatus = attendance().parse(data.response, config);
+
+    // "Friday", "Me + 2", "4 PM" → 2025-12-26 / 3 / afternoon (see sessions.js)
+    Object.assign(data, sessions().read(rowData, columns));
+
+    // Attending leads get a QR-code ticket (see tickets.js)
+    Object.assign(data, tickets().read(rowData, columns, config));
+
+    return data;
+  }
+
+  /**
+   * Builds the JSON payload exactly as the Make.com scenarios expect it
+   * (the contract is declared in schema.js)
+   */
+  function buildPayload(data) {
+    const payload = {
+      schemaVersion: schema().SCHEMA_VERSION,
+      event: data.event || EVENTS.NEW_LEAD,
+      timestamp: data.timestamp,
+      name: data.name,
+      email: data.email,
+      phone: data.phone || '',
+      phoneValid: data.phoneValid === true,
+      phoneCountry: data.phoneCountry || '',
+      language: data.language || 'en',
+      languageSource: data.languageSource || (data.language ? 'explicit' : 'default'),
+      status: data.status || '',
+      attendance: data.attendance || data.response || '',
+      response: data.response || '',
+      attendanceStatus: data.attendanceStatus || attendance().parse(data.response),
+      responseDate: data.responseDate || '',
+      comments: data.comments || '',
+      preferredDay: data.preferredDay || '',
+      partySize: data.partySize || 1,
+      timeSlot: data.timeSlot || '',
+      ticketId: data.ticketId || '',
+      ticketToken: data.ticketToken || '',
+      ticketQrUrl: data.ticketQrUrl || '',
+      rowNumber: data.rowNumber || ''
+    };
+
+    // Edits made in the sheet (see edits.js) also say what changed
+    if (data.change) {
+      payload.changedField = data.change.field;
+      payload.oldValue = (data.change.oldValue || '').toString();
+      payload.newValue = (data.change.newValue || '').toString();
+    }
+
+    // Repeated submissions merged into the existing lead (see dedupe.js)
+    if (data.merge) {
+      payload.duplicateRow = data.merge.duplicateRow;
+      payload.matchedOn = data.merge.matchedOn;
+      payload.mergedFields = data.merge.mergedFields.slice();
+    }
+
+    return payload;
+  }
+
+  /**
+   * Sends data to the Make.com webhook routed for its event type
+   * Returns success/failure status; payloads that fail the schema check are
+   * not sent and come back with invalid: true
+   */
+  function sendToWebhook(data, config) {
+    try {
+      const payload = buildPayload(data);
+
+      // Never post a payload that breaks the Make.com contract
+      const problems = schema().validate(payload);
+      if (problems.length > 0) {
+        return {
+          success: false,
+          invalid: true,
+          error: 'Payload does not match schema ' + payload.schemaVersion + ': ' + problems.join('; ')
+        };
+      }
+
+      const webhookUrl = getWebhookUrl(payload.event, config);
+      const body = JSON.stringify(payload);
+
+      // HMAC signature so Make.com can reject payloads not sent by us
+      const headers = signing().buildHeaders(body, config);
+
+      // Lets the Make.com scenarios dedupe repeated deliveries
+      if (data.idempotencyKey) {
+        headers[idempotency().HEADER_NAME] = data.idempotencyKey;
+      }
+
+      const options = {
+        method: 'post',
+        contentType: 'application/json',
+        headers: headers,
+        payload: body,
+        muteHttpExceptions: true // Return errors instead of throwing
+      };
+
+      const response = UrlFetchApp.fetch(webhookUrl, options);
+      const responseCode = response.getResponseCode();
+      const responseText = response.getContentText();
+
+      if (responseCode >= 200 && responseCode < 300) {
+        return {
+          success: true,
+          statusCode: responseCode,
+          response: responseText
+        };
+      } else {
+        return {
+          success: false,
+          statusCode: responseCode,
+          error: responseText
+        };
+      }
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.toString()
+      };
+    }
+  }
+
+  /**
+   * Logs the outcome of a sendToWebhook() call
+   */
+  function logWebhookResult(response) {
+    if (response.success) {
+      Logger.log('✓ Successfully sent data to webhook!');
+      Logger.log('✓ Status code: ' + response.statusCode);
+      Logger.log('✓ Check Make.com for the execution.');
+    } else {
+      Logger.log('✗ Error sending to webhook');
+      Logger.log('✗ Status code: ' + response.statusCode);
+      Logger.log('✗ Error: ' + (response.error || 'Unknown error'));
+    }
+  }
+
+  /**
+   * Validates the lead's email before it is sent
+   * Typo suggestions are logged for review; invalid addresses are noted on
+   * the lead's row instead of being sent. Returns true if the lead can be sent.
+   */
+  function checkEmail(spreadsheet, formData, rowNumber, config) {
+    const result = emailCheck().validate(formData.email, config);
+    const description = emailCheck().describe(formData.email, result);
+
+    if (result.valid) {
+      if (result.suggestion) {
+        Logger.log('⚠ Check the email of row ' + rowNumber + ': ' + description);
+      }
+      return true;
+    }
+
+    Logger.log('✗ Not sending row ' + rowNumber + ': ' + description);
+    outbox().markLeadRow(spreadsheet, formData.email, rowNumber, 'Not sent: ' + description, config);
+    return false;
+  }
+
+  /**
+   * Sends a lead row to the webhook exactly once
+   * Skips rows whose idempotency key was already used; failed deliveries go
+   * to the outbox (or get noted on the lead's row). A key already set on
+   * formData is used as is. An attending lead that passed these checks gets
+   * its ticket (tickets.js) before the payload is built.
+   * Returns the sendToWebhook() result, or null if the row was skipped.
+   */
+  function deliverLead(spreadsheet, formData, rowNumber, config) {
+    formData.rowNumber = rowNumber || '';
+    if (!checkEmail(spreadsheet, formData, rowNumber, config)) {
+      return null;
+    }
+
+    const key = formData.idempotencyKey || idempotency().computeKey(formData, rowNumber);
+    formData.idempotencyKey = key;
+
+    if (!idempotency().claim(key, config)) {
+      Logger.log('↷ Skipping ' + formData.email + ' (row ' + rowNumber + '): already sent (idempotency key ' + key.slice(0, 12) + '…)');
+      return null;
+    }
+
+    try {
+      tickets().issue(getSheet(spreadsheet, config), rowNumber, formData, config);
+    } catch (error) {
+      Logger.log('⚠ No ticket issued to ' + formData.email + ' (row ' + rowNumber + '): ' + error.toString());
+    }
+
+    Logger.log('→ Sending ' + (formData.event || EVENTS.NEW_LEAD) + ' to webhook for: ' + formData.email);
+    const response = sendToWebhook(formData, config);
+    logWebhookResult(response);
+
+    if (response.success) {
+      idempotency().markSent(key);
+    } else if (outbox().handleFailure(spreadsheet, formData, rowNumber, response, config)) {
+      idempotency().markQueued(key);
+    } else {
+      idempotency().release(key);
+    }
+
+    return response;
+  }
+
+  // ==========================================================================
+  // TRIGGER HANDLERS
+  // ==========================================================================
+
+  /**
+   * Works out which row a form submission wrote
+   * 1. e.range, when it points at the deployment's sheet
+   * 2. e.namedValues matched to the header row (form writes to another tab);
+   *    the row number is then found by email, newest row first
+   * 3. The last row - ONLY when run by hand without an event object
+   * Returns { rowNumber, rowData, headerRow, source } or null
+   */
+  function getSubmittedRow(e, sheet, config) {
+    const headerRow = getHeaderRow(sheet);
+
+    if (e && e.range && e.range.getSheet().getName() === sheet.getName()) {
+      const rowNumber = e.range.getRow();
+      return { rowNumber: rowNumber, rowData: getRowData(sheet, rowNumber), headerRow: headerRow, source: 'range' };
+    }
+
+    if (e && e.namedValues) {
+      const questions = Object.keys(e.namedValues);
+      const answerOf = question => {
+        const values = e.namedValues[question];
+        return Array.isArray(values) ? values.join(', ') : values;
+      };
+
+      // Same header text first, then known fields through their aliases
+      // (the form may ask "E-mail" while the sheet says "Email")
+      const rowData = headerRow.map(header => {
+        const question = questions.find(q => normalizeHeader(q) === normalizeHeader(header));
+        return question === undefined ? '' : answerOf(question);
+      });
+      const columns = resolveColumnMapping(headerRow, config);
+      const questionColumns = findColumns(questions, config);
+      Object.keys(questionColumns).forEach(field => {
+        if (columns[field]) {
+          rowData[columns[field] - 1] = answerOf(questions[questionColumns[field] - 1]);
+        }
+      });
+
+      const rowNumber = findRowByEmail(sheet, columns, getCell(rowData, columns.EMAIL));
+      return { rowNumber: rowNumber, rowData: rowData, headerRow: headerRow, source: 'namedValues' };
+    }
+
+    if (!e) {
+      const lastRow = sheet.getLastRow();
+      if (lastRow < 2) {
+        return null;
+      }
+      return { rowNumber: lastRow, rowData: getRowData(sheet, lastRow), headerRow: headerRow, source: 'lastRow' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Finds the newest row holding an email address, or null
+   */
+  function findRowByEmail(sheet, columns, email) {
+    const target = (email || '').toString().trim().toLowerCase();
+    const lastRow = sheet.getLastRow();
+    if (!target || lastRow < 2) {
+      return null;
+    }
+
+    const emails = sheet.getRange(2, columns.EMAIL, lastRow - 1, 1).getValues();
+    for (let i = emails.length - 1; i >= 0; i--) {
+      if (emails[i][0].toString().trim().toLowerCase() === target) {
+        return i + 2;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Picks the event type of a form submission
+   * config.formEvent wins; otherwise a submission that answered the Response
+   * question is an attendance_response and anything else a new_lead
+   */
+  function getFormEvent(formData, config) {
+    const settings = resolveConfig(config);
+    if (settings.formEvent) {
+      return settings.formEvent;
+    }
+    return formData.response ? EVENTS.ATTENDANCE_RESPONSE : EVENTS.NEW_LEAD;
+  }
+
+  /**
+   * Handles a form submission: sends the submitted row to the webhook
+   * The row comes from the event (e.range / e.namedValues), never from
+   * getLastRow(), so concurrent submissions and sorted sheets are safe.
+   * Run by hand (no event), it processes the last row instead.
+   * A repeat submission of an existing lead is merged into the lead's row
+   * and sent as lead_updated (see dedupe.js).
+   */
+  function onFormSubmit(e, config) {
+    try {
+      if (!e) {
+        Logger.log('Run by hand (no form event) - using the last row of the sheet.');
+      }
+
+      const spreadsheet = (e && e.source) || SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = getSheet(spreadsheet, config);
+      if (!sheet) {
+        return;
+      }
+
+      const submitted = getSubmittedRow(e, sheet, config);
+      if (!submitted) {
+        Logger.log('✗ Error: Could not find the submitted row (no data rows, or the event has no range/namedValues)');
+        return;
+      }
+
+      const formData = getFormData(submitted.rowData, submitted.headerRow, config);
+
+      // Validate that email exists (required field)
+      if (!formData.email) {
+        Logger.log('✗ Error: Email is required but not found in row ' + submitted.rowNumber + ' (from ' + submitted.source + ')');
+        return;
+      }
+
+      formData.event = getFormEvent(formData, config);
+
+      const merged = dedupe().mergeSubmission(spreadsheet, sheet, submitted, config);
+      if (merged) {
+        const leadData = getFormData(merged.rowData, submitted.headerRow, config);
+        // A repeat submission that answers the attendance question stays an attendance_response
+        leadData.event = formData.event === EVENTS.NEW_LEAD ? EVENTS.LEAD_UPDATED : formData.event;
+        leadData.merge = { duplicateRow: merged.duplicateRow, matchedOn: merged.matchedOn, mergedFields: merged.mergedFields };
+        // Keyed on the submission, not the lead row - that row was sent already
+        leadData.idempotencyKey = idempotency().computeKey(formData, submitted.rowNumber);
+        attendance().writeBack(sheet, merged.rowNumber, submitted.headerRow, leadData, config);
+        deliverLead(spreadsheet, leadData, merged.rowNumber, config);
+        return;
+      }
+
+      // Only rows the form wrote hold the raw answer
+      if (submitted.source !== 'namedValues') {
+        attendance().writeBack(sheet, submitted.rowNumber, submitted.headerRow, formData, config);
+      }
+      deliverLead(spreadsheet, formData, submitted.rowNumber, config);
+
+    } catch (error) {
+      Logger.log('✗ Error in onFormSubmit: ' + error.toString());
+      Logger.log('Stack trace: ' + error.stack);
+    }
+  }
+
+  // ==========================================================================
+  // DIAGNOSTICS AND TESTS
+  // ==========================================================================
+
+  /**
+   * Logs the sheet structure and which column each field resolved to, then
+   * checks the lead rows and writes a data quality report (diagnostics.js)
+   */
+  function diagnoseSheetStructure(config) {
+    try {
+      const settings = resolveConfig(config);
+      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = getSheet(spreadsheet, config);
+      if (!sheet) {
+        return;
+      }
+
+      Logger.log('=== SHEET STRUCTURE DIAGNOSIS ===');
+      Logger.log('Deployment: ' + settings.name);
+      Logger.log('Sheet Name: ' + settings.sheetName);
+      Object.keys(EVENTS).forEach(name => {
+        const event = EVENTS[name];
+        Logger.log('Webhook for ' + event + ': ' + (settings.webhooks[event] || settings.webhookUrl || '(none)'));
+      });
+      Logger.log('Total Columns: ' + sheet.getLastColumn());
+      Logger.log('Total Rows: ' + sheet.getLastRow());
+      Logger.log('');
+
+      const headerRow = getHeaderRow(sheet);
+
+      Logger.log('=== HEADER ROW ===');
+      headerRow.forEach((header, index) => {
+        Logger.log('Column ' + getColumnLetter(index + 1) + ' (' + (index + 1) + '): "' + (header || '(empty)') + '"');
+      });
+
+      Logger.log('');
+      Logger.log('=== COLUMN MAPPING VERIFICATION ===');
+      const columns = findColumns(headerRow, config);
+      Object.keys(settings.columnAliases).forEach(field => {
+        const isRequired = REQUIRED_COLUMNS.indexOf(field) !== -1;
+        if (columns[field]) {
+          Logger.log(field + ' column ' + getColumnLetter(columns[field]) + ' → "' + headerRow[columns[field] - 1] + '"');
+        } else if (isRequired) {
+          Logger.log('✗ ' + field + ' column NOT FOUND (required) - add its header to config.columnAliases');
+        } else {
+          Logger.log(field + ' column NOT FOUND (optional)');
+        }
+      });
+
+      Logger.log('');
+      Logger.log('=== DATA QUALITY ===');
+      diagnostics().run(spreadsheet, sheet, config);
+
+    } catch (error) {
+      Logger.log('✗ Error: ' + error.toString());
+      Logger.log('Stack trace: ' + error.stack);
+    }
+  }
+
+  /**
+   * Sample lead used by testWebhook() and the settings test ping
+   */
+  function buildTestData() {
+    return {
+      timestamp: new Date().toISOString(),
+      name: 'Test User',
+      email: 'test@example.com',
+      phone: '+96897083232',
+      phoneValid: true,
+      phoneCountry: 'OM',
+      language: 'en',
+      languageSource: 'explicit',
+      status: '',
+      attendance: 'Yes, I\'ll attend',
+      response: 'Yes, I\'ll attend',
+      responseDate: '',
+      comments: 'This is a test submission from Apps Script'
+    };
+  }
+
+  /**
+   * Sends sample data to the webhook to test the connection
+   */
+  function testWebhook(config) {
+    Logger.log('=== TESTING WEBHOOK CONNECTION ===');
+
+    const testData = buildTestData();
+
+    Logger.log('Sending test data to webhook...');
+    Logger.log('Test email: ' + testData.email);
+
+    const response = sendToWebhook(testData, config);
+    logWebhookResult(response);
+    return response;
+  }
+
+  /**
+   * Processes the last row of the sheet and sends it to the webhook
+   */
+  function testLastRow(config) {
+    try {
+      Logger.log('=== TESTING WITH LAST ROW DATA ===');
+
+      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = getSheet(spreadsheet, config);
+      if (!sheet) {
+        return;
+      }
+
+      const lastRow = sheet.getLastRow();
+
+      if (lastRow < 2) {
+        Logger.log('✗ Error: No data rows found. Sheet must have at least one row of data.');
+        return;
+      }
+
+      Logger.log('Processing last row (' + lastRow + ') from sheet...');
+
+      const formData = getFormData(getRowData(sheet, lastRow), getHeaderRow(sheet), config);
+
+      Logger.log('');
+      Logger.log('=== EXTRACTED DATA ===');
+      Logger.log('Name: "' + formData.name + '"');
+      Logger.log('Email: "' + formData.email + '"');
+      Logger.log('Phone: "' + formData.phone + '" (' + (formData.phoneValid ? 'valid, ' + (formData.phoneCountry || 'other country') : 'invalid') + ')');
+      Logger.log('Language: "' + formData.language + '" (' + formData.languageSource + ')');
+      Logger.log('Status: "' + formData.status + '"');
+      Logger.log('Response: "' + formData.response + '"');
+      Logger.log('Comments: "' + formData.comments + '"');
+      Logger.log('');
+
+      if (!formData.email) {
+        Logger.log('✗ Error: Email is required but not found in row ' + lastRow);
+        return;
+      }
+
+      deliverLead(spreadsheet, formData, lastRow, config);
+
+    } catch (error) {
+      Logger.log('✗ Error in testLastRow: ' + error.toString());
+      Logger.log('Stack trace: ' + error.stack);
+    }
+  }
+
+  return {
+    COLUMN_ALIASES: COLUMN_ALIASES,
+    REQUIRED_COLUMNS: REQUIRED_COLUMNS,
+    EVENTS: EVENTS,
+    resolveConfig: resolveConfig,
+    getWebhookUrl: getWebhookUrl,
+    normalizeHeader: normalizeHeader,
+    findColumns: findColumns,
+    resolveColumnMapping: resolveColumnMapping,
+    getCell: getCell,
+    getColumnLetter: getColumnLetter,
+    getSheet: getSheet,
+    getHeaderRow: getHeaderRow,
+    getRowData: getRowData,
+    getSubmittedRow: getSubmittedRow,
+    findRowByEmail: findRowByEmail,
+    getFormData: getFormData,
+    buildPayload: buildPayload,
+    sendToWebhook: sendToWebhook,
+    checkEmail: checkEmail,
+    deliverLead: deliverLead,
+    getFormEvent: getFormEvent,
+    onFormSubmit: onFormSubmit,
+    diagnoseSheetStructure: diagnoseSheetStructure,
+    buildTestData: buildTestData,
+    testWebhook: testWebhook,
+    testLastRow: testLastRow
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoCore;
+}
@@ -0,0 +1,220 @@
+/**
+ * Expo Idempotency - stable keys and duplicate suppression for webhook calls
+ *
+ * Every lead payload gets a key: a SHA-256 hash of email + Date Added + row.
+ * Keys are recorded in Script Properties once a delivery starts, so running
+ * testLastRow() again or a second trigger for the same row does not invite
+ * the same lead twice. The key is also sent to Make.com in the
+ * X-Idempotency-Key header so the scenarios can dedupe on their side.
+ *
+ * Key states:
+ *   sending - a delivery is in progress (reclaimable after SENDING_TTL_MINUTES)
+ *   queued  - the first attempt failed and the outbox owns the retries
+ *   sent    - Make.com accepted the payload
+ *
+ * Script Properties hold 500 KB in total, so keys do not live forever: at
+ * most once a day claim() runs prune(), which deletes sent keys older than
+ * retentionDays and abandoned sending keys. Queued keys stay until the
+ * outbox marks them sent or releases them. A row sent more than
+ * retentionDays ago could be sent again by running testLastRow() on it.
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.idempotency):
+ *   retentionDays - days a sent key is kept; 0 keeps them forever (default 30)
+ */
+
+var ExpoIdempotency = (function () {
+
+  const HEADER_NAME = 'X-Idempotency-Key';
+  const PROPERTY_PREFIX = 'idem_';
+  const SENDING_TTL_MINUTES = 10;
+
+  const DEFAULTS = {
+    retentionDays: 30
+  };
+
+  // When prune() last ran, and how often claim() runs it
+  const PRUNED_PROPERTY = 'IDEMPOTENCY_PRUNED_AT';
+  const PRUNE_EVERY_HOURS = 24;
+
+  const STATE = {
+    SENDING: 'sending',
+    QUEUED: 'queued',
+    SENT: 'sent'
+  };
+
+  /**
+   * Returns the idempotency settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.idempotency) || {});
+  }
+
+  /**
+   * Hex SHA-256 of a string
+   */
+  function sha256Hex(text) {
+    const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8);
+    return bytes.map(b => ('0' + ((b + 256) % 256).toString(16)).slice(-2)).join('');
+  }
+
+  /**
+   * Computes the stable key of a lead payload
+   * Uses email + Date Added + sheet row. The generated "now" timestamp is
+   * deliberately not used, so a row without Date Added still keeps its key.
+   */
+  function computeKey(data, rowNumber) {
+    let dateAdded = data.dateAdded || '';
+    if (dateAdded instanceof Date) {
+      dateAdded = dateAdded.toISOString();
+    }
+    const parts = [
+      (data.email || '').toString().trim().toLowerCase(),
+      dateAdded.toString().trim(),
+      rowNumber || ''
+    ];
+    return sha256Hex(parts.join('|'));
+  }
+
+  /**
+   * Reads the stored record of a key, or null if the key is unknown
+   */
+  function getRecord(key) {
+    const value = PropertiesService.getScriptProperties().getProperty(PROPERTY_PREFIX + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Stores the state of a key
+   */
+  function setState(key, state) {
+    PropertiesService.getScriptProperties().setProperty(
+      PROPERTY_PREFIX + key,
+      JSON.stringify({ state: state, at: new Date().toISOString() })
+    );
+  }
+
+  /**
+   * Whether the key belongs to a payload that is sent or being sent
+   */
+  function isKnown(key) {
+    const record = getRecord(key);
+    if (!record) {
+      return false;
+    }
+    if (record.state === STATE.SENDING) {
+      const ageMinutes = (Date.now() - new Date(record.at).getTime()) / 60000;
+      return ageMinutes < SENDING_TTL_MINUTES;
+    }
+    return true;
+  }
+
+  /**
+   * Deletes sent keys older than retentionDays and abandoned sending keys
+   * Returns how many were removed
+   */
+  function prune(config, now) {
+    const time = (now || new Date()).getTime();
+    const retentionDays = getSettings(config).retentionDays;
+    const properties = PropertiesService.getScriptProperties();
+    const stored = properties.getProperties();
+
+    const expired = Object.keys(stored).filter(name => {
+      if (name.indexOf(PROPERTY_PREFIX) !== 0) {
+        return false;
+      }
+      const record = JSON.parse(stored[name]);
+      const ageMinutes = (time - new Date(record.at).getTime()) / 60000;
+      if (record.state === STATE.SENT) {
+        return retentionDays > 0 && ageMinutes > retentionDays * 24 * 60;
+      }
+      return record.state === STATE.SENDING && ageMinutes > SENDING_TTL_MINUTES;
+    });
+
+    expired.forEach(name => properties.deleteProperty(name));
+    properties.setProperty(PRUNED_PROPERTY, new Date(time).toISOString());
+    if (expired.length > 0) {
+      Logger.log('✓ Removed ' + expired.length + ' expired idempotency keys');
+    }
+    return expired.length;
+  }
+
+  /**
+   * Runs prune() when it has not run for PRUNE_EVERY_HOURS
+   */
+  function pruneIfDue(config) {
+    const last = PropertiesService.getScriptProperties().getProperty(PRUNED_PROPERTY);
+    if (!last || Date.now() - new Date(last).getTime() >= PRUNE_EVERY_HOURS * 60 * 60 * 1000) {
+      prune(config);
+    }
+  }
+
+  /**
+   * Claims a key before sending
+   * Returns false if the payload was already sent, queued or is being sent
+   */
+  function claim(key, config) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30 * 1000);
+    try {
+      pruneIfDue(config);
+      if (isKnown(key)) {
+        return false;
+      }
+      setState(key, STATE.SENDING);
+      return true;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Records that Make.com accepted the payload
+   */
+  function markSent(key) {
+    setState(key, STATE.SENT);
+  }
+
+  /**
+   * Records that the outbox now owns the retries of the payload
+   */
+  function markQueued(key) {
+    setState(key, STATE.QUEUED);
+  }
+
+  /**
+   * Forgets a key so the payload can be sent again
+   */
+  function release(key) {
+    PropertiesService.getScriptProperties().deleteProperty(PROPERTY_PREFIX + key);
+  }
+
+  /**
+   * Forgets every stored key - returns how many were removed
+   */
+  function clearAll() {
+    const properties = PropertiesService.getScriptProperties();
+    const keys = Object.keys(properties.getProperties()).filter(name => name.indexOf(PROPERTY_PREFIX) === 0);
+    keys.forEach(name => properties.deleteProperty(name));
+    return keys.length;
+  }
+
+  return {
+    HEADER_NAME: HEADER_NAME,
+    STATE: STATE,
+    DEFAULTS: DEFAULTS,
+    getSettings: getSettings,
+    computeKey: computeKey,
+    getRecord: getRecord,
+    isKnown: isKnown,
+    prune: prune,
+    claim: claim,
+    markSent: markSent,
+    markQueued: markQueued,
+    release: release,
+    clearAll: clearAll
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoIdempotency;
+}
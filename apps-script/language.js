@@ -0,0 +1,117 @@
+/**
+ * Expo Language - maps free-text language values to "en" / "ar"
+ *
+ * The Language column holds whatever the form or staff typed: "Arabic",
+ * "العربية", "AR ", "English / الإنجليزية" or nothing at all. normalize()
+ * turns it into the "en" / "ar" the Make.com routers filter on. When the
+ * cell is empty (or unrecognizable) the language is inferred from the
+ * script of the name, then the comments - an Arabic name gets Arabic emails.
+ *
+ * The payload's languageSource field says where the value came from:
+ *   explicit - recognized from the Language column
+ *   inferred - guessed from the script of the name or comments
+ *   default  - nothing to go on, so "en"
+ */
+
+var ExpoLanguage = (function () {
+
+  const DEFAULT_LANGUAGE = 'en';
+
+  const SOURCE = {
+    EXPLICIT: 'explicit',
+    INFERRED: 'inferred',
+    DEFAULT: 'default'
+  };
+
+  // Compared after lowercasing and removing punctuation, Arabic diacritics
+  // and the "ال" article, so "العربية" matches "عربية"
+  const ALIASES = {
+    en: ['en', 'eng', 'english', 'انجليزي', 'انجليزية', 'انكليزي', 'انكليزية', 'إنجليزي', 'إنجليزية'],
+    ar: ['ar', 'ara', 'arb', 'arabic', 'عربي', 'عربية', 'عربى']
+  };
+
+  const ARABIC_LETTERS = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/g;
+  const LATIN_LETTERS = /[A-Za-z\u00C0-\u024F]/g;
+
+  /**
+   * Simplifies one word of a language value for alias matching
+   */
+  function simplify(word) {
+    return word
+      .toLowerCase()
+      .replace(/[\u064B-\u065F\u0670]/g, '')
+      .replace(/^ال/, '');
+  }
+
+  /**
+   * Maps a Language cell to "en" / "ar", or null if not recognizable
+   * Bilingual answers such as "English / الإنجليزية" match on any word
+   */
+  function parse(value) {
+    const words = (value || '').toString()
+      .split(/[\s/|,;:()\-–.]+/)
+      .map(simplify)
+      .filter(word => word !== '');
+
+    const found = {};
+    words.forEach(word => {
+      Object.keys(ALIASES).forEach(language => {
+        if (ALIASES[language].map(simplify).indexOf(word) !== -1) {
+          found[language] = true;
+        }
+      });
+    });
+
+    const languages = Object.keys(found);
+    return languages.length === 1 ? languages[0] : null;
+  }
+
+  /**
+   * Guesses the language from the letters of a text
+   * Returns "ar" when Arabic letters outnumber Latin ones, "en" for mostly
+   * Latin text and null when the text has no letters
+   */
+  function detectScript(text) {
+    const value = (text || '').toString();
+    const arabic = (value.match(ARABIC_LETTERS) || []).length;
+    const latin = (value.match(LATIN_LETTERS) || []).length;
+
+    if (arabic === 0 && latin === 0) {
+      return null;
+    }
+    return arabic > latin ? 'ar' : 'en';
+  }
+
+  /**
+   * Normalizes a Language cell, inferring it from context when needed
+   * context - { name, comments } of the same lead
+   * Returns { language, source }
+   */
+  function normalize(value, context) {
+    const explicit = parse(value);
+    if (explicit) {
+      return { language: explicit, source: SOURCE.EXPLICIT };
+    }
+
+    const lead = context || {};
+    const inferred = detectScript(lead.name) || detectScript(lead.comments);
+    if (inferred) {
+      return { language: inferred, source: SOURCE.INFERRED };
+    }
+
+    return { language: DEFAULT_LANGUAGE, source: SOURCE.DEFAULT };
+  }
+
+  return {
+    DEFAULT_LANGUAGE: DEFAULT_LANGUAGE,
+    SOURCE: SOURCE,
+    ALIASES: ALIASES,
+    parse: parse,
+    detectScript: detectScript,
+    normalize: normalize
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoLanguage;
+}
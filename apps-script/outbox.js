@@ -0,0 +1,333 @@
+/**
+ * Expo Outbox - durable retry queue for failed webhook calls
+ *
+ * When Make.com answers with a 5xx/429 or the request times out, the lead
+ * data is stored in a hidden "webhook_outbox" sheet instead of being lost.
+ * A time-driven trigger (retryWebhookOutbox in triggers.js) resends queued
+ * entries with exponential backoff. After the last attempt the entry is kept
+ * as "failed" and the lead's row is marked in the Notes column (or Status if
+ * the sheet has no Notes column).
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.outbox):
+ *   sheetName         - outbox tab name (default 'webhook_outbox')
+ *   maxAttempts       - attempts before giving up, including the first (default 5)
+ *   baseDelayMinutes  - delay after the first failure, doubled each time (default 5)
+ *   maxDelayMinutes   - upper bound for a single delay (default 360)
+ *   checkEveryMinutes - how often the retry trigger runs: 1, 5, 10, 15 or 30 (default 10)
+ */
+
+var ExpoOutbox = (function () {
+
+  const DEFAULTS = {
+    sheetName: 'webhook_outbox',
+    maxAttempts: 5,
+    baseDelayMinutes: 5,
+    maxDelayMinutes: 360,
+    checkEveryMinutes: 10
+  };
+
+  const HEADERS = ['ID', 'Created', 'State', 'Attempts', 'Next Attempt', 'Last Status', 'Last Error', 'Lead Row', 'Email', 'Data'];
+
+  const STATE = {
+    PENDING: 'pending',
+    FAILED: 'failed'
+  };
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  function idempotency() {
+    return typeof ExpoIdempotency !== 'undefined' ? ExpoIdempotency : require('./idempotency');
+  }
+
+  /**
+   * Returns the outbox settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.outbox) || {});
+  }
+
+  /**
+   * Whether a failed sendToWebhook() result is worth retrying
+   * Timeouts/network errors have no status code; 408, 429 and 5xx are transient.
+   * Payloads rejected by the schema check would fail the same way again.
+   */
+  function isRetryable(response) {
+    if (!response || response.success || response.invalid) {
+      return false;
+    }
+    const code = response.statusCode;
+    return !code || code === 408 || code === 429 || code >= 500;
+  }
+
+  /**
+   * Minutes to wait before the next attempt, given the attempts made so far
+   */
+  function getBackoffMinutes(attempts, config) {
+    const settings = getSettings(config);
+    const delay = settings.baseDelayMinutes * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, settings.maxDelayMinutes);
+  }
+
+  /**
+   * Returns the hidden outbox sheet, creating it on first use
+   */
+  function getOutboxSheet(spreadsheet, config) {
+    const settings = getSettings(config);
+    let sheet = spreadsheet.getSheetByName(settings.sheetName);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(settings.sheetName);
+      sheet.getRange(1, 1, 1, HEADERS.length).setValues([HEADERS]);
+      sheet.hideSheet();
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Stores a failed delivery in the outbox for a later retry
+   * The first attempt has already been made, so Attempts starts at 1
+   */
+  function enqueue(spreadsheet, data, rowNumber, response, config) {
+    const sheet = getOutboxSheet(spreadsheet, config);
+    const now = new Date();
+    const nextAttempt = new Date(now.getTime() + getBackoffMinutes(1, config) * 60 * 1000);
+    const id = Utilities.getUuid();
+
+    sheet.appendRow([
+      id,
+      now,
+      STATE.PENDING,
+      1,
+      nextAttempt,
+      response.statusCode || '',
+      response.error || '',
+      rowNumber || '',
+      data.email || '',
+      JSON.stringify(data)
+    ]);
+
+    return id;
+  }
+
+  /**
+   * Deals with a failed sendToWebhook() result from a trigger
+   * Transient errors are queued for retry, anything else marks the lead row.
+   * Returns true if the payload was queued.
+   */
+  function handleFailure(spreadsheet, data, rowNumber, response, config) {
+    if (isRetryable(response) && getSettings(config).maxAttempts > 1) {
+      enqueue(spreadsheet, data, rowNumber, response, config);
+      Logger.log('→ Queued for retry in ' + getBackoffMinutes(1, config) + ' minutes (outbox)');
+      return true;
+    }
+
+    markLeadRow(spreadsheet, data.email, rowNumber, 'Webhook failed (' + (response.statusCode || 'no response') + '): ' + (response.error || 'Unknown error'), config);
+    return false;
+  }
+
+  /**
+   * Appends a note to the lead's row (Notes column, or Status as a fallback)
+   * The stored row number is checked against the email in case rows moved
+   */
+  function markLeadRow(spreadsheet, email, rowNumber, message, config) {
+    try {
+      return writeLeadNote(spreadsheet, email, rowNumber, message, config);
+    } catch (error) {
+      Logger.log('✗ Cannot mark lead ' + email + ': ' + error.toString());
+      return false;
+    }
+  }
+
+  /**
+   * Writes the note for markLeadRow() - may throw on sheet errors
+   */
+  function writeLeadNote(spreadsheet, email, rowNumber, message, config) {
+    const sheet = core().getSheet(spreadsheet, config);
+    if (!sheet) {
+      return false;
+    }
+
+    const headerRow = core().getHeaderRow(sheet);
+    const columns = core().resolveColumnMapping(headerRow, config);
+    const targetColumn = columns.NOTES || columns.STATUS;
+    if (!targetColumn) {
+      Logger.log('✗ Cannot mark lead ' + email + ': no Notes or Status column');
+      return false;
+    }
+
+    const leadRow = findLeadRow(sheet, columns, email, rowNumber);
+    if (!leadRow) {
+      Logger.log('✗ Cannot mark lead ' + email + ': row not found');
+      return false;
+    }
+
+    const cell = sheet.getRange(leadRow, targetColumn);
+    const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+    const existing = (cell.getValue() || '').toString().trim();
+    const note = '[' + stamp + '] ' + message;
+    cell.setValue(existing ? existing + '\n' + note : note);
+    return true;
+  }
+
+  /**
+   * Finds the row of a lead, trying the remembered row number first
+   */
+  function findLeadRow(sheet, columns, email, rowNumber) {
+    const target = (email || '').toString().trim().toLowerCase();
+    const lastRow = sheet.getLastRow();
+
+    if (rowNumber && rowNumber >= 2 && rowNumber <= lastRow) {
+      const value = sheet.getRange(rowNumber, columns.EMAIL).getValue();
+      if (!target || value.toString().trim().toLowerCase() === target) {
+        return rowNumber;
+      }
+    }
+
+    if (!target || lastRow < 2) {
+      return null;
+    }
+
+    const emails = sheet.getRange(2, columns.EMAIL, lastRow - 1, 1).getValues();
+    for (let i = 0; i < emails.length; i++) {
+      if (emails[i][0].toString().trim().toLowerCase() === target) {
+        return i + 2;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resends every due outbox entry
+   * Called by the time-driven trigger; returns a summary of what happened
+   */
+  function processOutbox(config) {
+    const summary = { sent: 0, retried: 0, failed: 0, skipped: 0 };
+    const lock = LockService.getScriptLock();
+
+    if (!lock.tryLock(30 * 1000)) {
+      Logger.log('Outbox is already being processed - skipping this run');
+      return summary;
+    }
+
+    try {
+      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      const settings = getSettings(config);
+      const sheet = spreadsheet.getSheetByName(settings.sheetName);
+      if (!sheet || sheet.getLastRow() < 2) {
+        return summary;
+      }
+
+      const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, HEADERS.length).getValues();
+      const now = new Date();
+      const sentRows = [];
+
+      rows.forEach((row, index) => {
+        const rowNumber = index + 2;
+        const entry = toEntry(row);
+
+        if (entry.state !== STATE.PENDING || (entry.nextAttempt && entry.nextAttempt > now)) {
+          summary.skipped++;
+          return;
+        }
+
+        const response = core().sendToWebhook(entry.data, config);
+        const attempts = entry.attempts + 1;
+
+        if (response.success) {
+          if (entry.data.idempotencyKey) {
+            idempotency().markSent(entry.data.idempotencyKey);
+          }
+          sentRows.push(rowNumber);
+          summary.sent++;
+          Logger.log('✓ Outbox: delivered ' + entry.email + ' on attempt ' + attempts);
+          return;
+        }
+
+        if (attempts >= settings.maxAttempts || !isRetryable(response)) {
+          sheet.getRange(rowNumber, 3, 1, 5).setValues([[STATE.FAILED, attempts, '', response.statusCode || '', response.error || '']]);
+          // Forget the key so the lead can be resent by hand once fixed
+          if (entry.data.idempotencyKey) {
+            idempotency().release(entry.data.idempotencyKey);
+          }
+          markLeadRow(spreadsheet, entry.email, entry.leadRow, 'Webhook failed after ' + attempts + ' attempts (' + (response.statusCode || 'no response') + '): ' + (response.error || 'Unknown error'), config);
+          summary.failed++;
+          Logger.log('✗ Outbox: giving up on ' + entry.email + ' after ' + attempts + ' attempts');
+          return;
+        }
+
+        const nextAttempt = new Date(now.getTime() + getBackoffMinutes(attempts, config) * 60 * 1000);
+        sheet.getRange(rowNumber, 4, 1, 4).setValues([[attempts, nextAttempt, response.statusCode || '', response.error || '']]);
+        summary.retried++;
+      });
+
+      // Delete bottom-up so the remaining row numbers stay valid
+      sentRows.reverse().forEach(rowNumber => sheet.deleteRow(rowNumber));
+
+      Logger.log('Outbox run: ' + summary.sent + ' sent, ' + summary.retried + ' rescheduled, ' +
+        summary.failed + ' failed, ' + summary.skipped + ' skipped');
+      return summary;
+
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Converts an outbox sheet row to an entry object
+   */
+  function toEntry(row) {
+    return {
+      id: row[0],
+      created: row[1],
+      state: row[2],
+      attempts: Number(row[3]) || 0,
+      nextAttempt: row[4] instanceof Date ? row[4] : (row[4] ? new Date(row[4]) : null),
+      leadRow: Number(row[7]) || null,
+      email: row[8],
+      data: JSON.parse(row[9] || '{}')
+    };
+  }
+
+  /**
+   * Installs the time-driven trigger that runs the given handler function
+   * Does nothing if a trigger for that handler already exists
+   */
+  function installTrigger(handlerName, config) {
+    const exists = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === handlerName);
+    if (exists) {
+      Logger.log('Trigger for ' + handlerName + ' already installed');
+      return false;
+    }
+
+    ScriptApp.newTrigger(handlerName)
+      .timeBased()
+      .everyMinutes(getSettings(config).checkEveryMinutes)
+      .create();
+    Logger.log('✓ Installed trigger: ' + handlerName + ' every ' + getSettings(config).checkEveryMinutes + ' minutes');
+    return true;
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    HEADERS: HEADERS,
+    STATE: STATE,
+    getSettings: getSettings,
+    isRetryable: isRetryable,
+    getBackoffMinutes: getBackoffMinutes,
+    getOutboxSheet: getOutboxSheet,
+    enqueue: enqueue,
+    handleFailure: handleFailure,
+    markLeadRow: markLeadRow,
+    findLeadRow: findLeadRow,
+    processOutbox: processOutbox,
+    installTrigger: installTrigger
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoOutbox;
+}
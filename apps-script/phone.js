@@ -0,0 +1,130 @@
+/**
+ * Expo Phone - normalizes phone numbers to E.164 (Oman / UAE rules)
+ *
+ * Phones arrive as "+968 9708 3232", "97083232", "0097158…" or "050 123 4567".
+ * normalize() strips the formatting, reads 00 / + international prefixes and
+ * applies the national numbering rules:
+ *   Oman (+968) - 8 digits, mobiles start with 7 or 9, landlines with 2
+ *   UAE (+971)  - mobiles 5X + 7 digits, landlines area code 2/3/4/6/7/9 +
+ *                 7 digits; the domestic trunk 0 (050…, 04…) is dropped
+ * Numbers without a country code are tried against the default country
+ * (Oman) first, then the UAE. Other country codes are accepted when their
+ * length fits E.164, but cannot be checked further.
+ *
+ * The payload gets phone (E.164 when valid, otherwise the original text),
+ * phoneValid and phoneCountry ("OM", "AE", or "" when unknown).
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.phone):
+ *   defaultCountry - 'OM' or 'AE', tried first for local numbers (default 'OM')
+ */
+
+var ExpoPhone = (function () {
+
+  const DEFAULTS = {
+    defaultCountry: 'OM'
+  };
+
+  const COUNTRIES = {
+    OM: {
+      code: '968',
+      // No trunk prefix in Oman
+      trunkPrefix: '',
+      pattern: /^[279]\d{7}$/
+    },
+    AE: {
+      code: '971',
+      trunkPrefix: '0',
+      pattern: /^(5[024568]\d{7}|[234679]\d{7})$/
+    }
+  };
+
+  /**
+   * Returns the phone settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.phone) || {});
+  }
+
+  /**
+   * Converts Arabic-Indic digits (٠١٢ / ۰۱۲) to ASCII digits
+   */
+  function toAsciiDigits(text) {
+    return text
+      .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+  }
+
+  /**
+   * Checks a national number against a country's rules
+   * Returns the E.164 number or null
+   */
+  function matchCountry(national, country) {
+    const rules = COUNTRIES[country];
+    let number = national;
+    if (rules.trunkPrefix && number.indexOf(rules.trunkPrefix) === 0) {
+      number = number.slice(rules.trunkPrefix.length);
+    }
+    return rules.pattern.test(number) ? '+' + rules.code + number : null;
+  }
+
+  /**
+   * Normalizes a phone number
+   * Returns { e164, valid, country } - e164 is '' when the number is invalid
+   */
+  function normalize(value, config) {
+    const text = toAsciiDigits((value || '').toString().trim());
+    const result = { e164: '', valid: false, country: '' };
+    if (text === '') {
+      return result;
+    }
+
+    const international = /^(\+|00)/.test(text);
+    let digits = text.replace(/\D/g, '');
+    if (text.indexOf('00') === 0) {
+      digits = digits.slice(2);
+    }
+    const countries = Object.keys(COUNTRIES);
+
+    // With a country code: +968…, 00971…, or 968… / 971… typed without the +
+    for (let i = 0; i < countries.length; i++) {
+      const country = countries[i];
+      const code = COUNTRIES[country].code;
+      if (digits.indexOf(code) === 0 && (international || digits.length >= code.length + 8)) {
+        const e164 = matchCountry(digits.slice(code.length), country);
+        return e164 ? { e164: e164, valid: true, country: country } : Object.assign(result, { country: country });
+      }
+    }
+
+    if (international) {
+      // Another country: only the E.164 length can be checked
+      if (digits.length >= 8 && digits.length <= 15) {
+        return { e164: '+' + digits, valid: true, country: '' };
+      }
+      return result;
+    }
+
+    // Local number: default country first, then the others
+    const defaultCountry = getSettings(config).defaultCountry;
+    const order = [defaultCountry].concat(countries.filter(country => country !== defaultCountry));
+    for (let i = 0; i < order.length; i++) {
+      const e164 = matchCountry(digits, order[i]);
+      if (e164) {
+        return { e164: e164, valid: true, country: order[i] };
+      }
+    }
+
+    return result;
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    COUNTRIES: COUNTRIES,
+    getSettings: getSettings,
+    toAsciiDigits: toAsciiDigits,
+    normalize: normalize
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoPhone;
+}
@@ -0,0 +1,488 @@
+/**
+ * Expo Schema - the declared contract of the webhook payload
+ *
+ * PAYLOAD_SCHEMA is a JSON Schema (draft-07) of what buildPayload() sends to
+ * Make.com. Every payload carries schemaVersion, and sendToWebhook() checks
+ * the payload against the schema before sending - a payload that breaks the
+ * contract is never posted.
+ *
+ * Besides the standard keywords each field has:
+ *   x-source - where the value comes from (sheet column, computed, ...);
+ *              sheet column letters are read from google-sheets-config.json
+ *   x-notes  - extra lines for the generated reference; a line starting
+ *              with spaces continues the line before it
+ *   x-sent   - when an optional field is sent (default 'edit events only')
+ * The FIELD DESCRIPTIONS of WEBHOOK-PAYLOAD-REFERENCE.txt and
+ * webhook-payload.schema.json are generated from this file:
+ *   node tools/generate-payload-reference.js          (rewrite both)
+ *   node tools/generate-payload-reference.js --check  (fail if out of date)
+ *
+ * VERSIONING: bump SCHEMA_VERSION when a field is added, removed, renamed or
+ * changes type or meaning - the major number when existing Make.com
+ * scenarios would break, the minor number otherwise.
+ */
+
+var ExpoSchema = (function () {
+
+  const SCHEMA_VERSION = '1.5';
+
+  // Letter → header of the leads sheet columns, from the file the Make.com
+  // Google Sheets modules read. Only Node (which generates the reference)
+  // can load it; in Apps Script x-source names the header alone.
+  const SHEET_COLUMNS = typeof require !== 'undefined' ? require('../google-sheets-config.json').columnMappings : {};
+
+  /**
+   * x-source of a sheet column: "Column E (Status)", or "Status column"
+   * when the column is not in google-sheets-config.json
+   */
+  function column(header) {
+    const letter = Object.keys(SHEET_COLUMNS).find(key => SHEET_COLUMNS[key] === header);
+    return letter ? 'Column ' + letter + ' (' + header + ')' : header + ' column';
+  }
+
+  const PAYLOAD_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'UAE Property Expo webhook payload',
+    description: 'JSON body posted by the Apps Script to the Make.com webhooks',
+    type: 'object',
+    required: [
+      'schemaVersion', 'event', 'timestamp', 'name', 'email', 'phone', 'phoneValid',
+      'phoneCountry', 'language', 'languageSource', 'status', 'attendance', 'response',
+      'attendanceStatus', 'responseDate', 'comments', 'preferredDay', 'partySize',
+      'timeSlot', 'ticketId', 'ticketToken', 'ticketQrUrl', 'rowNumber'
+    ],
+    additionalProperties: false,
+    dependencies: {
+      changedField: ['oldValue', 'newValue'],
+      oldValue: ['changedField'],
+      newValue: ['changedField'],
+      duplicateRow: ['matchedOn', 'mergedFields'],
+      matchedOn: ['duplicateRow'],
+      mergedFields: ['duplicateRow']
+    },
+    properties: {
+      schemaVersion: {
+        type: 'string',
+        const: SCHEMA_VERSION,
+        description: 'Version of this payload contract',
+        'x-source': 'apps-script/schema.js',
+        'x-notes': ['Filter on it in Make.com to catch payloads a scenario was not built for']
+      },
+      event: {
+        type: 'string',
+        enum: ['new_lead', 'attendance_response', 'status_change', 'lead_updated'],
+        description: 'What happened, and which webhook the payload was routed to',
+        'x-source': 'onFormSubmit() or the edit tracker (edits.js)',
+        'x-notes': [
+          'new_lead            - a new lead was submitted (Email 1 invitation)',
+          'attendance_response - a response was submitted or the Response column',
+          '                        was edited',
+          'status_change       - staff edited the Status column',
+          'lead_updated        - an existing lead submitted the form again; their',
+          '                        row was updated, no new invitation (dedupe.js)',
+          'Routing: DEPLOYMENT_CONFIG.webhooks maps each event to a webhook URL;',
+          '  events without an entry go to webhookUrl. Routes saved in Expo',
+          '  Setup → Webhook & sheet settings replace DEPLOYMENT_CONFIG.webhooks',
+          'testWebhook() always sends new_lead'
+        ]
+      },
+      timestamp: {
+        type: 'string',
+        minLength: 1,
+        description: 'When the lead was added, ISO 8601 ("2025-11-29T21:14:40.121Z")',
+        'x-source': column('Date Added') + ', the form Timestamp, or the current time'
+      },
+      name: {
+        type: 'string',
+        description: 'Full name of the respondent, trimmed',
+        'x-source': column('Name')
+      },
+      email: {
+        type: 'string',
+        pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$',
+        description: 'Email address of the respondent, trimmed and lowercased',
+        'x-source': column('Email'),
+        'x-notes': [
+          'REQUIRED - rows without an email are not sent',
+          'Validated before sending (email.js): badly formed addresses and',
+          '  disposable domains are not sent - the row\'s Notes column says why',
+          'Likely typos ("gmial.com", "gmail.cor", "omantel.net") are still sent;',
+          '  the suggested correction is logged for staff to review'
+        ]
+      },
+      phone: {
+        type: 'string',
+        description: 'Phone number in E.164 format: "+96897083232", "+971585312174"',
+        'x-source': column('Phone') + ', normalized by phone.js',
+        'x-notes': [
+          '"9708 3232", "00968 9708 3232", "050 123 4567" and Arabic-Indic digits',
+          '  are all recognized',
+          'Numbers without a country code are read as Oman first, then UAE',
+          '  (DEPLOYMENT_CONFIG.phone.defaultCountry = \'AE\' reverses the order)',
+          'Invalid numbers are sent as typed (trimmed) - check phoneValid',
+          'May be empty'
+        ]
+      },
+      phoneValid: {
+        type: 'boolean',
+        description: 'true when phone is a valid E.164 number',
+        'x-source': 'phone.js',
+        'x-notes': [
+          'Oman: 8 digits starting with 2, 7 or 9',
+          'UAE: mobiles 050/052/054/055/056/058 + 7 digits, landlines area code',
+          '  02/03/04/06/07/09 + 7 digits',
+          'Other country codes: valid when the length fits E.164 (8-15 digits)',
+          'false for empty phones'
+        ]
+      },
+      phoneCountry: {
+        type: 'string',
+        enum: ['OM', 'AE', ''],
+        description: 'Country of the phone number',
+        'x-source': 'phone.js',
+        'x-notes': ['"" when empty, invalid without a known code, or another country']
+      },
+      language: {
+        type: 'string',
+        enum: ['en', 'ar'],
+        description: 'Language of the emails the lead gets',
+        'x-source': column('Language') + ', normalized by language.js',
+        'x-notes': [
+          '"Arabic", "العربية", "AR ", "English / الإنجليزية" etc. are all recognized',
+          'Empty or unrecognized: inferred from the script of the name, then the',
+          '  comments (an Arabic name → "ar"); "en" if there is nothing to go on'
+        ]
+      },
+      languageSource: {
+        type: 'string',
+        enum: ['explicit', 'inferred', 'default'],
+        description: 'Where the language came from',
+        'x-source': 'language.js',
+        'x-notes': [
+          'explicit - recognized from the Language column',
+          'inferred - guessed from the script of the name or comments',
+          'default  - nothing to go on, so "en"',
+          'Useful to review inferred leads before sending Arabic emails'
+        ]
+      },
+      status: {
+        type: 'string',
+        description: 'Current status of the lead',
+        'x-source': column('Status'),
+        'x-notes': ['Examples: "Email 1 Sent", "Email 2 Sent", "Email 3 Sent"', 'May be empty']
+      },
+      attendance: {
+        type: 'string',
+        description: 'Same value as response',
+        'x-source': column('Response'),
+        'x-notes': [
+          'Kept for the Make.com scenarios built before the response field existed;',
+          '  new scenarios should use response'
+        ]
+      },
+      response: {
+        type: 'string',
+        description: 'Form response / attendance answer',
+        'x-source': column('Response'),
+        'x-notes': [
+          'Examples: "Yes, I\'ll attend", "No, I cannot attend"',
+          'The raw answer as submitted; onFormSubmit() then replaces the cell',
+          '  with attendanceStatus (unless it is unknown)',
+          'May be empty'
+        ]
+      },
+      attendanceStatus: {
+        type: 'string',
+        enum: ['attending', 'declined', 'tentative', 'unknown'],
+        description: 'The response as one of four fixed values',
+        'x-source': 'response, normalized by attendance.js',
+        'x-notes': [
+          'English and Arabic answers are recognized: "Yes, I\'ll attend", "نعم، سأحضر"',
+          '  → attending; "No, I cannot attend", "لن أحضر" → declined;',
+          '  "Maybe", "ربما" → tentative',
+          'unknown when the response is empty or not recognizable',
+          '"Yes, no problem", "Can\'t wait to attend!", "لا مانع" → attending',
+          'Written back to the Response column by onFormSubmit()',
+          'Filter Make.com routers on this instead of the response text'
+        ]
+      },
+      responseDate: {
+        type: 'string',
+        description: 'When the response was submitted',
+        'x-source': column('Response Date'),
+        'x-notes': ['May be empty']
+      },
+      comments: {
+        type: 'string',
+        description: 'Additional comments from the respondent, trimmed',
+        'x-source': column('Comments'),
+        'x-notes': ['May be empty']
+      },
+      preferredDay: {
+        type: 'string',
+        enum: ['2025-12-26', '2025-12-27', 'both', ''],
+        description: 'The expo day the guest plans to come on',
+        'x-source': column('Preferred Day') + ', normalized by sessions.js',
+        'x-notes': [
+          '"Friday", "26 Dec", "Day 1", "الجمعة" → 2025-12-26;',
+          '  "Saturday", "Day 2", "السبت" → 2025-12-27; "Both days", "كلا اليومين" → both',
+          'Empty when the column is missing, empty or not recognizable'
+        ]
+      },
+      partySize: {
+        type: 'integer',
+        minimum: 1,
+        description: 'People coming, the guest included',
+        'x-source': column('Party Size') + ', normalized by sessions.js',
+        'x-notes': [
+          'Examples: "3" → 3, "Me + 2" → 3, "2-3" → 3, "٤" → 4, "two" → 2',
+          'The first number counts: "family of 4 (2 adults 2 kids)" → 4',
+          '1 when the column is missing, empty or not recognizable'
+        ]
+      },
+      timeSlot: {
+        type: 'string',
+        enum: ['morning', 'afternoon', 'evening', ''],
+        description: 'The part of the day the guest plans to come',
+        'x-source': column('Time Slot') + ', normalized by sessions.js',
+        'x-notes': [
+          'morning before 12:00, afternoon 12:00-17:00, evening from 17:00',
+          'Examples: "Morning", "4 PM", "18:00 - 21:00", "مساءً"',
+          'Empty when the column is missing, empty or not recognizable'
+        ]
+      },
+      ticketId: {
+        type: 'string',
+        description: 'The attendee\'s ticket, e.g. "EXPO-7F3A9C2B"',
+        'x-source': column('Ticket ID') + ' (added after the last column if missing), issued by tickets.js',
+        'x-notes': [
+          'Issued once, when the response becomes attending (form submission',
+          '  or a Response edit); the lead keeps it afterwards',
+          'Empty for leads without a ticket'
+        ]
+      },
+      ticketToken: {
+        type: 'string',
+        description: 'The signed text the ticket\'s QR code encodes: "<ticketId>.<signature>"',
+        'x-source': 'tickets.js (HMAC-SHA256 with the TICKET_SECRET Script Property)',
+        'x-notes': [
+          'Checked at the entrance; a typed or altered token does not verify',
+          'Empty for leads without a ticket'
+        ]
+      },
+      ticketQrUrl: {
+        type: 'string',
+        description: 'URL of the QR code image (PNG) of ticketToken',
+        'x-source': 'tickets.js (config.tickets.qrUrl)',
+        'x-notes': [
+          'Use as <img src="{{1.ticketQrUrl}}"> in the confirmation email',
+          'Empty for leads without a ticket'
+        ]
+      },
+      rowNumber: {
+        type: ['integer', 'string'],
+        maxLength: 0,
+        description: 'The sheet row the lead was read from (row 1 is the header row)',
+        'x-source': 'The form event\'s own range (e.range), never getLastRow()',
+        'x-notes': [
+          'Concurrent submissions and sorted sheets still report the right row',
+          'Empty string when the row could not be determined (and in testWebhook())'
+        ]
+      },
+      changedField: {
+        type: 'string',
+        enum: ['status', 'response'],
+        description: 'Edit events only: the column staff changed',
+        'x-source': 'edits.js',
+        'x-notes': ['Not present in form submission payloads']
+      },
+      oldValue: {
+        type: 'string',
+        description: 'Edit events only: the value before the first edit',
+        'x-source': 'edits.js'
+      },
+      newValue: {
+        type: 'string',
+        description: 'Edit events only: the value after the last edit',
+        'x-source': 'edits.js',
+        'x-notes': ['Edits are debounced - see apps-script/edits.js']
+      },
+      duplicateRow: {
+        type: 'integer',
+        description: 'Merged submissions only: the row the repeated submission was written to',
+        'x-source': 'dedupe.js',
+        'x-sent': 'merged submissions only',
+        'x-notes': [
+          'The row is archived (or deleted), so rowNumber is the lead\'s own row',
+          'Sent with lead_updated, and with attendance_response when the repeated',
+          '  submission answered the attendance question'
+        ]
+      },
+      matchedOn: {
+        type: 'string',
+        enum: ['email', 'phone'],
+        description: 'Merged submissions only: how the existing lead was found',
+        'x-source': 'dedupe.js',
+        'x-sent': 'merged submissions only',
+        'x-notes': ['Email (trimmed, lowercased) first, then the E.164 phone number']
+      },
+      mergedFields: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Merged submissions only: headers of the columns the submission changed',
+        'x-source': 'dedupe.js',
+        'x-sent': 'merged submissions only',
+        'x-notes': ['Example: ["Name", "Phone"]; empty when nothing new was submitted']
+      }
+    }
+  };
+
+  // ==========================================================================
+  // VALIDATION
+  // ==========================================================================
+
+  /**
+   * JSON Schema type name of a value
+   */
+  function typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      return 'integer';
+    }
+    return typeof value;
+  }
+
+  /**
+   * Checks one value against a property schema
+   * Returns a list of problems (empty when the value is valid)
+   */
+  function validateValue(name, value, rules) {
+    const types = [].concat(rules.type || []);
+    const actual = typeOf(value);
+    if (types.length > 0 && !types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+      return [name + ' should be ' + types.join(' or ') + ', got ' + actual];
+    }
+
+    const problems = [];
+    if (rules.const !== undefined && value !== rules.const) {
+      problems.push(name + ' should be ' + JSON.stringify(rules.const) + ', got ' + JSON.stringify(value));
+    }
+    if (rules.enum && rules.enum.indexOf(value) === -1) {
+      problems.push(name + ' should be one of ' + rules.enum.map(item => JSON.stringify(item)).join(', ') + ', got ' + JSON.stringify(value));
+    }
+    if (actual === 'integer' && rules.minimum !== undefined && value < rules.minimum) {
+      problems.push(name + ' should be at least ' + rules.minimum + ', got ' + value);
+    }
+    if (actual === 'string') {
+      if (rules.minLength !== undefined && value.length < rules.minLength) {
+        problems.push(name + ' should not be empty');
+      }
+      if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        problems.push(name + (rules.maxLength === 0 ? ' should be empty' : ' should be at most ' + rules.maxLength + ' characters') + ', got ' + JSON.stringify(value));
+      }
+      if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+        problems.push(name + ' does not match ' + rules.pattern + ': ' + JSON.stringify(value));
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Checks a payload against PAYLOAD_SCHEMA
+   * Returns a list of problems (empty when the payload is valid)
+   */
+  function validate(payload, schema) {
+    const rules = schema || PAYLOAD_SCHEMA;
+    if (typeOf(payload) !== 'object') {
+      return ['payload should be an object, got ' + typeOf(payload)];
+    }
+
+    const problems = [];
+    rules.required.forEach(name => {
+      if (payload[name] === undefined) {
+        problems.push(name + ' is missing');
+      }
+    });
+
+    Object.keys(payload).forEach(name => {
+      const property = rules.properties[name];
+      if (!property) {
+        if (rules.additionalProperties === false) {
+          problems.push(name + ' is not in schema ' + SCHEMA_VERSION);
+        }
+        return;
+      }
+      if (payload[name] !== undefined) {
+        Array.prototype.push.apply(problems, validateValue(name, payload[name], property));
+      }
+    });
+
+    Object.keys(rules.dependencies || {}).forEach(name => {
+      if (payload[name] !== undefined) {
+        rules.dependencies[name].forEach(other => {
+          if (payload[other] === undefined) {
+            problems.push(other + ' is missing (required with ' + name + ')');
+          }
+        });
+      }
+    });
+
+    return problems;
+  }
+
+  // ==========================================================================
+  // REFERENCE
+  // ==========================================================================
+
+  /**
+   * Renders the FIELD DESCRIPTIONS section of WEBHOOK-PAYLOAD-REFERENCE.txt
+   */
+  function generateReference(schema) {
+    const rules = schema || PAYLOAD_SCHEMA;
+    const lines = ['Schema version: ' + rules.properties.schemaVersion.const, ''];
+
+    Object.keys(rules.properties).forEach(name => {
+      const property = rules.properties[name];
+      const types = [].concat(property.type).join(' or ');
+      const required = rules.required.indexOf(name) !== -1 ? ', always sent' : ', ' + (property['x-sent'] || 'edit events only');
+      lines.push(name + ' (' + types + required + ')');
+      lines.push('  - ' + property.description);
+      if (property.enum) {
+        lines.push('  - Values: ' + property.enum.map(item => JSON.stringify(item)).join(', '));
+      }
+      if (property['x-source']) {
+        lines.push('  - Source: ' + property['x-source']);
+      }
+      (property['x-notes'] || []).forEach(note => {
+        lines.push(/^\s/.test(note) ? '  ' + note : '  - ' + note);
+      });
+      lines.push('');
+    });
+
+    return lines.join('\n').trim() + '\n';
+  }
+
+  /**
+   * The schema as a standalone JSON document
+   */
+  function toJson(schema) {
+    return JSON.stringify(schema || PAYLOAD_SCHEMA, null, 2) + '\n';
+  }
+
+  return {
+    SCHEMA_VERSION: SCHEMA_VERSION,
+    PAYLOAD_SCHEMA: PAYLOAD_SCHEMA,
+    validate: validate,
+    generateReference: generateReference,
+    toJson: toJson
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoSchema;
+}
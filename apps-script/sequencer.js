@@ -0,0 +1,409 @@
+/**
+ * Expo Sequencer - sends Email 1/2/3 from Apps Script, without Make.com
+ *
+ * A time-driven trigger (runEmailSequence in triggers.js) reads the leads
+ * sheet and works out, from Status and the Email 1/2/3 Date columns, which
+ * message each lead is due:
+ *   Email 1 (invitation) - Status is empty or "New" and Email 1 Date is empty
+ *   Email 2 (reminder)   - Status "Email 1 Sent", Email 1 Date reminderAfterDays ago
+ *   Email 3 (final call) - Status "Email 2 Sent", Email 2 Date finalCallAfterDays ago
+ * Leads that already answered (Response column) or have any other Status
+ * ("Unsubscribed", "Campaign Complete", ...) get nothing. After a send the
+ * Status and the step's date column are written back, exactly like the
+ * Update Row modules of the Make.com scenarios do. Leads whose email fails
+ * validation (email.js) are skipped.
+ *
+ * Do not run this and the Make.com email scenarios at the same time - every
+ * lead would get each email twice.
+ *
+ * TRANSPORTS (DEPLOYMENT_CONFIG.sequence.transport):
+ *   'log'     - only logs the message (default, safe for testing)
+ *   'mailapp' - MailApp.sendEmail() from the script owner's account
+ *   'resend'  - Resend API, key in Script Properties (RESEND_API_KEY)
+ *   { send: function (message) { ... return { success: true }; } } - your own
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.sequence):
+ *   transport          - see above (default 'log')
+ *   from / fromName    - sender (default sales@thesmartpro.io / UAE Property Expo)
+ *   reminderAfterDays  - days between Email 1 and Email 2 (default 3)
+ *   finalCallAfterDays - days between Email 2 and Email 3 (default 4)
+ *   maxPerRun          - emails sent per run at most (default 50)
+ *   checkEveryHours    - how often the trigger runs (default 1)
+ *   render             - function (step, lead) returning { subject, html, text }
+ *
+ * Bodies come from the HTML email templates (templates.js) when they are in
+ * the project, otherwise from a short built-in message.
+ */
+
+var ExpoSequencer = (function () {
+
+  const DEFAULTS = {
+    transport: 'log',
+    from: 'sales@thesmartpro.io',
+    fromName: 'UAE Property Expo',
+    reminderAfterDays: 3,
+    finalCallAfterDays: 4,
+    maxPerRun: 50,
+    checkEveryHours: 1,
+    render: null
+  };
+
+  const RESEND_API_URL = 'https://api.resend.com/emails';
+  const RESEND_KEY_PROPERTY = 'RESEND_API_KEY';
+
+  // Statuses a lead can have before Email 1
+  const START_STATUSES = ['', 'new'];
+
+  const STEPS = [
+    { step: 1, name: 'invitation', dateField: 'EMAIL_1_DATE', status: 'Email 1 Sent' },
+    { step: 2, name: 'reminder', dateField: 'EMAIL_2_DATE', status: 'Email 2 Sent',
+      afterStatus: 'Email 1 Sent', afterDateField: 'EMAIL_1_DATE', delaySetting: 'reminderAfterDays' },
+    { step: 3, name: 'final_call', dateField: 'EMAIL_3_DATE', status: 'Email 3 Sent',
+      afterStatus: 'Email 2 Sent', afterDateField: 'EMAIL_2_DATE', delaySetting: 'finalCallAfterDays' }
+  ];
+
+  // Subjects and short bodies of the built-in messages (same subjects as the
+  // Make.com scenarios); a deployment can supply its own render function
+  const MESSAGES = {
+    1: {
+      en: { subject: '{name}, You\'re Invited to Showcase your project at UAE Property Expo Muscat Oman',
+        body: 'You are invited to showcase your project at UAE Property Expo Muscat, 26–27 December 2025 at the Grand Hyatt Muscat.' },
+      ar: { subject: '{name}، أنت مدعو! لمعرض عقارات الإمارات – مسقط',
+        body: 'يسعدنا دعوتكم لعرض مشروعكم في معرض عقارات الإمارات – مسقط، يومي 26 و27 ديسمبر 2025 في فندق جراند حياة مسقط.' }
+    },
+    2: {
+      en: { subject: 'Reminder: Don\'t Miss UAE Property Expo – Muscat',
+        body: 'A friendly reminder: UAE Property Expo Muscat takes place on 26–27 December 2025 at the Grand Hyatt Muscat. We would love to see you there.' },
+      ar: { subject: 'تذكير: لا تفوت معرض عقارات الإمارات – مسقط',
+        body: 'تذكير ودي: يقام معرض عقارات الإمارات – مسقط يومي 26 و27 ديسمبر 2025 في فندق جراند حياة مسقط. يسعدنا حضوركم.' }
+    },
+    3: {
+      en: { subject: '⏰ Final Call - UAE Property Expo Starts Soon!',
+        body: 'This is the final call: UAE Property Expo Muscat opens on 26 December 2025 at the Grand Hyatt Muscat. Reply to confirm your participation.' },
+      ar: { subject: '⏰ الفرصة الأخيرة - معرض عقارات الإمارات يبدأ قريباً',
+        body: 'الفرصة الأخيرة: يفتتح معرض عقارات الإمارات – مسقط في 26 ديسمبر 2025 في فندق جراند حياة مسقط. يرجى الرد لتأكيد مشاركتكم.' }
+    }
+  };
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  function emailCheck() {
+    return typeof ExpoEmail !== 'undefined' ? ExpoEmail : require('./email');
+  }
+
+  function outbox() {
+    return typeof ExpoOutbox !== 'undefined' ? ExpoOutbox : require('./outbox');
+  }
+
+  function templates() {
+    return typeof ExpoTemplates !== 'undefined' ? ExpoTemplates : require('./templates');
+  }
+
+  /**
+   * Returns the sequencer settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.sequence) || {});
+  }
+
+  /**
+   * Reads a date cell (Date object or text), or null if empty/invalid
+   */
+  function parseDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value;
+    }
+    if (!value || value.toString().trim() === '') {
+      return null;
+    }
+    const date = new Date(value.toString().trim());
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Works out which step a lead row is due, or null
+   * rowData is the sheet row, columns the resolved column mapping
+   */
+  function getDueStep(rowData, columns, now, config) {
+    const settings = getSettings(config);
+    const cell = field => core().getCell(rowData, columns[field]);
+    const status = cell('STATUS').toString().trim();
+
+    if (!cell('EMAIL').toString().trim() || cell('RESPONSE').toString().trim()) {
+      return null;
+    }
+
+    for (let i = 0; i < STEPS.length; i++) {
+      const step = STEPS[i];
+      if (parseDate(cell(step.dateField))) {
+        continue;
+      }
+
+      if (!step.afterStatus) {
+        return START_STATUSES.indexOf(status.toLowerCase()) !== -1 ? step : null;
+      }
+
+      if (status !== step.afterStatus) {
+        continue;
+      }
+      const previous = parseDate(cell(step.afterDateField));
+      if (!previous) {
+        return null;
+      }
+      const dueAt = previous.getTime() + settings[step.delaySetting] * 24 * 60 * 60 * 1000;
+      return now.getTime() >= dueAt ? step : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Builds the subject and bodies of a step for a lead
+   * Uses config.sequence.render when the deployment provides one, then the
+   * HTML templates (templates.js), then a short built-in message
+   */
+  function render(step, lead, config) {
+    const settings = getSettings(config);
+    if (typeof settings.render === 'function') {
+      return settings.render(step, lead);
+    }
+
+    const language = lead.language === 'ar' ? 'ar' : 'en';
+    const message = MESSAGES[step.step][language];
+    const name = lead.name || templates().FALLBACKS[language].name;
+
+    try {
+      const email = templates().renderEmail('email' + step.step + '.' + language, lead);
+      return { subject: message.subject.replace('{name}', name), html: email.html, text: email.text };
+    } catch (error) {
+      Logger.log('⚠ Template for Email ' + step.step + ' (' + language + ') not available, using the built-in message: ' + error.message);
+    }
+
+    const greeting = language === 'ar' ? 'عزيزي ' + name + '،' : 'Dear ' + name + ',';
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    return {
+      subject: message.subject.replace('{name}', name),
+      html: '<div dir="' + (language === 'ar' ? 'rtl' : 'ltr') + '" style="font-family: Arial, sans-serif; color: #1E4168;">' +
+        '<p>' + escape(greeting) + '</p>' +
+        '<p>' + escape(message.body) + '</p>' +
+        '<p style="color: #D4AF37; font-weight: bold;">UAE Property Expo – Muscat</p>' +
+        '</div>',
+      text: greeting + '\n\n' + message.body + '\n\nUAE Property Expo – Muscat'
+    };
+  }
+
+  // ==========================================================================
+  // TRANSPORTS
+  // ==========================================================================
+
+  const TRANSPORTS = {
+    log: {
+      send: function (message) {
+        Logger.log('✉ [log transport] Email ' + message.step + ' to ' + message.to + ': ' + message.subject);
+        return { success: true };
+      }
+    },
+
+    mailapp: {
+      send: function (message) {
+        MailApp.sendEmail({
+          to: message.to,
+          subject: message.subject,
+          htmlBody: message.html,
+          body: message.text,
+          name: message.fromName,
+          replyTo: message.from
+        });
+        return { success: true };
+      }
+    },
+
+    resend: {
+      send: function (message) {
+        const apiKey = PropertiesService.getScriptProperties().getProperty(RESEND_KEY_PROPERTY);
+        if (!apiKey) {
+          return { success: false, error: 'Script property ' + RESEND_KEY_PROPERTY + ' is not set' };
+        }
+
+        const response = UrlFetchApp.fetch(RESEND_API_URL, {
+          method: 'post',
+          contentType: 'application/json',
+          headers: { Authorization: 'Bearer ' + apiKey },
+          payload: JSON.stringify({
+            from: message.fromName + ' <' + message.from + '>',
+            to: [message.to],
+            subject: message.subject,
+            html: message.html,
+            text: message.text
+          }),
+          muteHttpExceptions: true
+        });
+
+        const code = response.getResponseCode();
+        if (code >= 200 && code < 300) {
+          return { success: true, statusCode: code };
+        }
+        return { success: false, statusCode: code, error: response.getContentText() };
+      }
+    }
+  };
+
+  /**
+   * Returns the transport object named (or given) in the config
+   */
+  function getTransport(config) {
+    const transport = getSettings(config).transport;
+    if (transport && typeof transport.send === 'function') {
+      return transport;
+    }
+    if (!TRANSPORTS[transport]) {
+      throw new Error('Unknown email transport "' + transport + '". Use one of: ' +
+        Object.keys(TRANSPORTS).join(', ') + ' or an object with a send(message) function');
+    }
+    return TRANSPORTS[transport];
+  }
+
+  // ==========================================================================
+  // RUN
+  // ==========================================================================
+
+  /**
+   * Sends every due email and writes Status / Email n Date back
+   * options.dryRun - only log what would be sent
+   * Returns a summary of what happened
+   */
+  function run(config, options) {
+    const dryRun = Boolean(options && options.dryRun);
+    const summary = { sent: 0, failed: 0, invalid: 0, due: 0 };
+    const lock = LockService.getScriptLock();
+
+    if (!lock.tryLock(30 * 1000)) {
+      Logger.log('Email sequence is already running - skipping this run');
+      return summary;
+    }
+
+    try {
+      const settings = getSettings(config);
+      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = core().getSheet(spreadsheet, config);
+      if (!sheet || sheet.getLastRow() < 2) {
+        return summary;
+      }
+
+      const headerRow = core().getHeaderRow(sheet);
+      const columns = core().resolveColumnMapping(headerRow, config);
+      const missing = ['STATUS'].concat(STEPS.map(step => step.dateField)).filter(field => !columns[field]);
+      if (missing.length > 0) {
+        throw new Error('The email sequence needs these columns: ' + missing.join(', '));
+      }
+
+      const transport = dryRun ? null : getTransport(config);
+      const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).getValues();
+      const now = new Date();
+
+      for (let index = 0; index < rows.length; index++) {
+        const rowNumber = index + 2;
+        const step = getDueStep(rows[index], columns, now, config);
+        if (!step) {
+          continue;
+        }
+
+        summary.due++;
+        if (summary.sent + summary.failed >= settings.maxPerRun) {
+          continue;
+        }
+
+        const lead = core().getFormData(rows[index], headerRow, config);
+        const check = emailCheck().validate(lead.email, config);
+        if (!check.valid) {
+          summary.invalid++;
+          Logger.log('↷ Skipping row ' + rowNumber + ': ' + emailCheck().describe(lead.email, check));
+          continue;
+        }
+
+        const content = render(step, lead, config);
+        if (dryRun) {
+          Logger.log('[dry run] Row ' + rowNumber + ': Email ' + step.step + ' (' + step.name + ') to ' + lead.email + ' - "' + content.subject + '"');
+          continue;
+        }
+
+        let result;
+        try {
+          result = transport.send({
+            step: step.step,
+            to: lead.email,
+            from: settings.from,
+            fromName: settings.fromName,
+            language: lead.language,
+            subject: content.subject,
+            html: content.html,
+            text: content.text,
+            lead: lead
+          });
+        } catch (error) {
+          result = { success: false, error: error.toString() };
+        }
+
+        if (result && result.success) {
+          sheet.getRange(rowNumber, columns.STATUS).setValue(step.status);
+          sheet.getRange(rowNumber, columns[step.dateField]).setValue(now);
+          summary.sent++;
+          Logger.log('✓ Email ' + step.step + ' sent to ' + lead.email + ' (row ' + rowNumber + ')');
+        } else {
+          summary.failed++;
+          const error = (result && result.error) || 'Unknown error';
+          Logger.log('✗ Email ' + step.step + ' to ' + lead.email + ' failed: ' + error);
+          outbox().markLeadRow(spreadsheet, lead.email, rowNumber, 'Email ' + step.step + ' failed: ' + error, config);
+        }
+      }
+
+      Logger.log('Email sequence' + (dryRun ? ' (dry run)' : '') + ': ' + summary.due + ' due, ' +
+        summary.sent + ' sent, ' + summary.failed + ' failed, ' + summary.invalid + ' skipped (invalid email)');
+      return summary;
+
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Installs the time-driven trigger that runs the given handler function
+   * Does nothing if a trigger for that handler already exists
+   */
+  function installTrigger(handlerName, config) {
+    const exists = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === handlerName);
+    if (exists) {
+      Logger.log('Trigger for ' + handlerName + ' already installed');
+      return false;
+    }
+
+    const hours = getSettings(config).checkEveryHours;
+    ScriptApp.newTrigger(handlerName)
+      .timeBased()
+      .everyHours(hours)
+      .create();
+    Logger.log('✓ Installed trigger: ' + handlerName + ' every ' + hours + ' hour(s)');
+    return true;
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    STEPS: STEPS,
+    TRANSPORTS: TRANSPORTS,
+    getSettings: getSettings,
+    parseDate: parseDate,
+    getDueStep: getDueStep,
+    render: render,
+    getTransport: getTransport,
+    run: run,
+    installTrigger: installTrigger
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoSequencer;
+}
@@ -0,0 +1,348 @@
+/**
+ * Expo Sessions - which day, which time slot and how many people
+ *
+ * The expo runs on two days at the Grand Hyatt Muscat:
+ *   2025-12-26  Friday 26 December 2025
+ *   2025-12-27  Saturday 27 December 2025
+ * Three optional columns, found by header like every other column, record
+ * the guest's plans. Their free-text answers are normalized for the payload:
+ *   Preferred Day → preferredDay  "2025-12-26", "2025-12-27", "both" or ""
+ *                   ("Friday", "26 Dec", "Day 2", "السبت", "كلا اليومين", ...)
+ *   Party Size    → partySize     people coming, the guest included (1 when
+ *                   empty; "Me + 2" → 3, "2-3" → 3, "٤" → 4)
+ *   Time Slot     → timeSlot      "morning", "afternoon", "evening" or ""
+ *                   ("Morning", "4 PM", "18:00 - 21:00", "مساءً", ...)
+ *
+ * showCapacity() (triggers.js, Expo Setup menu) tallies the expected
+ * footfall per day - attending and tentative guests (attendance.js), by
+ * time slot - and writes it to a "capacity" tab. Guests coming on both days
+ * count on each day.
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.sessions):
+ *   sheetName      - tally tab name (default 'capacity')
+ *   capacityPerDay - people the venue takes per day; adds a Remaining
+ *                    column and a warning when a day is full (default none)
+ */
+
+var ExpoSessions = (function () {
+
+  const DEFAULTS = {
+    sheetName: 'capacity',
+    capacityPerDay: 0
+  };
+
+  const VENUE = 'Grand Hyatt Muscat';
+
+  const BOTH_DAYS = 'both';
+
+  // Answers are compared after simplify(), as whole words
+  const DAYS = [
+    {
+      date: '2025-12-26',
+      label: 'Friday 26 December 2025',
+      aliases: ['26', 'friday', 'fri', 'day 1', 'first day', 'الجمعه', 'اليوم الاول', 'يوم الجمعه']
+    },
+    {
+      date: '2025-12-27',
+      label: 'Saturday 27 December 2025',
+      aliases: ['27', 'saturday', 'sat', 'day 2', 'second day', 'السبت', 'اليوم الثاني', 'يوم السبت']
+    }
+  ];
+
+  const BOTH_ALIASES = ['both', 'both days', 'either', 'any day', 'كلا اليومين', 'اليومين', 'كلاهما', 'اي يوم'];
+
+  // Slots by name, and by the hour of a time ("4 PM", "18:00"): from <= hour < to
+  const TIME_SLOTS = [
+    { slot: 'morning', from: 0, to: 12, aliases: ['morning', 'صباح', 'صباحا', 'الصباح', 'صباحي', 'الصباحيه'] },
+    { slot: 'afternoon', from: 12, to: 17, aliases: ['afternoon', 'noon', 'midday', 'ظهر', 'الظهر', 'ظهرا', 'عصر', 'العصر', 'عصرا'] },
+    { slot: 'evening', from: 17, to: 24, aliases: ['evening', 'night', 'مساء', 'المساء', 'مساءا', 'ليل', 'الليل', 'ليلا'] }
+  ];
+
+  const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    'واحد': 1, 'اثنان': 2, 'اثنين': 2, 'ثلاثه': 3, 'اربعه': 4, 'خمسه': 5, 'سته': 6, 'سبعه': 7, 'ثمانيه': 8, 'تسعه': 9, 'عشره': 10
+  };
+
+  // "2-3", "2 to 3", "٢ او ٣" - the guest plans for the larger number
+  const RANGE_PATTERN = /(\d+)(?:\s*[-–—~]\s*|\s+(?:to|or|الى|إلى|او|أو)\s+)(\d+)/;
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  function attendance() {
+    return typeof ExpoAttendance !== 'undefined' ? ExpoAttendance : require('./attendance');
+  }
+
+  /**
+   * Returns the sessions settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.sessions) || {});
+  }
+
+  // Arabic-Indic digits (٠-٩) → 0-9
+  function westernDigits(value) {
+    return (value === undefined || value === null ? '' : value.toString())
+      .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+  }
+
+  /**
+   * Simplifies an answer for matching: lowercase, Western digits, no Arabic
+   * diacritics, one spelling of alef / yeh / teh marbuta, words joined by
+   * single spaces. Keeps ":" for times.
+   */
+  function simplify(value) {
+    return westernDigits(value)
+      .toLowerCase()
+      .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+      .replace(/[أإآ]/g, 'ا')
+      .replace(/ى/g, 'ي')
+      .replace(/ة/g, 'ه')
+      .split(/[^a-z0-9:\u0621-\u064A\u066E-\u06D3]+/)
+      .filter(word => word !== '')
+      .join(' ');
+  }
+
+  function contains(answer, phrase) {
+    return (' ' + answer + ' ').indexOf(' ' + simplify(phrase) + ' ') !== -1;
+  }
+
+  // ==========================================================================
+  // PARSING
+  // ==========================================================================
+
+  /**
+   * Maps a Preferred Day cell to "2025-12-26", "2025-12-27", "both" or ""
+   * A date cell (form date question) is matched on its calendar day
+   */
+  function parseDay(value) {
+    if (value instanceof Date) {
+      const date = Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+      return DAYS.some(day => day.date === date) ? date : '';
+    }
+
+    const answer = simplify(value);
+    if (answer === '') {
+      return '';
+    }
+    if (BOTH_ALIASES.some(alias => contains(answer, alias))) {
+      return BOTH_DAYS;
+    }
+    const days = DAYS.filter(day => contains(answer, day.date) || day.aliases.some(alias => contains(answer, alias)));
+    if (days.length === DAYS.length) {
+      return BOTH_DAYS;
+    }
+    return days.length === 1 ? days[0].date : '';
+  }
+
+  /**
+   * Counts one "+"-separated part of a Party Size answer: the larger end of
+   * a range, else the first number, else 1 for a person named without one
+   * ("me", "my wife"). An empty part counts nobody.
+   */
+  function countPart(part) {
+    const range = RANGE_PATTERN.exec(part);
+    if (range) {
+      return Math.max(Number(range[1]), Number(range[2]));
+    }
+    const words = simplify(part).split(' ').filter(word => word !== '');
+    const number = words.find(word => /^\d+$/.test(word) || NUMBER_WORDS[word]);
+    if (number !== undefined) {
+      return NUMBER_WORDS[number] || Number(number);
+    }
+    return words.length > 0 ? 1 : 0;
+  }
+
+  /**
+   * Reads a Party Size cell: the number of people, the guest included
+   * Only the first number counts ("family of 4 (2 adults 2 kids)" → 4) and
+   * a range counts its larger end ("2-3" → 3). Parts joined by "+" add up:
+   * "2 adults + 1 child" → 3, "Me + 2" → 3, and a leading "+2" leaves the
+   * guest out of the count → 3. Empty or unreadable cells count as 1.
+   */
+  function parsePartySize(value) {
+    if (typeof value === 'number') {
+      return value >= 1 ? Math.floor(value) : 1;
+    }
+
+    const parts = westernDigits(value).toLowerCase().split('+');
+    const guest = parts.length > 1 && parts[0].trim() === '' ? 1 : 0;
+    return Math.max(1, parts.reduce((sum, part) => sum + countPart(part), guest));
+  }
+
+  /**
+   * Maps a Time Slot cell to "morning", "afternoon", "evening" or ""
+   * Names win; otherwise the first hour in the answer picks the slot
+   */
+  function parseTimeSlot(value) {
+    if (value instanceof Date) {
+      const hour = Number(Utilities.formatDate(value, Session.getScriptTimeZone(), 'HH'));
+      return TIME_SLOTS.find(slot => hour >= slot.from && hour < slot.to).slot;
+    }
+
+    const answer = simplify(value);
+    const named = TIME_SLOTS.find(slot => slot.aliases.some(alias => contains(answer, alias)));
+    if (named) {
+      return named.slot;
+    }
+
+    const time = /(\d{1,2})(?::\d{2})? ?(am|pm|ص|م)?/.exec(answer);
+    if (!time || Number(time[1]) > 23) {
+      return '';
+    }
+    let hour = Number(time[1]);
+    if ((time[2] === 'pm' || time[2] === 'م') && hour < 12) {
+      hour += 12;
+    } else if ((time[2] === 'am' || time[2] === 'ص') && hour === 12) {
+      hour = 0;
+    }
+    return TIME_SLOTS.find(slot => hour >= slot.from && hour < slot.to).slot;
+  }
+
+  /**
+   * The payload fields of a lead row: { preferredDay, partySize, timeSlot }
+   */
+  function read(rowData, columns) {
+    const cell = field => core().getCell(rowData, columns[field]);
+    return {
+      preferredDay: parseDay(cell('PREFERRED_DAY')),
+      partySize: parsePartySize(cell('PARTY_SIZE')),
+      timeSlot: parseTimeSlot(cell('TIME_SLOT'))
+    };
+  }
+
+  // ==========================================================================
+  // CAPACITY
+  // ==========================================================================
+
+  function emptyCount() {
+    const count = { leads: 0, guests: 0, slots: {} };
+    TIME_SLOTS.forEach(slot => {
+      count.slots[slot.slot] = 0;
+    });
+    count.slots[''] = 0;
+    return count;
+  }
+
+  function add(count, plan) {
+    count.leads++;
+    count.guests += plan.partySize;
+    count.slots[plan.timeSlot] += plan.partySize;
+  }
+
+  /**
+   * Tallies the attending and tentative guests per day
+   * rows are the data rows (row 2 onwards)
+   * Returns { days: [{ date, label, attending, tentative }], undecided }
+   * where each count is { leads, guests, slots: { morning, ..., '' } };
+   * undecided holds attending / tentative guests without a day
+   */
+  function tally(headerRow, rows, config) {
+    const columns = core().findColumns(headerRow, config);
+    const days = DAYS.map(day => ({ date: day.date, label: day.label, attending: emptyCount(), tentative: emptyCount() }));
+    const undecided = { attending: emptyCount(), tentative: emptyCount() };
+
+    rows.forEach(rowData => {
+      const status = attendance().parse(core().getCell(rowData, columns.RESPONSE), config);
+      if (status !== attendance().STATUS.ATTENDING && status !== attendance().STATUS.TENTATIVE) {
+        return;
+      }
+      const plan = read(rowData, columns);
+      const chosen = days.filter(day => plan.preferredDay === day.date || plan.preferredDay === BOTH_DAYS);
+      (chosen.length > 0 ? chosen : [undecided]).forEach(day => add(day[status], plan));
+    });
+
+    return { days: days, undecided: undecided };
+  }
+
+  /**
+   * Writes a tally to the capacity tab, replacing the previous one
+   */
+  function writeTally(spreadsheet, result, config) {
+    const settings = getSettings(config);
+    const sheet = spreadsheet.getSheetByName(settings.sheetName) || spreadsheet.insertSheet(settings.sheetName);
+    const slots = TIME_SLOTS.map(slot => slot.slot).concat('');
+    const headers = ['Day', 'Attending guests', 'Tentative guests', 'Attending leads']
+      .concat(slots.map(slot => (slot ? slot.charAt(0).toUpperCase() + slot.slice(1) : 'No time slot') + ' (attending)'))
+      .concat(settings.capacityPerDay ? ['Capacity', 'Remaining'] : []);
+    const line = (label, counts) => [label, counts.attending.guests, counts.tentative.guests, counts.attending.leads]
+      .concat(slots.map(slot => counts.attending.slots[slot]))
+      .concat(settings.capacityPerDay ? [settings.capacityPerDay, settings.capacityPerDay - counts.attending.guests] : []);
+    const pad = values => values.concat(headers.map(() => '')).slice(0, headers.length);
+
+    const values = [
+      pad(['Expected footfall - ' + VENUE, new Date()]),
+      pad([]),
+      headers
+    ];
+    result.days.forEach(day => values.push(line(day.label, day)));
+    values.push(line('Day not chosen', result.undecided));
+
+    sheet.clearContents();
+    sheet.getRange(1, 1, values.length, headers.length).setValues(values);
+    return sheet;
+  }
+
+  /**
+   * Tallies the deployment's sheet, writes the capacity tab and logs it
+   * Returns the tally
+   */
+  function run(spreadsheet, sheet, config) {
+    const settings = getSettings(config);
+    const lastRow = sheet.getLastRow();
+    const headerRow = core().getHeaderRow(sheet);
+    const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, headerRow.length).getValues() : [];
+    const result = tally(headerRow, rows, config);
+
+    writeTally(spreadsheet, result, config);
+
+    result.days.forEach(day => {
+      Logger.log(day.label + ': ' + day.attending.guests + ' attending, ' + day.tentative.guests + ' tentative');
+      if (settings.capacityPerDay && day.attending.guests > settings.capacityPerDay) {
+        Logger.log('⚠ ' + day.label + ' is over capacity by ' + (day.attending.guests - settings.capacityPerDay));
+      }
+    });
+    Logger.log('Day not chosen: ' + result.undecided.attending.guests + ' attending, ' + result.undecided.tentative.guests + ' tentative');
+    Logger.log('✓ Tally written to the "' + settings.sheetName + '" tab');
+    return result;
+  }
+
+  /**
+   * Entry point of showCapacity() - tallies the active spreadsheet
+   */
+  function showCapacity(config) {
+    try {
+      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = core().getSheet(spreadsheet, config);
+      if (!sheet) {
+        return;
+      }
+      run(spreadsheet, sheet, config);
+    } catch (error) {
+      Logger.log('✗ Error: ' + error.toString());
+      Logger.log('Stack trace: ' + error.stack);
+    }
+  }
+
+  return {
+    VENUE: VENUE,
+    DAYS: DAYS,
+    BOTH_DAYS: BOTH_DAYS,
+    TIME_SLOTS: TIME_SLOTS,
+    getSettings: getSettings,
+    parseDay: parseDay,
+    parsePartySize: parsePartySize,
+    parseTimeSlot: parseTimeSlot,
+    read: read,
+    tally: tally,
+    writeTally: writeTally,
+    run: run,
+    showCapacity: showCapacity
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoSessions;
+}
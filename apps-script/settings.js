@@ -0,0 +1,246 @@
+/**
+ * Expo Settings - webhook URLs, sheet name and column mapping in Script Properties
+ *
+ * Values saved from the "Expo Setup" menu (settings-dialog.html) override
+ * the deployment config, so changing the webhook no longer means editing
+ * source code. Nothing is saved until it validates:
+ * - the webhook URL and every per-event URL must be an https:// URL
+ * - the sheet must exist and its required columns must resolve
+ * - optionally, a test ping through sendToWebhook() must succeed
+ *
+ * Per-event routes (config.webhooks, see expo-core.js) are edited in the
+ * same dialog, prefilled from the deployment config. Once saved they replace
+ * the config's routes as a whole: an event with a URL goes there, every
+ * other event goes to the saved webhook URL.
+ *
+ * Script Properties used:
+ *   EXPO_WEBHOOK_URL    - webhook URL
+ *   EXPO_WEBHOOK_ROUTES - JSON { event: 'https://...' } per-event webhook URLs
+ *   EXPO_SHEET_NAME     - leads sheet name
+ *   EXPO_COLUMN_HEADERS - JSON { FIELD: 'Header text' } chosen per field
+ */
+
+var ExpoSettings = (function () {
+
+  const PROPERTIES = {
+    webhookUrl: 'EXPO_WEBHOOK_URL',
+    webhooks: 'EXPO_WEBHOOK_ROUTES',
+    sheetName: 'EXPO_SHEET_NAME',
+    columnHeaders: 'EXPO_COLUMN_HEADERS'
+  };
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  /**
+   * Reads the saved settings; missing values are left out
+   */
+  function load() {
+    const properties = PropertiesService.getScriptProperties();
+    const settings = {};
+
+    const webhookUrl = properties.getProperty(PROPERTIES.webhookUrl);
+    if (webhookUrl) {
+      settings.webhookUrl = webhookUrl;
+    }
+    const webhooks = properties.getProperty(PROPERTIES.webhooks);
+    if (webhooks) {
+      settings.webhooks = JSON.parse(webhooks);
+    }
+    const sheetName = properties.getProperty(PROPERTIES.sheetName);
+    if (sheetName) {
+      settings.sheetName = sheetName;
+    }
+    const columnHeaders = properties.getProperty(PROPERTIES.columnHeaders);
+    if (columnHeaders) {
+      settings.columnHeaders = JSON.parse(columnHeaders);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Returns the deployment config with the saved settings applied on top
+   * (saved routes replace config.webhooks, they are not merged into it)
+   */
+  function applyTo(config) {
+    return Object.assign({}, config, load());
+  }
+
+  /**
+   * Checks candidate settings against the spreadsheet
+   * Returns a list of error messages (empty when valid)
+   */
+  function validate(settings, spreadsheet, config) {
+    const errors = [];
+
+    if (!settings.webhookUrl || !/^https:\/\/[^\s]+$/.test(settings.webhookUrl)) {
+      errors.push('Webhook URL must start with https:// and contain no spaces');
+    }
+    const events = Object.keys(core().EVENTS).map(name => core().EVENTS[name]);
+    Object.keys(settings.webhooks || {}).forEach(event => {
+      if (events.indexOf(event) === -1) {
+        errors.push('Unknown event "' + event + '" in the webhook routes');
+      } else if (!/^https:\/\/[^\s]+$/.test(settings.webhooks[event])) {
+        errors.push('Webhook URL for ' + event + ' must start with https:// and contain no spaces');
+      }
+    });
+
+    const sheetName = settings.sheetName || '';
+    const sheet = sheetName ? spreadsheet.getSheetByName(sheetName) : null;
+    if (!sheet) {
+      errors.push('Sheet "' + sheetName + '" not found. Available sheets: ' +
+        spreadsheet.getSheets().map(s => s.getName()).join(', '));
+      return errors;
+    }
+
+    const headerRow = core().getHeaderRow(sheet);
+    const columnHeaders = settings.columnHeaders || {};
+    Object.keys(columnHeaders).forEach(field => {
+      if (!core().COLUMN_ALIASES[field]) {
+        errors.push('Unknown field "' + field + '" in the column mapping');
+      } else if (headerRow.map(core().normalizeHeader).indexOf(core().normalizeHeader(columnHeaders[field])) === -1) {
+        errors.push(field + ': header "' + columnHeaders[field] + '" is not in row 1 of "' + sheetName + '"');
+      }
+    });
+
+    // The URLs were checked above; only the column mapping is left to check
+    try {
+      core().resolveColumnMapping(headerRow, Object.assign({}, config, settings, { webhookUrl: 'unset', webhooks: {} }));
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates and saves settings
+   * options.ping - send a test payload first and only save if it succeeds
+   * Returns { saved: true } or { saved: false, errors: [...] }
+   */
+  function save(settings, config, options) {
+    const candidate = {
+      webhookUrl: (settings.webhookUrl || '').trim(),
+      webhooks: {},
+      sheetName: (settings.sheetName || '').trim(),
+      columnHeaders: {}
+    };
+    Object.keys(settings.webhooks || {}).forEach(event => {
+      const url = (settings.webhooks[event] || '').toString().trim();
+      if (url) {
+        candidate.webhooks[event] = url;
+      }
+    });
+    Object.keys(settings.columnHeaders || {}).forEach(field => {
+      const header = (settings.columnHeaders[field] || '').toString().trim();
+      if (header) {
+        candidate.columnHeaders[field] = header;
+      }
+    });
+
+    const errors = validate(candidate, SpreadsheetApp.getActiveSpreadsheet(), config);
+    if (errors.length > 0) {
+      return { saved: false, errors: errors };
+    }
+
+    if (options && options.ping) {
+      const response = core().sendToWebhook(core().buildTestData(), Object.assign({}, config, candidate));
+      if (!response.success) {
+        return {
+          saved: false,
+          errors: ['Test ping failed (' + (response.statusCode || 'no response') + '): ' + (response.error || 'Unknown error')]
+        };
+      }
+    }
+
+    const properties = PropertiesService.getScriptProperties();
+    properties.setProperty(PROPERTIES.webhookUrl, candidate.webhookUrl);
+    properties.setProperty(PROPERTIES.webhooks, JSON.stringify(candidate.webhooks));
+    properties.setProperty(PROPERTIES.sheetName, candidate.sheetName);
+    properties.setProperty(PROPERTIES.columnHeaders, JSON.stringify(candidate.columnHeaders));
+    return { saved: true };
+  }
+
+  /**
+   * Removes the saved settings so the deployment config applies again
+   */
+  function reset() {
+    const properties = PropertiesService.getScriptProperties();
+    Object.keys(PROPERTIES).forEach(name => properties.deleteProperty(PROPERTIES[name]));
+  }
+
+  /**
+   * Everything the settings dialog needs to render
+   */
+  function getDialogModel(config) {
+    // A deployment may not have a URL yet - that is what the dialog is for
+    const merged = applyTo(config);
+    const effective = core().resolveConfig(Object.assign({}, merged, { webhookUrl: merged.webhookUrl || 'unset' }));
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = spreadsheet.getSheetByName(effective.sheetName);
+    const headerRow = sheet ? core().getHeaderRow(sheet) : [];
+    const columns = core().findColumns(headerRow, effective);
+
+    return {
+      deployment: effective.name,
+      webhookUrl: merged.webhookUrl || '',
+      routes: Object.keys(core().EVENTS).map(name => ({
+        event: core().EVENTS[name],
+        url: effective.webhooks[core().EVENTS[name]] || ''
+      })),
+      sheetName: effective.sheetName,
+      sheetNames: spreadsheet.getSheets().map(s => s.getName()),
+      headers: headerRow.filter(header => header !== '').map(String),
+      fields: Object.keys(core().COLUMN_ALIASES).map(field => ({
+        field: field,
+        required: core().REQUIRED_COLUMNS.indexOf(field) !== -1,
+        chosen: effective.columnHeaders[field] || '',
+        detected: columns[field] ? String(headerRow[columns[field] - 1]) : ''
+      })),
+      savedInProperties: Object.keys(load()).length > 0
+    };
+  }
+
+  /**
+   * Adds the "Expo Setup" menu to the spreadsheet
+   */
+  function addMenu() {
+    SpreadsheetApp.getUi()
+      .createMenu('Expo Setup')
+      .addItem('Webhook & sheet settings…', 'showExpoSettings')
+      .addSeparator()
+      .addItem('Test webhook', 'testWebhook')
+      .addItem('Diagnose sheet structure', 'diagnoseSheetStructure')
+      .addItem('Show capacity', 'showCapacity')
+      .addToUi();
+  }
+
+  /**
+   * Opens the settings dialog
+   */
+  function showDialog() {
+    const html = HtmlService.createHtmlOutputFromFile('settings-dialog')
+      .setWidth(560)
+      .setHeight(640);
+    SpreadsheetApp.getUi().showModalDialog(html, 'Expo webhook settings');
+  }
+
+  return {
+    PROPERTIES: PROPERTIES,
+    load: load,
+    applyTo: applyTo,
+    validate: validate,
+    save: save,
+    reset: reset,
+    getDialogModel: getDialogModel,
+    addMenu: addMenu,
+    showDialog: showDialog
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoSettings;
+}
@@ -0,0 +1,172 @@
+/**
+ * Expo Signing - HMAC-SHA256 signatures for webhook requests
+ *
+ * Every request to Make.com carries two headers:
+ *   X-Expo-Timestamp - Unix time in seconds when the request was signed
+ *   X-Expo-Signature - "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>"
+ *
+ * The shared secret lives in Script Properties (WEBHOOK_SECRET), never in the
+ * source. Run generateWebhookSecret() once and copy the logged secret to the
+ * receiving side.
+ *
+ * RECEIVING SIDE:
+ * - Node / Apps Script: ExpoSigning.verifySignature(body, timestamp, signature, secret)
+ * - Make.com: compare {{1.`x-expo-signature`}} with
+ *   sha256={{sha256(1.`x-expo-timestamp` + "." + <raw body>; ; <secret>)}}
+ *   and reject timestamps older than 5 minutes
+ */
+
+var ExpoSigning = (function () {
+
+  const SECRET_PROPERTY = 'WEBHOOK_SECRET';
+  const TIMESTAMP_HEADER = 'X-Expo-Timestamp';
+  const SIGNATURE_HEADER = 'X-Expo-Signature';
+  const SIGNATURE_PREFIX = 'sha256=';
+  const DEFAULT_TOLERANCE_SECONDS = 300;
+
+  /**
+   * Hex HMAC-SHA256 of a message
+   * Uses Utilities in Apps Script and the crypto module in Node
+   */
+  function hmacSha256Hex(message, secret) {
+    if (typeof Utilities !== 'undefined') {
+      const bytes = Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8);
+      return bytes.map(b => ('0' + ((b + 256) % 256).toString(16)).slice(-2)).join('');
+    }
+    return require('crypto').createHmac('sha256', secret).update(message, 'utf8').digest('hex');
+  }
+
+  /**
+   * Compares two strings in constant time (for equal lengths)
+   */
+  function safeEqual(a, b) {
+    if (a.length !== b.length) {
+      return false;
+    }
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+  }
+
+  /**
+   * Reads the shared secret from Script Properties, or null if not set
+   */
+  function getSecret() {
+    return PropertiesService.getScriptProperties().getProperty(SECRET_PROPERTY);
+  }
+
+  /**
+   * Signs a request body
+   * timestamp is in Unix seconds and defaults to now
+   */
+  function sign(body, secret, timestamp) {
+    const signedAt = timestamp || Math.floor(Date.now() / 1000);
+    return {
+      timestamp: signedAt,
+      signature: SIGNATURE_PREFIX + hmacSha256Hex(signedAt + '.' + body, secret)
+    };
+  }
+
+  /**
+   * Returns the signature headers for a request body
+   * Without a secret the request goes out unsigned (with a warning), unless
+   * the deployment sets requireSignature: true - then this throws.
+   */
+  function buildHeaders(body, config) {
+    const secret = getSecret();
+    if (!secret) {
+      if (config && config.requireSignature) {
+        throw new Error('Script property ' + SECRET_PROPERTY + ' is not set - run generateWebhookSecret()');
+      }
+      Logger.log('⚠ WARNING: ' + SECRET_PROPERTY + ' is not set - sending an unsigned request');
+      return {};
+    }
+
+    const signed = sign(body, secret);
+    const headers = {};
+    headers[TIMESTAMP_HEADER] = String(signed.timestamp);
+    headers[SIGNATURE_HEADER] = signed.signature;
+    return headers;
+  }
+
+  /**
+   * Verifies a signed request - for the receiving side
+   * options.toleranceSeconds - maximum age of the timestamp (default 300)
+   * options.now              - current Unix time in seconds (for tests)
+   * Returns { valid: true } or { valid: false, reason: '...' }
+   */
+  function verifySignature(body, timestamp, signature, secret, options) {
+    const settings = options || {};
+    const tolerance = settings.toleranceSeconds || DEFAULT_TOLERANCE_SECONDS;
+    const now = settings.now || Math.floor(Date.now() / 1000);
+
+    if (!secret) {
+      return { valid: false, reason: 'No secret configured' };
+    }
+    if (!timestamp || !signature) {
+      return { valid: false, reason: 'Missing ' + TIMESTAMP_HEADER + ' or ' + SIGNATURE_HEADER + ' header' };
+    }
+
+    const signedAt = parseInt(timestamp, 10);
+    if (isNaN(signedAt)) {
+      return { valid: false, reason: 'Invalid timestamp' };
+    }
+    if (Math.abs(now - signedAt) > tolerance) {
+      return { valid: false, reason: 'Timestamp outside the allowed window of ' + tolerance + ' seconds' };
+    }
+
+    const expected = sign(body, secret, signedAt).signature;
+    if (!safeEqual(expected, signature.toString().trim().toLowerCase())) {
+      return { valid: false, reason: 'Signature mismatch' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Verifies a request given its headers object (any header-name case)
+   */
+  function verifyRequest(body, headers, secret, options) {
+    const lowerCased = {};
+    Object.keys(headers || {}).forEach(name => {
+      lowerCased[name.toLowerCase()] = headers[name];
+    });
+    return verifySignature(
+      body,
+      lowerCased[TIMESTAMP_HEADER.toLowerCase()],
+      lowerCased[SIGNATURE_HEADER.toLowerCase()],
+      secret,
+      options
+    );
+  }
+
+  /**
+   * Creates a random secret and stores it in Script Properties
+   * Returns the secret so it can be copied to the receiving side
+   */
+  function generateSecret() {
+    const secret = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+    PropertiesService.getScriptProperties().setProperty(SECRET_PROPERTY, secret);
+    return secret;
+  }
+
+  return {
+    SECRET_PROPERTY: SECRET_PROPERTY,
+    TIMESTAMP_HEADER: TIMESTAMP_HEADER,
+    SIGNATURE_HEADER: SIGNATURE_HEADER,
+    hmacSha256Hex: hmacSha256Hex,
+    safeEqual: safeEqual,
+    getSecret: getSecret,
+    sign: sign,
+    buildHeaders: buildHeaders,
+    verifySignature: verifySignature,
+    verifyRequest: verifyRequest,
+    generateSecret: generateSecret
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoSigning;
+}
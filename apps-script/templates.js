@@ -0,0 +1,317 @@
+/**
+ * Expo Templates - renders the bilingual HTML email templates with lead data
+ *
+ * The templates in the repository root carry Make.com mapping tokens
+ * ({{4.name}}, {{1.0}}, {{Name}}), so they could only be previewed in Make.
+ * This module fills them in from a lead object instead:
+ *
+ *   {{name}}                   - HTML-escaped field (case-insensitive)
+ *   {{name|Valued Guest}}      - with a fallback when the field is empty
+ *   {{{field}}}                - inserted without escaping
+ *   {{#if comments}}...{{else}}...{{/if}}, {{#unless ...}}...{{/unless}}
+ *   {{4.name}}, {{1.0}}        - Make.com tokens: the module number is ignored
+ *                                and a column index maps to its field (0 = name)
+ *
+ * Empty names fall back to "Valued Guest" / "الضيف الكريم" (see FALLBACKS).
+ * Every render also returns a plain-text alternative.
+ *
+ * LOADING TEMPLATES:
+ * - Node: files are read from the repository root
+ * - Apps Script: add each template as an HTML file with the same name
+ *   (without .html), e.g. THANK-YOU-EMAIL-TEMPLATE
+ * Collection files (all-email-templates.html, ENHANCED-...) hold several
+ * emails; a section such as "ENGLISH EMAIL 2" picks one of them.
+ * The ticket emails (TICKET-EMAIL-TEMPLATE, ARABIC-TICKET-EMAIL-TEMPLATE)
+ * use plain field names and are only rendered here - do not paste them
+ * into Make.com.
+ */
+
+var ExpoTemplates = (function () {
+
+  // Template id → file (and section for collection files)
+  const TEMPLATES = {
+    'email1.en': { file: 'ENHANCED-EMAIL-TEMPLATES-PROFESSIONAL', section: 'ENGLISH EMAIL 1' },
+    'email2.en': { file: 'ENHANCED-EMAIL-TEMPLATES-PROFESSIONAL', section: 'ENGLISH EMAIL 2' },
+    'email3.en': { file: 'ENHANCED-EMAIL-TEMPLATES-PROFESSIONAL', section: 'ENGLISH EMAIL 3' },
+    'email1.ar': { file: 'ENHANCED-EMAIL-TEMPLATES-PROFESSIONAL', section: 'ARABIC EMAIL 1' },
+    'email2.ar': { file: 'ENHANCED-EMAIL-TEMPLATES-PROFESSIONAL', section: 'ARABIC EMAIL 2' },
+    'email3.ar': { file: 'ENHANCED-EMAIL-TEMPLATES-PROFESSIONAL', section: 'ARABIC EMAIL 3' },
+    'thank_you.en': { file: 'THANK-YOU-EMAIL-TEMPLATE' },
+    'thank_you.ar': { file: 'ARABIC-THANK-YOU-EMAIL-TEMPLATE' },
+    'agreement.en': { file: 'AGREEMENT-EMAIL-TEMPLATE' },
+    'agreement.ar': { file: 'ARABIC-AGREEMENT-EMAIL-TEMPLATE' },
+    'ticket.en': { file: 'TICKET-EMAIL-TEMPLATE' },
+    'ticket.ar': { file: 'ARABIC-TICKET-EMAIL-TEMPLATE' }
+  };
+
+  // Used when a field is empty and the token has no fallback of its own
+  const FALLBACKS = {
+    en: { name: 'Valued Guest' },
+    ar: { name: 'الضيف الكريم' }
+  };
+
+  // Column index → field, for Make.com tokens such as {{1.0}} (Google Sheets
+  // modules number the columns of the leads sheet from 0)
+  const LEGACY_COLUMNS = ['name', 'email', 'phone', 'language', 'status', 'dateAdded'];
+
+  const cache = {};
+
+  // ==========================================================================
+  // LOADING
+  // ==========================================================================
+
+  /**
+   * Reads a template file by name (without .html)
+   */
+  function readFile(file) {
+    if (cache[file] === undefined) {
+      if (typeof HtmlService !== 'undefined') {
+        cache[file] = HtmlService.createHtmlOutputFromFile(file).getContent();
+      } else {
+        const path = require('path');
+        cache[file] = require('fs').readFileSync(path.join(__dirname, '..', file + '.html'), 'utf8');
+      }
+    }
+    return cache[file];
+  }
+
+  /**
+   * Splits a collection file into its emails
+   * Returns { 'ENGLISH EMAIL 1': '<!DOCTYPE html>...</html>', ... }
+   */
+  function listSections(html) {
+    const sections = {};
+    const titlePattern = /<!--\s*((?:ENGLISH|ARABIC) EMAIL \d+)[^>]*-->/g;
+    let match;
+
+    while ((match = titlePattern.exec(html)) !== null) {
+      const start = html.indexOf('<!DOCTYPE html>', match.index);
+      const end = html.indexOf('</html>', start);
+      if (start !== -1 && end !== -1 && sections[match[1]] === undefined) {
+        sections[match[1]] = html.slice(start, end + '</html>'.length);
+      }
+    }
+    return sections;
+  }
+
+  /**
+   * Loads the source of a template by id ('email1.en') or { file, section }
+   */
+  function load(template) {
+    const spec = typeof template === 'string' ? TEMPLATES[template] : template;
+    if (!spec) {
+      throw new Error('Unknown template "' + template + '". Known templates: ' + Object.keys(TEMPLATES).join(', '));
+    }
+
+    const html = readFile(spec.file);
+    if (!spec.section) {
+      return html;
+    }
+
+    const section = listSections(html)[spec.section];
+    if (section === undefined) {
+      throw new Error('Section "' + spec.section + '" not found in ' + spec.file);
+    }
+    return section;
+  }
+
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+
+  /**
+   * Escapes text for use in HTML
+   */
+  function escapeHtml(value) {
+    return value.toString()
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Parses a template into a tree of text, field and block nodes
+   */
+  function parse(source) {
+    const tokenPattern = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([^}]+?)\s*\}\}/g;
+    const root = { children: [] };
+    const stack = [root];
+    let position = 0;
+    let match;
+
+    while ((match = tokenPattern.exec(source)) !== null) {
+      const current = stack[stack.length - 1];
+      if (match.index > position) {
+        current.children.push({ type: 'text', value: source.slice(position, match.index) });
+      }
+      position = tokenPattern.lastIndex;
+
+      if (match[1] !== undefined) {
+        current.children.push({ type: 'field', expression: match[1], raw: true });
+        continue;
+      }
+
+      const expression = match[2];
+      const open = /^#(if|unless)\s+(.+)$/.exec(expression);
+      if (open) {
+        const block = { type: open[1], expression: open[2].trim(), children: [], otherwise: null };
+        current.children.push(block);
+        stack.push(block);
+      } else if (expression === 'else') {
+        const block = current;
+        if (stack.length === 1 || block.otherwise) {
+          throw new Error('Unexpected {{else}} in template');
+        }
+        block.otherwise = block.children;
+        block.children = [];
+      } else if (/^\/(if|unless)$/.test(expression)) {
+        if (stack.length === 1 || current.type !== expression.slice(1)) {
+          throw new Error('Unexpected {{' + expression + '}} in template');
+        }
+        // Keep the "then" branch in children and the "else" branch in otherwise
+        if (current.otherwise) {
+          const otherwise = current.children;
+          current.children = current.otherwise;
+          current.otherwise = otherwise;
+        }
+        stack.pop();
+      } else {
+        current.children.push({ type: 'field', expression: expression, raw: false });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error('Unclosed {{#' + stack[stack.length - 1].type + '}} in template');
+    }
+    if (position < source.length) {
+      root.children.push({ type: 'text', value: source.slice(position) });
+    }
+    return root.children;
+  }
+
+  /**
+   * Looks up a token's field in the data (Make.com module prefixes ignored)
+   */
+  function lookup(data, name) {
+    let key = name.trim().replace(/^\d+\./, '');
+    if (/^\d+$/.test(key)) {
+      key = LEGACY_COLUMNS[Number(key)] || key;
+    }
+
+    const match = Object.keys(data).find(field => field.toLowerCase() === key.toLowerCase());
+    const value = match === undefined ? '' : data[match];
+    return { key: key, value: value === null || value === undefined ? '' : value };
+  }
+
+  /**
+   * Resolves a field expression ("name|Valued Guest") to its text
+   */
+  function resolve(expression, data, fallbacks) {
+    const separator = expression.indexOf('|');
+    const name = separator === -1 ? expression : expression.slice(0, separator);
+    const found = lookup(data, name);
+
+    if (found.value.toString().trim() !== '') {
+      return found.value instanceof Date ? found.value.toISOString() : found.value.toString();
+    }
+    if (separator !== -1) {
+      return expression.slice(separator + 1).trim();
+    }
+    return fallbacks[found.key.toLowerCase()] || '';
+  }
+
+  function renderNodes(nodes, data, fallbacks) {
+    return nodes.map(node => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+      if (node.type === 'field') {
+        const value = resolve(node.expression, data, fallbacks);
+        return node.raw ? value : escapeHtml(value);
+      }
+
+      const truthy = lookup(data, node.expression).value.toString().trim() !== '';
+      const branch = (node.type === 'if' ? truthy : !truthy) ? node.children : (node.otherwise || []);
+      return renderNodes(branch, data, fallbacks);
+    }).join('');
+  }
+
+  /**
+   * Renders template source with data
+   * options.language  - 'en' or 'ar', picks the default fallbacks (default: data.language)
+   * options.fallbacks - extra { field: text } fallbacks
+   */
+  function render(source, data, options) {
+    const settings = options || {};
+    const language = (settings.language || data.language || 'en') === 'ar' ? 'ar' : 'en';
+    const fallbacks = {};
+    Object.keys(FALLBACKS[language]).forEach(field => {
+      fallbacks[field.toLowerCase()] = FALLBACKS[language][field];
+    });
+    Object.keys(settings.fallbacks || {}).forEach(field => {
+      fallbacks[field.toLowerCase()] = settings.fallbacks[field];
+    });
+
+    return renderNodes(parse(source), data || {}, fallbacks);
+  }
+
+  /**
+   * Converts rendered HTML to a readable plain-text alternative
+   */
+  function toPlainText(html) {
+    const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': '\'', '&nbsp;': ' ' };
+
+    return html
+      .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<a\s[^>]*href="([^"#][^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (all, href, label) => {
+        // Phone and email links already show their target
+        const text = label.replace(/<[^>]+>/g, '').trim();
+        return /^(mailto|tel):/.test(href) || text === href ? text : text + ' (' + href + ')';
+      })
+      .replace(/<li[^>]*>/gi, '\n• ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => entities[entity])
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/\n\n•/g, '\n•')
+      .trim();
+  }
+
+  /**
+   * Renders a registered template for a lead
+   * Returns { id, language, html, text }
+   */
+  function renderEmail(id, lead, options) {
+    const language = /\.ar$/.test(id) ? 'ar' : 'en';
+    const html = render(load(id), lead, Object.assign({ language: language }, options || {}));
+    return {
+      id: id,
+      language: language,
+      html: html,
+      text: toPlainText(html)
+    };
+  }
+
+  return {
+    TEMPLATES: TEMPLATES,
+    FALLBACKS: FALLBACKS,
+    load: load,
+    listSections: listSections,
+    escapeHtml: escapeHtml,
+    parse: parse,
+    render: render,
+    toPlainText: toPlainText,
+    renderEmail: renderEmail
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoTemplates;
+}
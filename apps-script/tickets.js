@@ -0,0 +1,279 @@
+/**
+ * Expo Tickets - QR-code tickets for confirmed attendees
+ *
+ * When a lead's response becomes "attending" (attendance.js) - on a form
+ * submission or when staff edit the Response column - issue() mints a
+ * ticket:
+ *   ticketId    - "EXPO-7F3A9C2B", unique in the sheet, written to the
+ *                 Ticket ID column (added after the last column if missing)
+ *   ticketToken - "<ticketId>.<signature>", the text the QR code encodes.
+ *                 The signature is an HMAC-SHA256 of the ticket ID with a
+ *                 secret kept in Script Properties (TICKET_SECRET, created
+ *                 on first use), so staff at the Grand Hyatt entrance can
+ *                 tell a real ticket from a typed one (verifyToken()).
+ *   ticketQrUrl - PNG image of the QR code, for <img src> in emails
+ * All three are sent in the webhook payload of every lead with a ticket.
+ * renderEmail() builds the ticket email (TICKET-EMAIL-TEMPLATE.html /
+ * ARABIC-TICKET-EMAIL-TEMPLATE.html, rendered by templates.js) for an Apps
+ * Script transport; Make.com scenarios map ticketId / ticketQrUrl from the
+ * payload into their own email module instead.
+ * A lead keeps its ticket when the response changes again.
+ *
+ * The QR image comes from the service in config.tickets.qrUrl (the token is
+ * the only data sent to it). getQrBlob() / getQrDataUri() fetch it as a PNG
+ * blob or a data: URI, e.g. for MailApp inline images.
+ *
+ * CONFIG (optional, DEPLOYMENT_CONFIG.tickets):
+ *   enabled - false issues no tickets (default true)
+ *   prefix  - ticket ID prefix (default 'EXPO')
+ *   header  - header of the column added when the sheet has no Ticket ID
+ *             column (default 'Ticket ID')
+ *   qrUrl   - QR image URL, {token} is replaced with the URL-encoded token
+ *             (default 'https://quickchart.io/qr?size=300&margin=2&text={token}')
+ */
+
+var ExpoTickets = (function () {
+
+  const DEFAULTS = {
+    enabled: true,
+    prefix: 'EXPO',
+    header: 'Ticket ID',
+    qrUrl: 'https://quickchart.io/qr?size=300&margin=2&text={token}'
+  };
+
+  const SECRET_PROPERTY = 'TICKET_SECRET';
+
+  // Hex characters of the HMAC kept in the token
+  const SIGNATURE_LENGTH = 16;
+
+  // Resolved lazily so the files can load in any order (and from Node)
+  function core() {
+    return typeof ExpoCore !== 'undefined' ? ExpoCore : require('./expo-core');
+  }
+
+  function attendance() {
+    return typeof ExpoAttendance !== 'undefined' ? ExpoAttendance : require('./attendance');
+  }
+
+  function templates() {
+    return typeof ExpoTemplates !== 'undefined' ? ExpoTemplates : require('./templates');
+  }
+
+  function signing() {
+    return typeof ExpoSigning !== 'undefined' ? ExpoSigning : require('./signing');
+  }
+
+  /**
+   * Returns the tickets settings of a deployment config merged with defaults
+   */
+  function getSettings(config) {
+    return Object.assign({}, DEFAULTS, (config && config.tickets) || {});
+  }
+
+  /**
+   * Reads the ticket secret from Script Properties, creating it on first use
+   * Deleting the property invalidates every ticket issued so far
+   */
+  function getSecret() {
+    const properties = PropertiesService.getScriptProperties();
+    let secret = properties.getProperty(SECRET_PROPERTY);
+    if (!secret) {
+      secret = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+      properties.setProperty(SECRET_PROPERTY, secret);
+    }
+    return secret;
+  }
+
+  // ==========================================================================
+  // TOKENS
+  // ==========================================================================
+
+  function signature(ticketId, secret) {
+    return signing().hmacSha256Hex('ticket.' + ticketId, secret).slice(0, SIGNATURE_LENGTH);
+  }
+
+  /**
+   * The signed token of a ticket: "<ticketId>.<signature>"
+   */
+  function createToken(ticketId, secret) {
+    return ticketId + '.' + signature(ticketId, secret || getSecret());
+  }
+
+  /**
+   * Checks a scanned token
+   * Returns { valid: true, ticketId } or { valid: false, ticketId, reason }
+   */
+  function verifyToken(token, secret) {
+    const text = (token || '').toString().trim();
+    const dot = text.lastIndexOf('.');
+    if (dot <= 0) {
+      return { valid: false, ticketId: '', reason: 'Not a ticket token' };
+    }
+
+    const ticketId = text.slice(0, dot);
+    const expected = signature(ticketId, secret || getSecret());
+    if (!signing().safeEqual(expected, text.slice(dot + 1).toLowerCase())) {
+      return { valid: false, ticketId: ticketId, reason: 'Signature mismatch' };
+    }
+    return { valid: true, ticketId: ticketId };
+  }
+
+  /**
+   * URL of the QR code image of a token
+   */
+  function getQrUrl(token, config) {
+    return getSettings(config).qrUrl.replace('{token}', encodeURIComponent(token));
+  }
+
+  function fetchQr(token, config) {
+    const url = getQrUrl(token, config);
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+    if (response.getResponseCode() !== 200) {
+      throw new Error('QR service answered ' + response.getResponseCode() + ' for ' + url);
+    }
+    return response;
+  }
+
+  /**
+   * Fetches the QR code of a token as a PNG blob named <ticketId>.png
+   */
+  function getQrBlob(token, config) {
+    return fetchQr(token, config).getBlob().setName(token.split('.')[0] + '.png');
+  }
+
+  /**
+   * Fetches the QR code of a token as a data:image/png;base64 URI
+   */
+  function getQrDataUri(token, config) {
+    return 'data:image/png;base64,' + Utilities.base64Encode(fetchQr(token, config).getContent());
+  }
+
+  const SUBJECTS = {
+    en: 'Your entry ticket - UAE Property Expo Muscat',
+    ar: 'تذكرة الدخول - معرض عقارات الإمارات مسقط'
+  };
+
+  // ==========================================================================
+  // TICKETS
+  // ==========================================================================
+
+  /**
+   * The payload fields of a ticket ID: { ticketId, ticketToken, ticketQrUrl }
+   * (empty strings when the lead has no ticket)
+   */
+  function describe(ticketId, config) {
+    const id = (ticketId || '').toString().trim();
+    if (!id) {
+      return { ticketId: '', ticketToken: '', ticketQrUrl: '' };
+    }
+    const token = createToken(id);
+    return { ticketId: id, ticketToken: token, ticketQrUrl: getQrUrl(token, config) };
+  }
+
+  /**
+   * The ticket fields of a lead row (see describe())
+   */
+  function read(rowData, columns, config) {
+    return describe(core().getCell(rowData, columns.TICKET_ID), config);
+  }
+
+  /**
+   * A new ticket ID that is not in the list of existing IDs
+   */
+  function createTicketId(existing, config) {
+    const prefix = getSettings(config).prefix;
+    let ticketId;
+    do {
+      ticketId = prefix + '-' + Utilities.getUuid().replace(/-/g, '').slice(0, 8).toUpperCase();
+    } while (existing.indexOf(ticketId) !== -1);
+    return ticketId;
+  }
+
+  /**
+   * Returns the Ticket ID column number, adding the column if it is missing
+   */
+  function getTicketColumn(sheet, config) {
+    const headerRow = core().getHeaderRow(sheet);
+    const column = core().findColumns(headerRow, config).TICKET_ID;
+    if (column) {
+      return column;
+    }
+
+    const added = headerRow.length + 1;
+    sheet.getRange(1, added).setValue(getSettings(config).header);
+    Logger.log('✓ Added the "' + getSettings(config).header + '" column (' + added + ')');
+    return added;
+  }
+
+  /**
+   * Issues a ticket to an attending lead that has none yet
+   * data is the lead's getFormData() result; its ticket fields are filled in
+   * Returns the ticket fields, or null when no ticket was issued
+   */
+  function issue(sheet, rowNumber, data, config) {
+    if (!getSettings(config).enabled || !rowNumber || data.attendanceStatus !== attendance().STATUS.ATTENDING) {
+      return null;
+    }
+
+    // Two submissions of the same lead must not both mint a ticket. The
+    // edit flush already holds the lock - releasing it here would end its run.
+    const lock = LockService.getScriptLock();
+    const held = lock.hasLock();
+    if (!held) {
+      lock.waitLock(30 * 1000);
+    }
+    try {
+      const column = getTicketColumn(sheet, config);
+      const lastRow = sheet.getLastRow();
+      const existing = lastRow > 1 ? sheet.getRange(2, column, lastRow - 1, 1).getValues().map(row => row[0].toString().trim()) : [];
+      const current = existing[rowNumber - 2];
+      if (current) {
+        Object.assign(data, describe(current, config));
+        return null;
+      }
+
+      const ticketId = createTicketId(existing, config);
+      sheet.getRange(rowNumber, column).setValue(ticketId);
+      Object.assign(data, describe(ticketId, config));
+      Logger.log('✓ Ticket ' + ticketId + ' issued to ' + data.email + ' (row ' + rowNumber + ')');
+      return describe(ticketId, config);
+    } finally {
+      if (!held) {
+        lock.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * The ticket email of a lead (getFormData() result with ticket fields)
+   * Returns { subject, html, text }, or null when the lead has no ticket
+   */
+  function renderEmail(lead) {
+    if (!lead.ticketId) {
+      return null;
+    }
+    const language = lead.language === 'ar' ? 'ar' : 'en';
+    const email = templates().renderEmail('ticket.' + language, lead);
+    return { subject: SUBJECTS[language], html: email.html, text: email.text };
+  }
+
+  return {
+    DEFAULTS: DEFAULTS,
+    SECRET_PROPERTY: SECRET_PROPERTY,
+    getSettings: getSettings,
+    getSecret: getSecret,
+    createToken: createToken,
+    verifyToken: verifyToken,
+    getQrUrl: getQrUrl,
+    getQrBlob: getQrBlob,
+    getQrDataUri: getQrDataUri,
+    describe: describe,
+    read: read,
+    issue: issue,
+    renderEmail: renderEmail
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpoTickets;
+}
@@ -0,0 +1,262 @@
+/**
+ * Trigger and editor entry points
+ *
+ * Apps Script can only run top-level functions, so these thin wrappers pass
+ * the project's DEPLOYMENT_CONFIG (defined in the deployment config file)
+ * into the shared ExpoCore library. Settings saved from the "Expo Setup"
+ * menu (Script Properties) override the webhookUrl / sheetName defaults.
+ *
+ * TO INSTALL THE TRIGGER:
+ * 1. Save the project
+ * 2. Click the clock icon (⏰) in the Apps Script toolbar
+ * 3. Click "+ Add Trigger" button
+ * 4. Configure:
+ *    - Function: onFormSubmit
+ *    - Event source: From spreadsheet
+ *    - Event type: On form submit
+ * 5. Click "Save" and authorize the script if prompted
+ *
+ * TO SEND EDITS (Status / Response changed by staff):
+ * Run installEditTriggers() once from the editor. It records the current
+ * values and installs onSheetEdit (On edit), onSheetChange (On change) and
+ * flushEditEvents (every minute). A simple onEdit() trigger cannot call
+ * UrlFetchApp, so these must be installable triggers.
+ *
+ * TO CONFIGURE WITHOUT EDITING CODE:
+ * 1. Reload the spreadsheet - an "Expo Setup" menu appears
+ * 2. Expo Setup → Webhook & sheet settings…
+ * 3. Enter the webhook URL, pick the sheet and (optionally) the columns, Save
+ *
+ * TO TEST:
+ * 1. Run diagnoseSheetStructure() to verify the column mapping; it also
+ *    writes a data quality report to the "diagnostics" tab
+ * 2. Run testWebhook() to test the webhook connection
+ * 3. Run testLastRow() to test with actual sheet data
+ *
+ * TO SEE EXPECTED FOOTFALL:
+ * Expo Setup → Show capacity (or run showCapacity()) writes the attending
+ * and tentative guests per day and time slot to the "capacity" tab
+ *
+ * TO CHECK GUESTS IN ON EVENT DAY:
+ * Run generateCheckinKey() once, then Deploy → New deployment → Web app
+ * (execute as me) and open <web app URL>?key=<key> on the staff phones.
+ * Scanned tickets are logged to the "checkins" tab.
+ */
+
+/**
+ * The deployment config with the saved Script Properties applied
+ */
+function getDeploymentConfig() {
+  return ExpoSettings.applyTo(DEPLOYMENT_CONFIG);
+}
+
+/**
+ * Adds the "Expo Setup" menu when the spreadsheet opens
+ */
+function onOpen() {
+  ExpoSettings.addMenu();
+}
+
+/**
+ * Opens the settings dialog (Expo Setup menu)
+ */
+function showExpoSettings() {
+  ExpoSettings.showDialog();
+}
+
+/**
+ * Called by settings-dialog.html to load the current settings
+ */
+function getExpoSettingsModel() {
+  return ExpoSettings.getDialogModel(DEPLOYMENT_CONFIG);
+}
+
+/**
+ * Called by settings-dialog.html to validate and save the settings
+ */
+function saveExpoSettings(form) {
+  return ExpoSettings.save(form, DEPLOYMENT_CONFIG, { ping: form.ping });
+}
+
+/**
+ * Run from the editor to drop the saved settings and use DEPLOYMENT_CONFIG again
+ */
+function resetExpoSettings() {
+  ExpoSettings.reset();
+  Logger.log('✓ Saved settings removed - using DEPLOYMENT_CONFIG');
+}
+
+/**
+ * Triggered when a Google Form is submitted
+ */
+function onFormSubmit(e) {
+  ExpoCore.onFormSubmit(e, getDeploymentConfig());
+}
+
+/**
+ * Installable "On edit" trigger - records Status / Response changes
+ */
+function onSheetEdit(e) {
+  ExpoEdits.onEdit(e, getDeploymentConfig());
+}
+
+/**
+ * Installable "On change" trigger - catches inserted, removed or sorted rows
+ */
+function onSheetChange(e) {
+  ExpoEdits.onChange(e, getDeploymentConfig());
+}
+
+/**
+ * Time-driven trigger - sends recorded changes once they stop changing
+ */
+function flushEditEvents() {
+  try {
+    ExpoEdits.flush(getDeploymentConfig());
+  } catch (error) {
+    Logger.log('✗ Error in flushEditEvents: ' + error.toString());
+    throw error;
+  }
+}
+
+/**
+ * Run once from the editor to start sending Status / Response edits
+ */
+function installEditTriggers() {
+  ExpoEdits.installTriggers({
+    onEdit: 'onSheetEdit',
+    onChange: 'onSheetChange',
+    flush: 'flushEditEvents'
+  }, getDeploymentConfig());
+}
+
+/**
+ * Shows the sheet structure and the resolved column mapping
+ */
+function diagnoseSheetStructure() {
+  ExpoCore.diagnoseSheetStructure(getDeploymentConfig());
+}
+
+/**
+ * Writes the expected guests per expo day to the "capacity" tab
+ */
+function showCapacity() {
+  ExpoSessions.showCapacity(getDeploymentConfig());
+}
+
+/**
+ * Sends test data to the webhook
+ */
+function testWebhook() {
+  ExpoCore.testWebhook(getDeploymentConfig());
+}
+
+/**
+ * Sends the last row of the sheet to the webhook
+ */
+function testLastRow() {
+  ExpoCore.testLastRow(getDeploymentConfig());
+}
+
+/**
+ * Time-driven trigger - resends webhook calls queued in the outbox
+ */
+function retryWebhookOutbox() {
+  try {
+    ExpoOutbox.processOutbox(getDeploymentConfig());
+  } catch (error) {
+    Logger.log('✗ Error in retryWebhookOutbox: ' + error.toString());
+    throw error;
+  }
+}
+
+/**
+ * Run once from the editor to schedule retryWebhookOutbox()
+ */
+function installOutboxTrigger() {
+  ExpoOutbox.installTrigger('retryWebhookOutbox', getDeploymentConfig());
+}
+
+/**
+ * Time-driven trigger - sends the due Email 1/2/3 (see sequencer.js)
+ */
+function runEmailSequence() {
+  try {
+    ExpoSequencer.run(getDeploymentConfig());
+  } catch (error) {
+    Logger.log('✗ Error in runEmailSequence: ' + error.toString());
+    throw error;
+  }
+}
+
+/**
+ * Run from the editor to log which emails are due without sending them
+ */
+function previewEmailSequence() {
+  ExpoSequencer.run(getDeploymentConfig(), { dryRun: true });
+}
+
+/**
+ * Run once from the editor to schedule runEmailSequence()
+ * Only when the Make.com email scenarios are switched off
+ */
+function installEmailSequenceTrigger() {
+  ExpoSequencer.installTrigger('runEmailSequence', getDeploymentConfig());
+}
+
+/**
+ * Run from the editor to forget which rows were already sent
+ * (lets testLastRow() resend a row it has sent before)
+ */
+function clearIdempotencyKeys() {
+  Logger.log('Removed ' + ExpoIdempotency.clearAll() + ' idempotency keys');
+}
+
+/**
+ * Run once from the editor to create the webhook signing secret
+ * Copy the logged secret to Make.com / the receiving side
+ */
+function generateWebhookSecret() {
+  const secret = ExpoSigning.generateSecret();
+  Logger.log('✓ Stored new ' + ExpoSigning.SECRET_PROPERTY + ' in Script Properties');
+  Logger.log('Secret (copy to the receiving side): ' + secret);
+}
+
+/**
+ * Web app - serves the event-day check-in page (see checkin.js)
+ */
+function doGet(e) {
+  return ExpoCheckin.serve(e);
+}
+
+/**
+ * Web app - checks a guest in and answers JSON (handheld scanners)
+ */
+function doPost(e) {
+  return ExpoCheckin.handlePost(e, getDeploymentConfig());
+}
+
+/**
+ * Called by checkin-page.html to load the arrival counts
+ */
+function getCheckinModel(key) {
+  return ExpoCheckin.getPageModel(key, getDeploymentConfig());
+}
+
+/**
+ * Called by checkin-page.html with the scanned or typed ticket
+ */
+function checkInGuest(form) {
+  return ExpoCheckin.checkInFromPage(form, getDeploymentConfig());
+}
+
+/**
+ * Run once from the editor before event day: the check-in web app refuses
+ * every request until an access key exists. Running it again replaces the
+ * key. Open the page as <web app URL>?key=<logged key>
+ */
+function generateCheckinKey() {
+  const key = ExpoCheckin.generateKey();
+  Logger.log('✓ Stored new ' + ExpoCheckin.KEY_PROPERTY + ' in Script Properties');
+  Logger.log('Check-in page: <web app URL>?key=' + key);
+}
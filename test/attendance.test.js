@@ -0,0 +1,95 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCore = require('../apps-script/expo-core');
+const ExpoAttendance = require('../apps-script/attendance');
+const { install, uninstall, formEvent } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const RESPONSE = fixtures.LEADS_HEADERS.indexOf('Response');
+
+describe('parse', () => {
+  const cases = {
+    'Yes, I\'ll attend': 'attending',
+    'Yes, I’ll attend': 'attending',
+    'Accepted': 'attending',
+    'نعم، سأحضر': 'attending',
+    'سوف أحضر إن شاء الله': 'attending',
+    'No, I cannot attend': 'declined',
+    'I can\'t make it': 'declined',
+    'Rejected': 'declined',
+    'لن أحضر': 'declined',
+    'أعتذر عن الحضور': 'declined',
+    'Maybe': 'tentative',
+    'Yes, maybe': 'tentative',
+    'Not sure yet': 'tentative',
+    'ربما': 'tentative',
+    'لست متأكداً': 'tentative',
+    'attending': 'attending',
+    'Yes, no problem': 'attending',
+    'Can\'t wait to attend!': 'attending',
+    'I will attend, not with family': 'attending',
+    'لا مانع': 'attending',
+    'No problem, see you there': 'attending',
+    'No': 'declined',
+    'لا': 'declined',
+    '': 'unknown',
+    'See you there?': 'unknown',
+    'في أي وقت تبدأ الفعالية؟': 'unknown',
+    'declined': 'declined',
+    'tentative': 'tentative'
+  };
+
+  Object.keys(cases).forEach(answer => {
+    it(JSON.stringify(answer) + ' → ' + cases[answer], () => {
+      assert.equal(ExpoAttendance.parse(answer), cases[answer]);
+    });
+  });
+
+  it('accepts extra answers from the config', () => {
+    const config = fixtures.deploymentConfig({ attendance: { aliases: { attending: ['See you there'] } } });
+
+    assert.equal(ExpoAttendance.parse('See you there?', config), 'attending');
+  });
+});
+
+describe('onFormSubmit with a response', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows() } });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('sends the raw answer with its canonical value and writes the value back to Response', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 3), fixtures.deploymentConfig());
+
+    assert.equal(env.fetches[0].payload.response, 'No, I cannot attend');
+    assert.equal(env.fetches[0].payload.attendance, 'No, I cannot attend');
+    assert.equal(env.fetches[0].payload.attendanceStatus, 'declined');
+    assert.equal(env.sheet('leads').rows[2][RESPONSE], 'declined');
+    assert.equal(env.sheet('leads').getLastColumn(), fixtures.LEADS_HEADERS.length);
+  });
+
+  it('leaves empty and unrecognized answers as typed', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig());
+    assert.equal(env.fetches[0].payload.attendanceStatus, 'unknown');
+    assert.equal(env.sheet('leads').rows[1][RESPONSE], '');
+
+    env.sheet('leads').rows[2][RESPONSE] = 'Let me check my calendar';
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 3), fixtures.deploymentConfig());
+    assert.equal(env.fetches[1].payload.attendanceStatus, 'unknown');
+    assert.equal(env.sheet('leads').rows[2][RESPONSE], 'Let me check my calendar');
+  });
+
+  it('keeps the raw text with writeBack off', () => {
+    env.sheet('leads').rows[2][RESPONSE] = 'Maybe';
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 3), fixtures.deploymentConfig({ attendance: { writeBack: false } }));
+
+    assert.equal(env.fetches[0].payload.attendanceStatus, 'tentative');
+    assert.equal(env.sheet('leads').rows[2][RESPONSE], 'Maybe');
+  });
+});
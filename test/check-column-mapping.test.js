@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { checkColumnMapping, parseColumnMapping, loadSources } = require('../tools/check-column-mapping');
+const sheetsConfig = require('../google-sheets-config.json');
+
+// COLUMN_MAPPING blocks of the scripts before columns were found by header
+const WEBHOOK_TRIGGER_MAPPING = [
+  'const COLUMN_MAPPING = {',
+  '  TIMESTAMP: 1,      // Column A - Timestamp (auto-added by Google Forms)',
+  '  NAME: 2,           // Column B - Name',
+  '  RESPONSE: 12,      // Column L - Response (attendance)',
+  '  RESPONSE_DATE: 13, // Column M - Response Date',
+  '  COMMENTS: 14       // Column N - Comments',
+  '};'
+].join('\n');
+
+const COMPLETE_UPDATED_MAPPING = [
+  'const COLUMN_MAPPING = {',
+  '  NAME: 1,           // Column A - Name',
+  '  EMAIL: 2,          // Column B - Email',
+  '  STATUS: 5,         // Column E - Status',
+  '  RESPONSE: 11,      // Column K - Response (attendance)',
+  '  RESPONSE_DATE: 12, // Column L - Response Date',
+  '  COMMENTS: 13       // Column M - Comments',
+  '};'
+].join('\n');
+
+const errors = result => result.problems.filter(problem => problem.severity === 'error').map(problem => problem.message);
+
+/**
+ * A blueprint with one Google Sheets module on the leads sheet
+ * labels are the headers of columns A, B, ... as Make.com shows them ("Name (A)")
+ */
+function sheetBlueprint(labels, values) {
+  return {
+    flow: [{
+      id: 1,
+      module: 'google-sheets:updateRow',
+      mapper: { sheetId: 'leads', values: values || {} },
+      metadata: { interface: labels.map((label, i) => ({ name: String(i), label: label + ' (' + String.fromCharCode(65 + i) + ')' })) }
+    }]
+  };
+}
+
+describe('parseColumnMapping', () => {
+  it('reads field, letter and comment of each entry', () => {
+    const entries = parseColumnMapping(COMPLETE_UPDATED_MAPPING);
+
+    assert.equal(entries.length, 6);
+    assert.deepEqual(entries[3], { field: 'RESPONSE', letter: 'K', commentLetter: 'K', label: 'Response' });
+  });
+
+  it('returns nothing for scripts without a COLUMN_MAPPING', () => {
+    assert.deepEqual(parseColumnMapping('const DEPLOYMENT_CONFIG = { sheetName: "leads" };'), []);
+  });
+});
+
+describe('checkColumnMapping', () => {
+  it('finds no conflicts in the repository', () => {
+    assert.deepEqual(errors(checkColumnMapping(loadSources(path.join(__dirname, '..')))), []);
+  });
+
+  it('flags the Response column being K in one script and L in another', () => {
+    const result = checkColumnMapping({
+      sheetsConfig: sheetsConfig,
+      scripts: [
+        { file: 'GOOGLE-APPS-SCRIPT-WEBHOOK-TRIGGER.js', text: WEBHOOK_TRIGGER_MAPPING },
+        { file: 'GOOGLE-APPS-SCRIPT-COMPLETE-UPDATED.js', text: COMPLETE_UPDATED_MAPPING }
+      ],
+      blueprints: []
+    });
+
+    const response = errors(result).find(message => /^RESPONSE is in different columns/.test(message));
+    assert.ok(response);
+    assert.match(response, /K in google-sheets-config\.json, GOOGLE-APPS-SCRIPT-COMPLETE-UPDATED\.js \(COLUMN_MAPPING\); L in GOOGLE-APPS-SCRIPT-WEBHOOK-TRIGGER\.js/);
+    assert.ok(errors(result).some(message => /^Column A holds different fields: NAME .*; TIMESTAMP/.test(message)));
+  });
+
+  it('flags a script that puts the response columns elsewhere than google-sheets-config.json', () => {
+    const result = checkColumnMapping({
+      sheetsConfig: sheetsConfig,
+      scripts: [{ file: 'GOOGLE-APPS-SCRIPT-WEBHOOK-TRIGGER.js', text: WEBHOOK_TRIGGER_MAPPING }],
+      blueprints: []
+    });
+
+    assert.ok(errors(result).some(message => /^RESPONSE is in different columns: K in google-sheets-config\.json; L in GOOGLE-APPS-SCRIPT-WEBHOOK-TRIGGER\.js/.test(message)));
+    assert.ok(errors(result).some(message => /^Column L holds different fields: RESPONSE_DATE in google-sheets-config\.json; RESPONSE in GOOGLE-APPS-SCRIPT-WEBHOOK-TRIGGER\.js/.test(message)));
+  });
+
+  it('flags a comment that names another column than the number', () => {
+    const text = 'const COLUMN_MAPPING = {\n  STATUS: 6, // Column E - Status\n};';
+    const result = checkColumnMapping({ sheetsConfig: sheetsConfig, scripts: [{ file: 'old.js', text: text }], blueprints: [] });
+
+    assert.ok(errors(result).some(message => /COLUMN_MAPPING\.STATUS is column F but its comment says E/.test(message)));
+  });
+
+  it('flags blueprint labels that disagree with google-sheets-config.json', () => {
+    const blueprint = sheetBlueprint(['Name', 'Email', 'Phone', 'Language', 'Date Added', 'Status']);
+    const result = checkColumnMapping({ sheetsConfig: sheetsConfig, scripts: [], blueprints: [{ file: 'scenario.json', blueprint: blueprint }] });
+
+    assert.ok(errors(result).some(message => /^STATUS is in different columns: E in google-sheets-config\.json; F in scenario\.json \(module 1\)/.test(message)));
+    assert.ok(errors(result).some(message => /^Column E holds different fields/.test(message)));
+  });
+
+  it('flags deployment column headers the config does not have', () => {
+    const text = 'const DEPLOYMENT_CONFIG = { sheetName: "leads", columnHeaders: { STATUS: "Lead Status" } };';
+    const result = checkColumnMapping({ sheetsConfig: sheetsConfig, scripts: [{ file: 'deploy.js', text: text }], blueprints: [] });
+
+    assert.deepEqual(errors(result), ['deploy.js: columnHeaders.STATUS = "Lead Status" is not a column of google-sheets-config.json']);
+  });
+
+  it('warns about columns the blueprints use that nothing names', () => {
+    const blueprint = sheetBlueprint([], { 4: 'Email 1 Sent', 23: 'Accepted' });
+    const result = checkColumnMapping({ sheetsConfig: sheetsConfig, scripts: [], blueprints: [{ file: 'scenario.json', blueprint: blueprint }] });
+
+    assert.ok(result.problems.some(problem => problem.severity === 'warning' && /scenario\.json uses column X \(module 1\)/.test(problem.message)));
+    assert.ok(!result.problems.some(problem => /column E/.test(problem.message)));
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCheckin = require('../apps-script/checkin');
+const ExpoTickets = require('../apps-script/tickets');
+const { install, uninstall } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const FRIDAY = new Date('2025-12-26T10:00:00.000Z');
+const SATURDAY = new Date('2025-12-27T15:30:00.000Z');
+
+const GUESTS = [
+  { name: 'Omar', email: 'omar@example.com', response: 'Yes', preferredDay: 'Friday', partySize: '3' },
+  { name: 'Layla', email: 'layla@example.com', response: 'Maybe', preferredDay: 'Saturday' },
+  { name: 'Khalid', email: 'khalid@example.com', response: 'Yes', preferredDay: 'Both days', partySize: 'Me + 1' }
+];
+
+function leadsWithTickets() {
+  const rows = fixtures.leadsRows(GUESTS);
+  rows[0].push('Ticket ID');
+  rows[1].push('EXPO-0000000A');
+  rows[2].push('');
+  rows[3].push('EXPO-0000000C');
+  return rows;
+}
+
+describe('checkIn', () => {
+  let env;
+  const config = fixtures.deploymentConfig();
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: leadsWithTickets() }, properties: { TICKET_SECRET: 'secret' }, user: 'staff@example.com' });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('checks in a scanned ticket and logs the time, lead and staff member', () => {
+    const token = ExpoTickets.createToken('EXPO-0000000A');
+    const result = ExpoCheckin.checkIn(env.spreadsheet, token, 'Salim', config, FRIDAY);
+
+    assert.equal(result.status, 'checked_in');
+    assert.equal(result.message, 'Welcome, Omar - party of 3');
+    assert.deepEqual(result.warnings, []);
+    assert.deepEqual(env.sheet('checkins').rows[1], [FRIDAY, '2025-12-26', 'EXPO-0000000A', 'omar@example.com', 'Omar', 3, 2, 'Salim', 'QR Code']);
+    assert.deepEqual(result.counts.days.map(day => [day.date, day.arrivals, day.guests, day.expected]), [
+      ['2025-12-26', 1, 3, 5],
+      ['2025-12-27', 0, 0, 2]
+    ]);
+  });
+
+  it('finds leads by typed Ticket ID or email and records the signed-in account and how they were found', () => {
+    assert.equal(ExpoCheckin.checkIn(env.spreadsheet, 'expo-0000000c', '', config, FRIDAY).lead.name, 'Khalid');
+    assert.equal(ExpoCheckin.checkIn(env.spreadsheet, ' Layla@Example.com ', '', config, SATURDAY).lead.name, 'Layla');
+    assert.equal(env.sheet('checkins').rows[1][7], 'staff@example.com');
+    assert.deepEqual(env.sheet('checkins').rows.slice(1).map(row => row[8]), ['Ticket ID', 'Email']);
+  });
+
+  it('warns on a second check-in the same day and does not log it', () => {
+    ExpoCheckin.checkIn(env.spreadsheet, 'omar@example.com', 'Salim', config, FRIDAY);
+    const result = ExpoCheckin.checkIn(env.spreadsheet, 'EXPO-0000000A', 'Aisha', config, new Date('2025-12-26T11:00:00.000Z'));
+
+    assert.equal(result.status, 'duplicate');
+    assert.equal(result.message, 'Already checked in at 10:00 by Salim');
+    assert.equal(env.sheet('checkins').getLastRow(), 2);
+  });
+
+  it('checks guests in with warnings for the wrong day, a tentative answer or an earlier visit', () => {
+    const layla = ExpoCheckin.checkIn(env.spreadsheet, 'layla@example.com', 'Salim', config, FRIDAY);
+    ExpoCheckin.checkIn(env.spreadsheet, 'EXPO-0000000C', 'Salim', config, FRIDAY);
+    const khalid = ExpoCheckin.checkIn(env.spreadsheet, 'EXPO-0000000C', 'Salim', config, SATURDAY);
+
+    assert.deepEqual(layla.warnings, ['Response is "tentative" (Maybe)', 'Registered for Saturday 27 December 2025']);
+    assert.equal(khalid.status, 'checked_in');
+    assert.deepEqual(khalid.warnings, ['Also checked in on Friday 26 December 2025']);
+  });
+
+  it('rejects altered QR codes and unknown leads', () => {
+    const forged = ExpoTickets.createToken('EXPO-0000000A', 'another secret');
+
+    assert.equal(ExpoCheckin.checkIn(env.spreadsheet, forged, 'Salim', config, FRIDAY).status, 'invalid');
+    assert.equal(ExpoCheckin.checkIn(env.spreadsheet, 'EXPO-FFFFFFFF', 'Salim', config, FRIDAY).status, 'not_found');
+    assert.equal(env.sheet('checkins').getLastRow(), 1);
+  });
+});
+
+describe('handlePost', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: leadsWithTickets() }, properties: { CHECKIN_KEY: 'door-key' } });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('answers JSON and requires the access key', () => {
+    const refused = ExpoCheckin.handlePost({ parameter: { code: 'omar@example.com' } }, fixtures.deploymentConfig());
+    const accepted = ExpoCheckin.handlePost({
+      parameter: {},
+      postData: { type: 'application/json', contents: JSON.stringify({ code: 'omar@example.com', staff: 'Gate 2', key: 'door-key' }) }
+    }, fixtures.deploymentConfig());
+
+    assert.equal(refused.mimeType, 'application/json');
+    assert.equal(JSON.parse(refused.getContent()).status, 'unauthorized');
+    assert.equal(JSON.parse(accepted.getContent()).status, 'checked_in');
+    assert.equal(env.sheet('checkins').rows[1][7], 'Gate 2');
+  });
+
+  it('refuses every request until an access key is generated', () => {
+    delete env.properties.CHECKIN_KEY;
+    const refused = ExpoCheckin.handlePost({ parameter: { code: 'omar@example.com', key: '' } }, fixtures.deploymentConfig());
+
+    assert.equal(ExpoCheckin.isAuthorized(''), false);
+    assert.equal(JSON.parse(refused.getContent()).status, 'unauthorized');
+    assert.equal(env.spreadsheet.getSheetByName('checkins'), null);
+
+    const key = ExpoCheckin.generateKey();
+    assert.equal(ExpoCheckin.isAuthorized(key), true);
+    assert.equal(ExpoCheckin.isAuthorized(key + 'x'), false);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCore = require('../apps-script/expo-core');
+const ExpoDedupe = require('../apps-script/dedupe');
+const { install, uninstall, formEvent } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const headers = fixtures.LEADS_HEADERS;
+const columns = ExpoCore.findColumns(headers);
+const rows = fixtures.LEADS.map(lead => fixtures.leadRow(lead));
+
+// Ahmed (row 2) submitting again with another spelling and phone
+const REPEAT = { name: 'Ahmed Al Rashid', email: 'ahmed@example.com', phone: '9708 3232', dateAdded: new Date('2025-12-02T09:00:00.000Z') };
+
+describe('findMatch', () => {
+  it('matches the email, ignoring case and spaces', () => {
+    const match = ExpoDedupe.findMatch(rows, fixtures.leadRow(REPEAT), 5, columns, fixtures.deploymentConfig());
+
+    assert.deepEqual(match, { rowNumber: 2, matchedOn: 'email' });
+  });
+
+  it('falls back to the phone number', () => {
+    const submitted = fixtures.leadRow({ name: 'Fatima', email: 'fatima.z@example.com', phone: '+971 50 123 4567' });
+
+    assert.deepEqual(ExpoDedupe.findMatch(rows, submitted, 5, columns, fixtures.deploymentConfig()), { rowNumber: 3, matchedOn: 'phone' });
+    assert.equal(ExpoDedupe.findMatch(rows, submitted, 5, columns, fixtures.deploymentConfig({ dedupe: { matchPhone: false } })), null);
+  });
+
+  it('does not match the submitted row itself', () => {
+    assert.equal(ExpoDedupe.findMatch(rows, rows[2], 4, columns, fixtures.deploymentConfig()), null);
+  });
+});
+
+describe('mergeValues', () => {
+  it('copies new non-empty values and keeps the campaign columns', () => {
+    const submitted = fixtures.leadRow(Object.assign({ status: 'New', comments: '' }, REPEAT));
+    const merged = ExpoDedupe.mergeValues(headers, rows[0], submitted, fixtures.deploymentConfig());
+
+    assert.deepEqual(merged.mergedFields, ['Name', 'Phone']);
+    assert.equal(merged.values[headers.indexOf('Name')], 'Ahmed Al Rashid');
+    assert.equal(merged.values[headers.indexOf('Status')], 'Email 1 Sent');
+    assert.deepEqual(merged.values[headers.indexOf('Date Added')], new Date('2025-11-29T21:14:40.121Z'));
+  });
+});
+
+describe('onFormSubmit with a repeated submission', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows(fixtures.LEADS.concat([REPEAT])) } });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('merges the row into the lead and sends lead_updated', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 5), fixtures.deploymentConfig());
+
+    const payload = env.fetches[0].payload;
+    assert.equal(env.fetches.length, 1);
+    assert.equal(payload.event, 'lead_updated');
+    assert.equal(payload.rowNumber, 2);
+    assert.equal(payload.name, 'Ahmed Al Rashid');
+    assert.equal(payload.phone, '+96897083232');
+    assert.equal(payload.status, 'Email 1 Sent');
+    assert.equal(payload.duplicateRow, 5);
+    assert.equal(payload.matchedOn, 'email');
+    assert.deepEqual(payload.mergedFields, ['Name', 'Phone']);
+
+    const leads = env.sheet('leads');
+    assert.equal(leads.getLastRow(), 4);
+    assert.equal(leads.rows[1][headers.indexOf('Name')], 'Ahmed Al Rashid');
+
+    const archive = env.sheet('lead_duplicates');
+    assert.equal(archive.hidden, true);
+    assert.deepEqual(archive.rows[1].slice(1, 6), [5, 2, 'email', 'Ahmed Al Rashid', 'ahmed@example.com']);
+  });
+
+  it('keeps attendance_response for a repeat that answers the attendance question', () => {
+    env = install({ sheets: { leads: fixtures.leadsRows(fixtures.LEADS.concat([Object.assign({ response: 'Yes, I\'ll attend' }, REPEAT)])) } });
+
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 5), fixtures.deploymentConfig());
+
+    assert.equal(env.fetches[0].payload.event, 'attendance_response');
+    assert.equal(env.fetches[0].payload.response, 'Yes, I\'ll attend');
+    assert.equal(env.fetches[0].payload.duplicateRow, 5);
+  });
+
+  it('reports the lead row after a duplicate above it was removed', () => {
+    env = install({ sheets: { leads: fixtures.leadsRows([REPEAT].concat(fixtures.LEADS)) } });
+
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig());
+
+    assert.equal(env.fetches[0].payload.rowNumber, 2);
+    assert.equal(env.sheet('leads').rows[1][headers.indexOf('Status')], 'Email 1 Sent');
+  });
+
+  it('deletes the duplicate without archiving when configured', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 5), fixtures.deploymentConfig({ dedupe: { duplicates: 'delete' } }));
+
+    assert.equal(env.sheet('leads').getLastRow(), 4);
+    assert.equal(env.sheet('lead_duplicates'), null);
+  });
+
+  it('sends a new_lead when dedupe is off', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 5), fixtures.deploymentConfig({ dedupe: { enabled: false } }));
+
+    assert.equal(env.fetches[0].payload.event, 'new_lead');
+    assert.equal(env.fetches[0].payload.rowNumber, 5);
+    assert.equal(env.sheet('leads').getLastRow(), 5);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCore = require('../apps-script/expo-core');
+const ExpoDiagnostics = require('../apps-script/diagnostics');
+const { install, uninstall } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const NOW = new Date('2025-12-20T09:00:00.000Z');
+const CHECKS = ExpoDiagnostics.CHECKS;
+
+function analyze(leads, config) {
+  const rows = fixtures.leadsRows(leads);
+  return ExpoDiagnostics.analyze(rows[0], rows.slice(1), config || fixtures.deploymentConfig(), NOW);
+}
+
+const found = (report, check) => report.issues.filter(issue => issue.check === check).map(issue => issue.row + ' ' + issue.value);
+
+describe('analyze', () => {
+  it('checks the fixture leads', () => {
+    const report = analyze();
+
+    assert.equal(report.rows, 3);
+    assert.deepEqual(found(report, CHECKS.EMAIL_TYPO), ['4 sara@gmial.com']);
+    assert.deepEqual(found(report, CHECKS.INCONSISTENT_STATUS), ['2 Email 1 Sent', '3 Email 2 Sent', '3 Email 2 Sent']);
+    assert.equal(report.counts[CHECKS.DUPLICATE_EMAIL], 0);
+  });
+
+  it('finds missing, invalid and duplicate emails', () => {
+    const report = analyze([
+      { name: 'Omar', email: 'Omar@Example.com' },
+      { name: 'No Email', email: '' },
+      { name: 'Bad', email: 'not-an-email' },
+      { name: 'Omar again', email: 'omar@example.com ' }
+    ]);
+
+    assert.deepEqual(found(report, CHECKS.MISSING_EMAIL), ['3 ']);
+    assert.deepEqual(found(report, CHECKS.INVALID_EMAIL), ['4 not-an-email']);
+    assert.deepEqual(report.issues.filter(issue => issue.check === CHECKS.DUPLICATE_EMAIL).map(issue => issue.row + ' ' + issue.details), [
+      '2 Also on row 5',
+      '5 Also on row 2'
+    ]);
+  });
+
+  it('lists unknown languages and statuses', () => {
+    const report = analyze([
+      { email: 'a@example.com', language: 'French', status: 'Pending' },
+      { email: 'b@example.com', language: 'العربية', status: 'email 1  sent', email1Date: new Date('2025-12-18') },
+      { email: 'c@example.com', language: 'AR', status: 'VIP' }
+    ], fixtures.deploymentConfig({ diagnostics: { statuses: ['VIP'] } }));
+
+    assert.deepEqual(found(report, CHECKS.UNKNOWN_LANGUAGE), ['2 French']);
+    assert.deepEqual(found(report, CHECKS.UNKNOWN_STATUS), ['2 Pending']);
+    assert.deepEqual(found(report, CHECKS.INCONSISTENT_STATUS), ['3 email 1  sent']);
+  });
+
+  it('flags a date column set beyond the status', () => {
+    const report = analyze([
+      { email: 'a@example.com', status: 'Email 1 Sent', email1Date: new Date('2025-12-18'), email2Date: new Date('2025-12-19') }
+    ]);
+
+    assert.equal(report.issues.length, 1);
+    assert.match(report.issues[0].details, /^Email 2 Date is set but Status is "Email 1 Sent"/);
+  });
+
+  it('flags leads stuck in a stage', () => {
+    const report = analyze([
+      { email: 'stuck@example.com', status: 'Email 1 Sent', email1Date: new Date('2025-12-01') },
+      { email: 'recent@example.com', status: 'Email 1 Sent', email1Date: new Date('2025-12-17') },
+      { email: 'replied@example.com', status: 'Email 1 Sent', email1Date: new Date('2025-12-01'), response: 'Yes, I\'ll attend' }
+    ]);
+
+    assert.deepEqual(found(report, CHECKS.STUCK), ['2 Email 1 Sent']);
+    assert.match(report.issues.find(issue => issue.check === CHECKS.STUCK).details, /19 days ago, Email 2 not sent/);
+    assert.deepEqual(found(analyze([{ email: 'stuck@example.com', status: 'Email 1 Sent', email1Date: new Date('2025-12-01') }],
+      fixtures.deploymentConfig({ diagnostics: { stuckAfterDays: 30 } })), CHECKS.STUCK), []);
+  });
+
+  it('flags date columns holding text', () => {
+    const report = analyze([
+      { email: 'a@example.com', dateAdded: '2025-12-01', status: 'Email 1 Sent', email1Date: 'last week' }
+    ]);
+
+    assert.deepEqual(found(report, CHECKS.TEXT_DATE), ['2 2025-12-01', '2 last week']);
+    assert.match(report.issues.find(issue => issue.value === 'last week').details, /not a date/);
+  });
+});
+
+describe('diagnoseSheetStructure', () => {
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('writes the report to the diagnostics tab, replacing the previous one', () => {
+    const env = install({ sheets: { leads: fixtures.leadsRows(), diagnostics: Array.from({ length: 30 }, () => ['old report']) } });
+
+    ExpoCore.diagnoseSheetStructure(fixtures.deploymentConfig());
+
+    const rows = env.sheet('diagnostics').rows;
+    assert.equal(rows[0][0], 'Data quality report');
+    assert.equal(rows[0][3], 'Lead rows: 3');
+    assert.deepEqual(rows[2], ['Check', 'Count', '', '', '']);
+    assert.deepEqual(rows[3], [CHECKS.MISSING_EMAIL, 0, '', '', '']);
+    const table = rows.findIndex(row => row[0] === 'Check' && row[1] === 'Row');
+    assert.deepEqual(rows.slice(table + 1).map(row => row[0] + ' ' + row[1]), [
+      'Inconsistent status 2',
+      'Inconsistent status 3',
+      'Inconsistent status 3',
+      'Possible email typo 4'
+    ]);
+    assert.ok(env.logs.some(line => /Report written to the "diagnostics" tab/.test(line)));
+  });
+
+  it('creates the tab under the configured name', () => {
+    const env = install({ sheets: { leads: fixtures.leadsRows() } });
+
+    ExpoCore.diagnoseSheetStructure(fixtures.deploymentConfig({ diagnostics: { sheetName: 'Health' } }));
+
+    assert.ok(env.spreadsheet.getSheetByName('Health'));
+    assert.equal(env.sheet('Health').rows[0][0], 'Data quality report');
+  });
+});
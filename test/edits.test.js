@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoEdits = require('../apps-script/edits');
+const ExpoTickets = require('../apps-script/tickets');
+const { install, uninstall, editEvent } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const STATUS = 5;
+const RESPONSE = 11;
+
+describe('edit events', () => {
+  const config = fixtures.deploymentConfig();
+  let env;
+
+  function edit(row, column, value, oldValue) {
+    ExpoEdits.onEdit(editEvent(env.sheet('leads'), row, column, [[value]], oldValue), config);
+  }
+
+  /**
+   * Moves every tracked change back past the debounce window
+   */
+  function quiet() {
+    const tracking = env.sheet('edit_tracking');
+    const past = new Date(Date.now() - 2 * 60 * 1000);
+    for (let row = 2; row <= tracking.getLastRow(); row++) {
+      if (tracking.getRange(row, 6).getValue()) {
+        tracking.getRange(row, 6).setValue(past);
+      }
+    }
+  }
+
+  const sent = () => env.fetches.map(fetch => ({
+    event: fetch.payload.event,
+    email: fetch.payload.email,
+    changedField: fetch.payload.changedField,
+    oldValue: fetch.payload.oldValue,
+    newValue: fetch.payload.newValue
+  }));
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows() } });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('waits until the cell has been quiet for the debounce time', () => {
+    edit(2, STATUS, 'Confirmed', 'Email 1 Sent');
+
+    assert.deepEqual(ExpoEdits.flush(config), { sent: 0, queued: 0, failed: 0, reverted: 0, waiting: 1 });
+    assert.equal(env.fetches.length, 0);
+  });
+
+  it('sends one status_change with the old and new value, once', () => {
+    edit(2, STATUS, 'Confirmed', 'Email 1 Sent');
+    quiet();
+
+    assert.equal(ExpoEdits.flush(config).sent, 1);
+    assert.deepEqual(sent(), [
+      { event: 'status_change', email: 'ahmed@example.com', changedField: 'status', oldValue: 'Email 1 Sent', newValue: 'Confirmed' }
+    ]);
+
+    assert.equal(ExpoEdits.flush(config).sent, 0);
+    assert.equal(env.fetches.length, 1);
+  });
+
+  it('merges edits inside the window into one change from the first old to the last new value', () => {
+    edit(2, STATUS, 'Confirm', 'Email 1 Sent');
+    edit(2, STATUS, 'Confirmed', 'Confirm');
+    quiet();
+    ExpoEdits.flush(config);
+
+    assert.deepEqual(sent(), [
+      { event: 'status_change', email: 'ahmed@example.com', changedField: 'status', oldValue: 'Email 1 Sent', newValue: 'Confirmed' }
+    ]);
+  });
+
+  it('sends nothing for a change that was reverted inside the window', () => {
+    edit(2, STATUS, 'Confirmed', 'Email 1 Sent');
+    edit(2, STATUS, 'Email 1 Sent', 'Confirmed');
+    quiet();
+
+    assert.deepEqual(ExpoEdits.flush(config), { sent: 0, queued: 0, failed: 0, reverted: 1, waiting: 0 });
+    assert.equal(env.fetches.length, 0);
+  });
+
+  it('reports Response changes as attendance_response', () => {
+    edit(3, RESPONSE, 'Maybe', 'No, I cannot attend');
+    quiet();
+    ExpoEdits.flush(config);
+
+    assert.deepEqual(sent(), [
+      { event: 'attendance_response', email: 'fatima@example.com', changedField: 'response', oldValue: 'No, I cannot attend', newValue: 'Maybe' }
+    ]);
+  });
+
+  it('knows the old values of a multi-cell paste from the snapshot', () => {
+    ExpoEdits.snapshot(config);
+    ExpoEdits.onEdit(editEvent(env.sheet('leads'), 2, STATUS, [['Confirmed'], ['Declined']]), config);
+    quiet();
+    ExpoEdits.flush(config);
+
+    assert.deepEqual(sent(), [
+      { event: 'status_change', email: 'ahmed@example.com', changedField: 'status', oldValue: 'Email 1 Sent', newValue: 'Confirmed' },
+      { event: 'status_change', email: 'fatima@example.com', changedField: 'status', oldValue: 'Email 2 Sent', newValue: 'Declined' }
+    ]);
+  });
+
+  it('ignores columns that are not watched', () => {
+    edit(2, 10, 'Called on Monday', '');
+
+    assert.equal(env.sheet('edit_tracking'), null);
+  });
+
+  it('keeps sending and records the run when issuing a ticket fails', t => {
+    t.mock.method(ExpoTickets, 'issue', () => {
+      throw new Error('Lock timeout');
+    });
+    edit(2, RESPONSE, 'Yes, I will attend', '');
+    edit(3, STATUS, 'Confirmed', 'Email 2 Sent');
+    quiet();
+
+    assert.equal(ExpoEdits.flush(config).sent, 2);
+    assert.ok(env.logs.some(line => /⚠ No ticket issued to ahmed@example\.com \(row 2\): Error: Lock timeout/.test(line)));
+
+    assert.equal(ExpoEdits.flush(config).sent, 0);
+    assert.equal(env.fetches.length, 2);
+  });
+
+  it('queues a failed send in the outbox', () => {
+    edit(2, STATUS, 'Confirmed', 'Email 1 Sent');
+    quiet();
+    env.respondWith({ code: 503, body: 'Service unavailable' });
+
+    assert.equal(ExpoEdits.flush(config).queued, 1);
+    assert.equal(env.sheet('webhook_outbox').getLastRow(), 2);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoEmail = require('../apps-script/email');
+const fixtures = require('./fixtures/leads');
+
+describe('validate', () => {
+  it('accepts well-formed addresses, trimmed and lowercased', () => {
+    assert.deepEqual(ExpoEmail.validate(' Ahmed@Example.com '), { valid: true, reason: '', suggestion: '' });
+    assert.deepEqual(ExpoEmail.validate('o\'neil+expo@mail.omantel.net.om'), { valid: true, reason: '', suggestion: '' });
+  });
+
+  it('refuses empty and malformed addresses', () => {
+    assert.equal(ExpoEmail.validate('').reason, 'empty');
+    ['ahmed', '@example.com', 'ahmed@example', 'ahmed@@example.com', 'ahmed@exa mple.com',
+      'ahmed..rashid@example.com', 'ahmed@example..com', 'ahmed,rashid@example.com'].forEach(email => {
+      assert.deepEqual(ExpoEmail.validate(email), { valid: false, reason: 'syntax', suggestion: '' }, email);
+    });
+  });
+
+  it('suggests the common domain a typo was meant to be', () => {
+    assert.deepEqual(ExpoEmail.validate('sara@gmial.com'), { valid: true, reason: '', suggestion: 'sara@gmail.com' });
+    assert.equal(ExpoEmail.validate('sara@hotmial.com').suggestion, 'sara@hotmail.com');
+    assert.equal(ExpoEmail.validate('sara@gmail.cor').suggestion, 'sara@gmail.com');
+    assert.equal(ExpoEmail.validate('sara@omantel.net').suggestion, 'sara@omantel.net.om');
+    assert.equal(ExpoEmail.validate('sara@company.con').suggestion, 'sara@company.com');
+  });
+
+  it('leaves real domains close to a common one alone', () => {
+    ['mail.com', 'ymail.com', 'me.com', 'omantel.om', 'thesmartpro.io'].forEach(domain => {
+      assert.equal(ExpoEmail.validate('sara@' + domain).suggestion, '', domain);
+    });
+  });
+
+  it('suggests the deployment\'s own domains', () => {
+    const config = fixtures.deploymentConfig({ email: { domains: ['TheSmartPro.io'] } });
+
+    assert.equal(ExpoEmail.validate('sara@thesmartpr.io', config).suggestion, 'sara@thesmartpro.io');
+  });
+
+  it('refuses disposable inboxes unless allowed', () => {
+    assert.deepEqual(ExpoEmail.validate('sam@mailinator.com'), { valid: false, reason: 'disposable', suggestion: '' });
+    assert.equal(ExpoEmail.validate('sam@eu.mailinator.com').reason, 'disposable');
+    assert.equal(ExpoEmail.validate('sam@burner.test', fixtures.deploymentConfig({ email: { disposableDomains: ['Burner.test'] } })).reason, 'disposable');
+    assert.equal(ExpoEmail.validate('sam@mailinator.com', fixtures.deploymentConfig({ email: { blockDisposable: false } })).valid, true);
+  });
+});
+
+describe('distance', () => {
+  it('counts a swap of neighbours as one edit', () => {
+    assert.equal(ExpoEmail.distance('gmial.com', 'gmail.com'), 1);
+    assert.equal(ExpoEmail.distance('gmal.com', 'gmail.com'), 1);
+    assert.equal(ExpoEmail.distance('yahoo.com', 'gmail.com'), 5);
+  });
+});
+
+describe('describe', () => {
+  it('explains the problem and the suggestion', () => {
+    assert.equal(ExpoEmail.describe('sam@mailinator.com', ExpoEmail.validate('sam@mailinator.com')), '"sam@mailinator.com" uses a disposable email domain');
+    assert.equal(ExpoEmail.describe('sara@gmial.com', ExpoEmail.validate('sara@gmial.com')), 'did you mean sara@gmail.com?');
+    assert.equal(ExpoEmail.describe('ahmed', ExpoEmail.validate('ahmed')), '"ahmed" is not a valid email address');
+  });
+});
@@ -0,0 +1,240 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCore = require('../apps-script/expo-core');
+const { install, uninstall, formEvent } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+describe('getFormData', () => {
+  const headers = fixtures.LEADS_HEADERS;
+
+  it('reads a lead row of the leads sheet layout', () => {
+    const data = ExpoCore.getFormData(fixtures.leadRow(fixtures.LEADS[0]), headers, fixtures.deploymentConfig());
+
+    assert.equal(data.name, 'Ahmed Al-Rashid');
+    assert.equal(data.email, 'ahmed@example.com');
+    assert.equal(data.phone, '+96891234567');
+    assert.equal(data.phoneValid, true);
+    assert.equal(data.phoneCountry, 'OM');
+    assert.equal(data.language, 'en');
+    assert.equal(data.languageSource, 'explicit');
+    assert.equal(data.status, 'Email 1 Sent');
+    assert.equal(data.timestamp, '2025-11-29T21:14:40.121Z');
+  });
+
+  it('copies the response to attendance and infers the language', () => {
+    const data = ExpoCore.getFormData(fixtures.leadRow(fixtures.LEADS[1]), headers, fixtures.deploymentConfig());
+
+    assert.equal(data.response, 'No, I cannot attend');
+    assert.equal(data.attendance, 'No, I cannot attend');
+    assert.equal(data.comments, 'Sorry, I have a conflict.');
+    assert.equal(data.language, 'ar');
+    assert.equal(data.languageSource, 'inferred');
+    assert.equal(data.phone, '+971501234567');
+    assert.equal(data.phoneCountry, 'AE');
+  });
+
+  it('finds columns by header text, wherever they are', () => {
+    const reordered = ['E-mail Address', 'Comments', 'Full Name', 'Phone'];
+    const row = ['Lead@Example.com', 'Hi', ' Omar ', '97083232'];
+    const data = ExpoCore.getFormData(row, reordered, fixtures.deploymentConfig());
+
+    assert.equal(data.email, 'lead@example.com');
+    assert.equal(data.name, 'Omar');
+    assert.equal(data.comments, 'Hi');
+    assert.equal(data.phone, '+96897083232');
+  });
+
+  it('uses the configured column headers', () => {
+    const config = fixtures.deploymentConfig({ columnHeaders: { EMAIL: 'Contact' } });
+    const data = ExpoCore.getFormData(['Omar', 'omar@example.com'], ['Name', 'Contact'], config);
+
+    assert.equal(data.email, 'omar@example.com');
+  });
+
+  it('throws when a required column is missing', () => {
+    assert.throws(
+      () => ExpoCore.getFormData(['Omar', '97083232'], ['Name', 'Phone'], fixtures.deploymentConfig()),
+      /EMAIL/
+    );
+  });
+
+  it('keeps invalid phone numbers as typed', () => {
+    const lead = Object.assign({}, fixtures.LEADS[0], { phone: ' 12345 ' });
+    const data = ExpoCore.getFormData(fixtures.leadRow(lead), headers, fixtures.deploymentConfig());
+
+    assert.equal(data.phone, '12345');
+    assert.equal(data.phoneValid, false);
+  });
+
+  it('falls back to the current time without a Date Added', () => {
+    const lead = Object.assign({}, fixtures.LEADS[0], { dateAdded: '' });
+    const before = Date.now();
+    const data = ExpoCore.getFormData(fixtures.leadRow(lead), headers, fixtures.deploymentConfig());
+
+    assert.ok(Date.parse(data.timestamp) >= before);
+  });
+});
+
+describe('sendToWebhook', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install();
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('posts the payload as JSON to the webhook', () => {
+    const response = ExpoCore.sendToWebhook(ExpoCore.buildTestData(), fixtures.deploymentConfig());
+
+    assert.equal(response.success, true);
+    assert.equal(response.statusCode, 200);
+    assert.equal(env.fetches.length, 1);
+    assert.equal(env.fetches[0].url, 'https://hook.example.com/leads');
+    assert.equal(env.fetches[0].options.method, 'post');
+    assert.equal(env.fetches[0].options.muteHttpExceptions, true);
+    assert.equal(env.fetches[0].payload.event, 'new_lead');
+    assert.equal(env.fetches[0].payload.schemaVersion, '1.5');
+    assert.equal(env.fetches[0].payload.email, 'test@example.com');
+  });
+
+  it('routes each event to its own webhook', () => {
+    const config = fixtures.deploymentConfig({ webhooks: { attendance_response: 'https://hook.example.com/responses' } });
+    ExpoCore.sendToWebhook(Object.assign(ExpoCore.buildTestData(), { event: 'attendance_response' }), config);
+    ExpoCore.sendToWebhook(Object.assign(ExpoCore.buildTestData(), { event: 'status_change' }), config);
+
+    assert.deepEqual(env.fetches.map(fetch => fetch.url), ['https://hook.example.com/responses', 'https://hook.example.com/leads']);
+  });
+
+  it('signs the request when a secret is set', () => {
+    env.properties.WEBHOOK_SECRET = 'test-secret';
+    ExpoCore.sendToWebhook(ExpoCore.buildTestData(), fixtures.deploymentConfig());
+
+    const headers = env.fetches[0].options.headers;
+    assert.match(headers['X-Expo-Signature'], /^sha256=[0-9a-f]{64}$/);
+    assert.ok(headers['X-Expo-Timestamp']);
+  });
+
+  it('sends the idempotency key as a header', () => {
+    ExpoCore.sendToWebhook(Object.assign(ExpoCore.buildTestData(), { idempotencyKey: 'abc123' }), fixtures.deploymentConfig());
+
+    assert.equal(env.fetches[0].options.headers['X-Idempotency-Key'], 'abc123');
+  });
+
+  it('returns the status code and body of a failed request', () => {
+    env.respondWith({ code: 500, body: 'Scenario failed' });
+    const response = ExpoCore.sendToWebhook(ExpoCore.buildTestData(), fixtures.deploymentConfig());
+
+    assert.deepEqual(response, { success: false, statusCode: 500, error: 'Scenario failed' });
+  });
+
+  it('returns an error instead of throwing when the request fails', () => {
+    env.respondWith(new Error('Timeout: https://hook.example.com/leads'));
+    const response = ExpoCore.sendToWebhook(ExpoCore.buildTestData(), fixtures.deploymentConfig());
+
+    assert.equal(response.success, false);
+    assert.match(response.error, /Timeout/);
+  });
+
+  it('does not post a payload that breaks the schema', () => {
+    const response = ExpoCore.sendToWebhook(Object.assign(ExpoCore.buildTestData(), { language: 'fr' }), fixtures.deploymentConfig());
+
+    assert.equal(response.success, false);
+    assert.equal(response.invalid, true);
+    assert.match(response.error, /language/);
+    assert.equal(env.fetches.length, 0);
+  });
+});
+
+describe('onFormSubmit', () => {
+  let env;
+  let config;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows() } });
+    config = fixtures.deploymentConfig();
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('sends the submitted row, not the last row', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), config);
+
+    assert.equal(env.fetches.length, 1);
+    assert.equal(env.fetches[0].payload.email, 'ahmed@example.com');
+    assert.equal(env.fetches[0].payload.rowNumber, 2);
+    assert.equal(env.fetches[0].payload.event, 'new_lead');
+    assert.ok(env.fetches[0].options.headers['X-Idempotency-Key']);
+  });
+
+  it('sends rows with a response as attendance_response', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 3), config);
+
+    assert.equal(env.fetches[0].payload.event, 'attendance_response');
+    assert.equal(env.fetches[0].payload.response, 'No, I cannot attend');
+  });
+
+  it('sends a row only once', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), config);
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), config);
+
+    assert.equal(env.fetches.length, 1);
+    assert.ok(env.logs.some(line => /already sent/.test(line)));
+  });
+
+  it('reads the answers of a form event without a range', () => {
+    const event = {
+      source: env.spreadsheet,
+      namedValues: { 'Full Name': ['Sara Khan'], 'E-mail': ['sara@gmial.com'], 'Will you attend': ['Yes, I\'ll attend'] }
+    };
+    ExpoCore.onFormSubmit(event, config);
+
+    assert.equal(env.fetches.length, 1);
+    assert.equal(env.fetches[0].payload.name, 'Sara Khan');
+    assert.equal(env.fetches[0].payload.rowNumber, 4);
+    assert.equal(env.fetches[0].payload.response, 'Yes, I\'ll attend');
+  });
+
+  it('logs typo suggestions but still sends the lead', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 4), config);
+
+    assert.equal(env.fetches.length, 1);
+    assert.ok(env.logs.some(line => /did you mean sara@gmail\.com\?/.test(line)));
+  });
+
+  it('notes invalid emails on the row instead of sending them', () => {
+    env.sheet('leads').getRange(4, 2).setValue('sara@mailinator.com');
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 4), config);
+
+    assert.equal(env.fetches.length, 0);
+    assert.match(env.sheet('leads').getRange(4, 10).getValue(), /Not sent: "sara@mailinator\.com" uses a disposable email domain/);
+  });
+
+  it('does not send rows without an email', () => {
+    env.sheet('leads').getRange(2, 2).setValue('');
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), config);
+
+    assert.equal(env.fetches.length, 0);
+    assert.ok(env.logs.some(line => /Email is required/.test(line)));
+  });
+
+  it('queues failed deliveries in the outbox', () => {
+    env.respondWith({ code: 503, body: 'Service unavailable' });
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), config);
+
+    const outbox = env.sheet('webhook_outbox');
+    assert.ok(outbox, 'outbox sheet created');
+    assert.equal(outbox.hidden, true);
+    assert.equal(outbox.getLastRow(), 2);
+  });
+
+  it('logs errors instead of throwing', () => {
+    assert.doesNotThrow(() => ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), { name: 'broken' }));
+    assert.ok(env.logs.some(line => /Error in onFormSubmit/.test(line)));
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Fixture sheets in the layout of the live "leads" sheet
+ *
+ * The columns come from google-sheets-config.json (the Make.com Google
+ * Sheets modules read the same file): A-J the lead, K-M the response columns
+ * the form adds, N-P the visit plans (sessions.js).
+ */
+
+const sheetsConfig = require('../../google-sheets-config.json');
+
+const LEADS_HEADERS = Object.keys(sheetsConfig.columnMappings)
+  .sort()
+  .map(letter => sheetsConfig.columnMappings[letter]);
+
+// Field → header, for building rows from lead objects
+const FIELDS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  language: 'Language',
+  status: 'Status',
+  dateAdded: 'Date Added',
+  email1Date: 'Email 1 Date',
+  email2Date: 'Email 2 Date',
+  email3Date: 'Email 3 Date',
+  notes: 'Notes',
+  response: 'Response',
+  responseDate: 'Response Date',
+  comments: 'Comments',
+  preferredDay: 'Preferred Day',
+  partySize: 'Party Size',
+  timeSlot: 'Time Slot'
+};
+
+const LEADS = [
+  {
+    name: 'Ahmed Al-Rashid',
+    email: 'Ahmed@Example.com ',
+    phone: '9123 4567',
+    language: 'English',
+    status: 'Email 1 Sent',
+    dateAdded: new Date('2025-11-29T21:14:40.121Z')
+  },
+  {
+    name: 'فاطمة الزهراء',
+    email: 'fatima@example.com',
+    phone: '050 123 4567',
+    language: '',
+    status: 'Email 2 Sent',
+    dateAdded: new Date('2025-11-30T08:00:00.000Z'),
+    response: 'No, I cannot attend',
+    comments: 'Sorry, I have a conflict.'
+  },
+  {
+    name: 'Sara Khan',
+    email: 'sara@gmial.com',
+    phone: '+44 20 7946 0958',
+    language: 'en',
+    status: '',
+    dateAdded: new Date('2025-12-01T10:30:00.000Z')
+  }
+];
+
+/**
+ * Builds a sheet row from a lead object ({ name, email, ... })
+ */
+function leadRow(lead, headers) {
+  const layout = headers || LEADS_HEADERS;
+  return layout.map(header => {
+    const field = Object.keys(FIELDS).find(key => FIELDS[key] === header);
+    const value = field === undefined ? undefined : lead[field];
+    return value === undefined ? '' : value;
+  });
+}
+
+/**
+ * Rows of a leads sheet: the header row, then one row per lead
+ */
+function leadsRows(leads, headers) {
+  const layout = headers || LEADS_HEADERS;
+  return [layout.slice()].concat((leads || LEADS).map(lead => leadRow(lead, layout)));
+}
+
+/**
+ * A DEPLOYMENT_CONFIG for tests
+ */
+function deploymentConfig(overrides) {
+  return Object.assign({
+    name: 'Test deployment',
+    webhookUrl: 'https://hook.example.com/leads',
+    sheetName: sheetsConfig.sheetName
+  }, overrides || {});
+}
+
+module.exports = {
+  LEADS_HEADERS: LEADS_HEADERS,
+  LEADS: LEADS,
+  leadRow: leadRow,
+  leadsRows: leadsRows,
+  deploymentConfig: deploymentConfig
+};
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoIdempotency = require('../apps-script/idempotency');
+const { install, uninstall } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const NOW = new Date('2025-12-20T09:00:00.000Z');
+
+function daysAgo(days) {
+  return new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function record(state, at) {
+  return JSON.stringify({ state: state, at: at });
+}
+
+describe('claim', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install();
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('claims a key once until it is released', () => {
+    assert.equal(ExpoIdempotency.claim('abc'), true);
+    assert.equal(ExpoIdempotency.claim('abc'), false);
+
+    ExpoIdempotency.release('abc');
+    assert.equal(ExpoIdempotency.claim('abc'), true);
+  });
+
+  it('prunes expired keys at most once a day', () => {
+    env.properties.idem_old = record('sent', daysAgo(31));
+
+    ExpoIdempotency.claim('abc', fixtures.deploymentConfig());
+    assert.equal(env.properties.idem_old, undefined);
+    assert.ok(env.properties.IDEMPOTENCY_PRUNED_AT);
+
+    env.properties.idem_old = record('sent', daysAgo(31));
+    ExpoIdempotency.claim('def', fixtures.deploymentConfig());
+    assert.ok(env.properties.idem_old);
+  });
+});
+
+describe('prune', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install({
+      properties: {
+        idem_sent_old: record('sent', daysAgo(31)),
+        idem_sent_recent: record('sent', daysAgo(29)),
+        idem_queued_old: record('queued', daysAgo(40)),
+        idem_sending_stale: record('sending', daysAgo(1)),
+        idem_sending_now: record('sending', NOW.toISOString()),
+        WEBHOOK_SECRET: 'secret'
+      }
+    });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('deletes sent keys past retentionDays and abandoned sending keys', () => {
+    assert.equal(ExpoIdempotency.prune(fixtures.deploymentConfig(), NOW), 2);
+
+    assert.deepEqual(Object.keys(env.properties).sort(), [
+      'IDEMPOTENCY_PRUNED_AT', 'WEBHOOK_SECRET', 'idem_queued_old', 'idem_sending_now', 'idem_sent_recent'
+    ]);
+  });
+
+  it('uses the configured retention, and keeps sent keys forever with 0', () => {
+    assert.equal(ExpoIdempotency.prune(fixtures.deploymentConfig({ idempotency: { retentionDays: 0 } }), NOW), 1);
+    assert.ok(env.properties.idem_sent_old);
+
+    assert.equal(ExpoIdempotency.prune(fixtures.deploymentConfig({ idempotency: { retentionDays: 7 } }), NOW), 2);
+    assert.equal(env.properties.idem_sent_recent, undefined);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoLanguage = require('../apps-script/language');
+
+describe('parse', () => {
+  it('recognizes language names in English and Arabic', () => {
+    assert.equal(ExpoLanguage.parse('Arabic'), 'ar');
+    assert.equal(ExpoLanguage.parse(' AR '), 'ar');
+    assert.equal(ExpoLanguage.parse('العربية'), 'ar');
+    assert.equal(ExpoLanguage.parse('عَرَبِيّ'), 'ar');
+    assert.equal(ExpoLanguage.parse('English'), 'en');
+    assert.equal(ExpoLanguage.parse('eng'), 'en');
+    assert.equal(ExpoLanguage.parse('الإنجليزية'), 'en');
+  });
+
+  it('reads bilingual answers that name one language', () => {
+    assert.equal(ExpoLanguage.parse('English / الإنجليزية'), 'en');
+    assert.equal(ExpoLanguage.parse('Arabic (العربية)'), 'ar');
+  });
+
+  it('returns null for empty, unknown or mixed answers', () => {
+    assert.equal(ExpoLanguage.parse(''), null);
+    assert.equal(ExpoLanguage.parse(null), null);
+    assert.equal(ExpoLanguage.parse('French'), null);
+    assert.equal(ExpoLanguage.parse('English, Arabic'), null);
+  });
+});
+
+describe('detectScript', () => {
+  it('goes by whichever letters are in the majority', () => {
+    assert.equal(ExpoLanguage.detectScript('فاطمة الزهراء'), 'ar');
+    assert.equal(ExpoLanguage.detectScript('Fatima الزهراء'), 'ar');
+    assert.equal(ExpoLanguage.detectScript('Ahmed Al-Rashid'), 'en');
+    assert.equal(ExpoLanguage.detectScript('José'), 'en');
+    assert.equal(ExpoLanguage.detectScript('12345 !'), null);
+    assert.equal(ExpoLanguage.detectScript(''), null);
+  });
+});
+
+describe('normalize', () => {
+  it('prefers the Language column, then the name, then the comments', () => {
+    assert.deepEqual(ExpoLanguage.normalize('Arabic', { name: 'Ahmed' }), { language: 'ar', source: 'explicit' });
+    assert.deepEqual(ExpoLanguage.normalize('', { name: 'فاطمة', comments: 'Hello' }), { language: 'ar', source: 'inferred' });
+    assert.deepEqual(ExpoLanguage.normalize('French', { name: '', comments: 'شكرا' }), { language: 'ar', source: 'inferred' });
+  });
+
+  it('falls back to English when there is nothing to go on', () => {
+    assert.deepEqual(ExpoLanguage.normalize('', { name: '123' }), { language: 'en', source: 'default' });
+    assert.deepEqual(ExpoLanguage.normalize(undefined), { language: 'en', source: 'default' });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lintBlueprint, lintExpression, findBlueprints } = require('../tools/lint-blueprints');
+const sheetsConfig = require('../google-sheets-config.json');
+
+const rules = problems => problems.map(problem => problem.rule);
+
+/**
+ * A watchRows → Set Variables → Router blueprint with the given values
+ */
+function blueprint(variables, routes) {
+  return {
+    flow: [
+      { id: 1, module: 'google-sheets:watchRows' },
+      { id: 2, module: 'util:SetVariables', mapper: { variables: variables.map((value, i) => ({ name: 'v' + i, value: value })) } },
+      { id: 3, module: 'builtin:BasicRouter', routes: routes || [] }
+    ]
+  };
+}
+
+describe('lintExpression', () => {
+  const scope = { module: '2', upstream: ['1'], ids: ['1', '2'] };
+
+  it('accepts the expressions of our blueprints', () => {
+    assert.deepEqual(lintExpression('if(1.attendance = "Yes, I\'ll attend"; "Accepted"; "Rejected")', scope), []);
+    assert.deepEqual(lintExpression('split(1.respondentEmail; "@")[0]', scope), []);
+    assert.deepEqual(lintExpression('addDays(now; -4)', scope), []);
+  });
+
+  it('flags unknown functions', () => {
+    assert.deepEqual(rules(lintExpression('lowercase(1.3)', scope)), ['unknown-function']);
+  });
+
+  it('flags unbalanced parentheses', () => {
+    assert.deepEqual(rules(lintExpression('if(1.3 = "en"; "a"; "b"', scope)), ['parentheses']);
+  });
+
+  it('warns about backtick keys', () => {
+    const problems = lintExpression('1.`3`', scope);
+    assert.deepEqual(rules(problems), ['backtick']);
+  });
+
+  it('flags references to missing and later modules', () => {
+    assert.deepEqual(rules(lintExpression('10.`0`', scope)), ['backtick', 'unknown-module']);
+    assert.deepEqual(rules(lintExpression('searchRow.rowNumber', scope)), ['unknown-module']);
+    assert.deepEqual(rules(lintExpression('2.name', scope)), ['not-upstream']);
+  });
+
+  it('flags syntax errors', () => {
+    assert.deepEqual(rules(lintExpression('[0]', scope)), ['syntax']);
+    assert.deepEqual(rules(lintExpression('"open', scope)), ['syntax']);
+  });
+});
+
+describe('lintBlueprint', () => {
+  it('finds nothing wrong in the exported blueprints', () => {
+    findBlueprints(require('path').join(__dirname, '..')).forEach(file => {
+      const errors = lintBlueprint(require(file), sheetsConfig).filter(problem => problem.severity === 'error');
+      assert.deepEqual(errors, [], file);
+    });
+  });
+
+  it('reports the module and field of a problem', () => {
+    const problems = lintBlueprint(blueprint(['{{1.0}}', '{{lower(1.3)}} {{upper(1.0}}']), sheetsConfig);
+
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].module, '2');
+    assert.equal(problems[0].field, 'mapper.variables[1].value');
+    assert.equal(problems[0].severity, 'error');
+  });
+
+  it('flags an unclosed {{', () => {
+    assert.deepEqual(rules(lintBlueprint(blueprint(['Hi {{1.0']), sheetsConfig)), ['syntax']);
+  });
+
+  it('does not let one route see the modules of another', () => {
+    const routes = [
+      { flow: [{ id: 4, module: 'util:SetVariables', mapper: { variables: [{ name: 'a', value: '{{2.v0}}' }] } }] },
+      { flow: [{ id: 5, module: 'util:SetVariables', mapper: { variables: [{ name: 'b', value: '{{4.a}}' }] } }] }
+    ];
+    const problems = lintBlueprint(blueprint(['x'], routes), sheetsConfig);
+
+    assert.deepEqual(problems.map(problem => problem.module + ' ' + problem.rule), ['5 not-upstream']);
+  });
+
+  it('checks sheet filter columns against google-sheets-config.json', () => {
+    const scenario = {
+      flow: [
+        { id: 1, module: 'google-sheets:searchRows', mapper: { filters: [{ a: '1', o: 'text:equal', b: 'x' }, { a: 'Q', o: 'text:equal', b: 'y' }] } },
+        { id: 2, module: 'resend:sendAnEmail', filter: { conditions: [[{ a: '{{1.20}}', o: 'text:equal', b: 'en' }]] }, mapper: {} }
+      ]
+    };
+    const problems = lintBlueprint(scenario, sheetsConfig);
+
+    assert.deepEqual(problems.map(problem => problem.module + ' ' + problem.rule + ' ' + problem.message.split(' ')[1]), [
+      '1 filter-column Q',
+      '2 filter-column U'
+    ]);
+  });
+});
@@ -0,0 +1,228 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const iml = require('../tools/lib/iml');
+const { openCsvSheet, parseCsv, toCsv } = require('../tools/lib/csv-sheet');
+const { runScenario } = require('../tools/lib/scenario');
+const { createServer } = require('../tools/make-standin');
+const ExpoSigning = require('../apps-script/signing');
+const fixtures = require('./fixtures/leads');
+
+const blueprint = name => require('../' + name + '.json');
+
+/**
+ * The fixture leads as a CSV sheet, with languages set for the routers
+ */
+function writeLeadsCsv(file) {
+  const leads = [
+    Object.assign({}, fixtures.LEADS[0], { language: 'en' }),
+    Object.assign({}, fixtures.LEADS[1], { language: 'ar' }),
+    fixtures.LEADS[2]
+  ];
+  const rows = fixtures.leadsRows(leads).map(row => row.map(value => (value instanceof Date ? value.toISOString() : value)));
+  fs.writeFileSync(file, toCsv(rows));
+  return openCsvSheet(file);
+}
+
+describe('iml', () => {
+  it('renders references, functions and text', () => {
+    const bundles = { 1: { 0: 'Ahmed', answers: { abc: { textAnswers: { answers: [{ value: 'Yes' }] } } } } };
+
+    assert.equal(iml.render('{{1.0}}, welcome', bundles), 'Ahmed, welcome');
+    assert.equal(iml.render('{{1.`0`}}', bundles), 'Ahmed');
+    assert.equal(iml.render('{{1.answers.abc.textAnswers.answers[0].value}}', bundles), 'Yes');
+    assert.equal(iml.render('{{if(1.0 = "Ahmed"; "say \\"hi\\""; "no")}}', bundles), 'say "hi"');
+    assert.equal(iml.render('{{upper(substring(1.0; 0; 2))}}', bundles), 'AH');
+  });
+
+  it('keeps the type of a lone expression', () => {
+    assert.ok(iml.render('{{addDays(now; -4)}}') instanceof Date);
+    assert.equal(iml.render('{{length("abc") > 2}}'), true);
+  });
+
+  it('rejects unknown functions and broken expressions', () => {
+    assert.throws(() => iml.render('{{lowercase("A")}}'), /lowercase/);
+    assert.throws(() => iml.render('{{if(1.0; "a"}}', {}), iml.ImlError);
+  });
+});
+
+describe('csv sheet', () => {
+  it('round-trips quotes, commas and line breaks', () => {
+    const rows = [['Name', 'Comments'], ['Sara "S" Khan', 'Hi, see you\nsoon']];
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+  });
+});
+
+describe('runScenario', () => {
+  let dir;
+  let sheet;
+  let sink;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-standin-'));
+    sheet = writeLeadsCsv(path.join(dir, 'leads.csv'));
+    sink = path.join(dir, 'emails');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('sends Email 1 in the lead\'s language and marks the row', () => {
+    const result = runScenario(blueprint('email-1-fixed-complete'), { rowNumber: 3, email: 'fatima@example.com' }, { sheet: sheet, sink: sink });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.emails.length, 1);
+    assert.equal(result.emails[0].module, 4);
+    assert.deepEqual(result.emails[0].to, ['fatima@example.com']);
+    assert.match(result.emails[0].subject, /^فاطمة الزهراء، أنت مدعو/);
+    assert.ok(result.trace.some(step => step.id === '3' && step.status === 'filtered'));
+
+    const row = sheet.row(3);
+    assert.equal(row[4], 'Email 1 Sent');
+    assert.ok(Date.parse(row[6]));
+    assert.ok(fs.existsSync(path.join(sink, '001-module-4.html')));
+  });
+
+  it('finds the row of a payload without a row number by email', () => {
+    const result = runScenario(blueprint('email-1-fixed-complete'), { rowNumber: '', email: 'ahmed@example.com' }, { sheet: sheet, sink: sink });
+
+    assert.equal(result.emails[0].module, 3);
+    assert.equal(sheet.row(2)[4], 'Email 1 Sent');
+  });
+
+  it('sends Email 3 to leads that got Email 2', () => {
+    const result = runScenario(blueprint('email-3-fixed'), {}, { sheet: sheet, sink: sink });
+
+    assert.equal(result.status, 'success');
+    assert.ok(result.emails.length > 0);
+    assert.ok(result.emails.every(email => email.to[0] === 'fatima@example.com'));
+    assert.equal(sheet.row(3)[4], 'Email 3 Sent');
+    assert.equal(sheet.row(2)[4], 'Email 1 Sent');
+  });
+
+  it('adds a row for a new respondent and sends the agreement', () => {
+    const payload = { email: 'omar@example.com', name: 'Omar', response: 'Yes, I\'ll attend', comments: 'See you there' };
+    const result = runScenario(blueprint('handle-expo-responses-improved'), payload, { sheet: sheet, sink: sink });
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(result.emails.map(email => email.subject), ['Agreement - UAE Property Expo']);
+
+    const added = sheet.row(5);
+    assert.equal(added[1], 'omar@example.com');
+    assert.equal(added[10], 'Accepted');
+    assert.equal(added[12], 'See you there');
+  });
+
+  it('stops at the first module error', () => {
+    const scenario = {
+      flow: [
+        { id: 1, module: 'gateway:CustomWebHook' },
+        { id: 2, module: 'resend:sendAnEmail', mapper: { to: [{ value: '{{1.email}}' }], subject: 'Hi' } },
+        { id: 3, module: 'google-sheets:updateRow', mapper: { rowNumber: '{{1.rowNumber}}', values: { 4: 'Sent' } } }
+      ]
+    };
+    const result = runScenario(scenario, { email: '', rowNumber: 2 }, { sheet: sheet });
+
+    assert.equal(result.status, 'error');
+    assert.match(result.error, /'to'/);
+    assert.deepEqual(result.trace.map(step => step.status), ['ok', 'error']);
+    assert.equal(sheet.row(2)[4], 'Email 1 Sent');
+  });
+
+  it('skips modules it does not interpret', () => {
+    const scenario = {
+      flow: [
+        { id: 1, module: 'gateway:CustomWebHook' },
+        { id: 2, module: 'slack:CreateMessage', mapper: {} },
+        { id: 3, module: 'util:SetVariables', mapper: { variables: [{ name: 'who', value: '{{1.name}}' }] } }
+      ]
+    };
+    const result = runScenario(scenario, { name: 'Omar' }, { sheet: sheet });
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(result.trace.map(step => step.status), ['ok', 'skipped', 'ok']);
+  });
+});
+
+describe('stand-in server', () => {
+  let dir;
+  let server;
+  let logs;
+
+  /**
+   * Starts the server on a free port with the given options
+   */
+  function start(options) {
+    logs = [];
+    server = createServer(Object.assign({ sheet: path.join(dir, 'leads.csv'), sink: path.join(dir, 'emails') }, options), line => logs.push(line));
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  }
+
+  function post(name, body, headers) {
+    return fetch('http://127.0.0.1:' + server.address().port + '/' + name, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers || {}),
+      body: body
+    });
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-standin-'));
+    writeLeadsCsv(path.join(dir, 'leads.csv'));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replays the blueprint named in the path', async () => {
+    await start();
+    const response = await post('email-1-fixed-complete', JSON.stringify({ rowNumber: 2, email: 'ahmed@example.com' }));
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'Accepted');
+    assert.equal(response.headers.get('x-standin-status'), 'success');
+    assert.ok(fs.existsSync(path.join(dir, 'emails', '001-module-3.json')));
+    assert.ok(logs.some(line => /Run complete/.test(line)));
+  });
+
+  it('answers 404 for unknown scenarios', async () => {
+    await start();
+    const response = await post('no-such-scenario', '{}');
+
+    assert.equal(response.status, 404);
+  });
+
+  it('answers 500 and keeps running when the stand-in itself fails', async () => {
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{ "flow": [');
+    await start({ root: dir });
+
+    const broken = await post('broken', '{}');
+    assert.equal(broken.status, 500);
+    assert.match(await broken.text(), /^Stand-in error: /);
+    assert.ok(logs.some(line => /✗ POST \/broken failed/.test(line)));
+
+    const missing = await post('no-such-scenario', '{}');
+    assert.equal(missing.status, 404);
+  });
+
+  it('checks signatures when a secret is set', async () => {
+    await start({ secret: 'test-secret' });
+    const body = JSON.stringify({ rowNumber: 2, email: 'ahmed@example.com' });
+
+    const unsigned = await post('email-1-fixed-complete', body);
+    assert.equal(unsigned.status, 401);
+
+    const signed = ExpoSigning.sign(body, 'test-secret', Math.floor(Date.now() / 1000));
+    const accepted = await post('email-1-fixed-complete', body, {
+      'X-Expo-Timestamp': String(signed.timestamp),
+      'X-Expo-Signature': signed.signature
+    });
+    assert.equal(accepted.status, 200);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCore = require('../apps-script/expo-core');
+const ExpoOutbox = require('../apps-script/outbox');
+const { install, uninstall, formEvent } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const MINUTE = 60 * 1000;
+
+describe('backoff', () => {
+  it('doubles the delay after each attempt up to the maximum', () => {
+    assert.deepEqual([1, 2, 3, 4, 7, 8].map(attempts => ExpoOutbox.getBackoffMinutes(attempts)), [5, 10, 20, 40, 320, 360]);
+  });
+
+  it('uses the delays of the deployment config', () => {
+    const config = fixtures.deploymentConfig({ outbox: { baseDelayMinutes: 1, maxDelayMinutes: 3 } });
+
+    assert.deepEqual([1, 2, 3].map(attempts => ExpoOutbox.getBackoffMinutes(attempts, config)), [1, 2, 3]);
+  });
+
+  it('retries timeouts, 408, 429 and 5xx only', () => {
+    assert.equal(ExpoOutbox.isRetryable({ success: false, error: 'Timeout' }), true);
+    assert.equal(ExpoOutbox.isRetryable({ success: false, statusCode: 408 }), true);
+    assert.equal(ExpoOutbox.isRetryable({ success: false, statusCode: 429 }), true);
+    assert.equal(ExpoOutbox.isRetryable({ success: false, statusCode: 502 }), true);
+    assert.equal(ExpoOutbox.isRetryable({ success: false, statusCode: 400 }), false);
+    assert.equal(ExpoOutbox.isRetryable({ success: false, invalid: true }), false);
+    assert.equal(ExpoOutbox.isRetryable({ success: true, statusCode: 200 }), false);
+  });
+});
+
+describe('processOutbox', () => {
+  const config = fixtures.deploymentConfig({ outbox: { maxAttempts: 3 } });
+  let env;
+  let outbox;
+
+  /**
+   * Queues lead row 2 through a failed onFormSubmit and makes it due now
+   */
+  function queueLead() {
+    env.respondWith({ code: 503, body: 'Service unavailable' });
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), config);
+    outbox = env.sheet('webhook_outbox');
+    makeDue();
+  }
+
+  function makeDue() {
+    outbox.getRange(2, 5).setValue(new Date(Date.now() - MINUTE));
+  }
+
+  function entry() {
+    const row = outbox.getRange(2, 1, 1, ExpoOutbox.HEADERS.length).getValues()[0];
+    return { state: row[2], attempts: row[3], nextAttempt: row[4], lastStatus: row[5], data: JSON.parse(row[9]) };
+  }
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows() } });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('leaves entries alone until they are due', () => {
+    queueLead();
+    outbox.getRange(2, 5).setValue(new Date(Date.now() + MINUTE));
+
+    const summary = ExpoOutbox.processOutbox(config);
+
+    assert.deepEqual(summary, { sent: 0, retried: 0, failed: 0, skipped: 1 });
+    assert.equal(env.fetches.length, 1);
+  });
+
+  it('delivers a due entry, removes it and marks the key sent', () => {
+    queueLead();
+    const key = entry().data.idempotencyKey;
+
+    const summary = ExpoOutbox.processOutbox(config);
+
+    assert.deepEqual(summary, { sent: 1, retried: 0, failed: 0, skipped: 0 });
+    assert.equal(outbox.getLastRow(), 1);
+    assert.equal(env.fetches[1].payload.email, 'ahmed@example.com');
+    assert.equal(JSON.parse(env.properties['idem_' + key]).state, 'sent');
+  });
+
+  it('reschedules a transient failure with a longer delay', () => {
+    queueLead();
+    env.respondWith({ code: 429, body: 'Too many requests' });
+
+    const before = Date.now();
+    const summary = ExpoOutbox.processOutbox(config);
+
+    assert.deepEqual(summary, { sent: 0, retried: 1, failed: 0, skipped: 0 });
+    assert.equal(entry().state, 'pending');
+    assert.equal(entry().attempts, 2);
+    assert.equal(entry().lastStatus, 429);
+    const delay = entry().nextAttempt.getTime() - before;
+    assert.ok(delay >= 10 * MINUTE && delay < 11 * MINUTE, 'second delay is 10 minutes, got ' + delay / MINUTE);
+  });
+
+  it('gives up after the last attempt, marks the lead row and forgets the key', () => {
+    queueLead();
+    const key = entry().data.idempotencyKey;
+    env.respondWith({ code: 503, body: 'Service unavailable' }, { code: 503, body: 'Service unavailable' });
+
+    ExpoOutbox.processOutbox(config);
+    makeDue();
+    const summary = ExpoOutbox.processOutbox(config);
+
+    assert.deepEqual(summary, { sent: 0, retried: 0, failed: 1, skipped: 0 });
+    assert.equal(entry().state, 'failed');
+    assert.equal(entry().attempts, 3);
+    assert.equal(env.properties['idem_' + key], undefined);
+    assert.match(env.sheet('leads').getRange(2, 10).getValue(), /Webhook failed after 3 attempts \(503\)/);
+
+    assert.deepEqual(ExpoOutbox.processOutbox(config), { sent: 0, retried: 0, failed: 0, skipped: 1 });
+  });
+
+  it('gives up at once on errors that would fail the same way again', () => {
+    queueLead();
+    env.respondWith({ code: 400, body: 'Bad request' });
+
+    const summary = ExpoOutbox.processOutbox(config);
+
+    assert.deepEqual(summary, { sent: 0, retried: 0, failed: 1, skipped: 0 });
+    assert.equal(entry().attempts, 2);
+    assert.match(env.sheet('leads').getRange(2, 10).getValue(), /Webhook failed after 2 attempts \(400\)/);
+  });
+});
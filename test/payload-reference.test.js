@@ -0,0 +1,28 @@
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ExpoSchema = require('../apps-script/schema');
+const { updateReference } = require('../tools/generate-payload-reference');
+const sheetsConfig = require('../google-sheets-config.json');
+
+const ROOT = path.join(__dirname, '..');
+
+it('WEBHOOK-PAYLOAD-REFERENCE.txt matches the schema', () => {
+  const reference = fs.readFileSync(path.join(ROOT, 'WEBHOOK-PAYLOAD-REFERENCE.txt'), 'utf8');
+  assert.equal(reference, updateReference(reference), 'run node tools/generate-payload-reference.js');
+});
+
+it('webhook-payload.schema.json matches the schema', () => {
+  const json = fs.readFileSync(path.join(ROOT, 'webhook-payload.schema.json'), 'utf8');
+  assert.equal(json, ExpoSchema.toJson(), 'run node tools/generate-payload-reference.js');
+});
+
+it('takes the sheet column letters from google-sheets-config.json', () => {
+  const mappings = sheetsConfig.columnMappings;
+  const properties = ExpoSchema.PAYLOAD_SCHEMA.properties;
+
+  assert.equal(properties.status['x-source'], 'Column ' + Object.keys(mappings).find(letter => mappings[letter] === 'Status') + ' (Status)');
+  assert.equal(properties.timeSlot['x-source'], 'Column P (Time Slot), normalized by sessions.js');
+});
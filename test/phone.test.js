@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoPhone = require('../apps-script/phone');
+const fixtures = require('./fixtures/leads');
+
+describe('normalize', () => {
+  const e164 = (value, config) => ExpoPhone.normalize(value, config);
+
+  it('reads Oman numbers with or without the country code', () => {
+    assert.deepEqual(e164('+968 9708 3232'), { e164: '+96897083232', valid: true, country: 'OM' });
+    assert.deepEqual(e164('00968-7123-4567'), { e164: '+96871234567', valid: true, country: 'OM' });
+    assert.deepEqual(e164('96897083232'), { e164: '+96897083232', valid: true, country: 'OM' });
+    assert.deepEqual(e164('9708 3232'), { e164: '+96897083232', valid: true, country: 'OM' });
+    assert.deepEqual(e164('2412 3456'), { e164: '+96824123456', valid: true, country: 'OM' });
+  });
+
+  it('reads UAE numbers and drops the trunk 0', () => {
+    assert.deepEqual(e164('+971 50 123 4567'), { e164: '+971501234567', valid: true, country: 'AE' });
+    assert.deepEqual(e164('00971501234567'), { e164: '+971501234567', valid: true, country: 'AE' });
+    assert.deepEqual(e164('+971 050 123 4567'), { e164: '+971501234567', valid: true, country: 'AE' });
+    assert.deepEqual(e164('050 123 4567'), { e164: '+971501234567', valid: true, country: 'AE' });
+    assert.deepEqual(e164('04 123 4567'), { e164: '+97141234567', valid: true, country: 'AE' });
+  });
+
+  it('tries the default country first for local numbers', () => {
+    const uae = fixtures.deploymentConfig({ phone: { defaultCountry: 'AE' } });
+
+    assert.deepEqual(e164('2234 5678'), { e164: '+96822345678', valid: true, country: 'OM' });
+    assert.deepEqual(e164('2234 5678', uae), { e164: '+97122345678', valid: true, country: 'AE' });
+  });
+
+  it('converts Arabic-Indic digits', () => {
+    assert.deepEqual(e164('٩٧٠٨ ٣٢٣٢'), { e164: '+96897083232', valid: true, country: 'OM' });
+    assert.deepEqual(e164('۰۵۰۱۲۳۴۵۶۷'), { e164: '+971501234567', valid: true, country: 'AE' });
+  });
+
+  it('accepts other countries by length only', () => {
+    assert.deepEqual(e164('+44 20 7946 0958'), { e164: '+442079460958', valid: true, country: '' });
+    assert.deepEqual(e164('+44 123'), { e164: '', valid: false, country: '' });
+  });
+
+  it('flags numbers that break the national rules', () => {
+    assert.deepEqual(e164('+968 1234 5678'), { e164: '', valid: false, country: 'OM' });
+    assert.deepEqual(e164('+971 8 123 4567'), { e164: '', valid: false, country: 'AE' });
+    assert.deepEqual(e164('12345'), { e164: '', valid: false, country: '' });
+    assert.deepEqual(e164(''), { e164: '', valid: false, country: '' });
+    assert.deepEqual(e164(null), { e164: '', valid: false, country: '' });
+  });
+});
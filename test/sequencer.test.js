@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCore = require('../apps-script/expo-core');
+const ExpoSequencer = require('../apps-script/sequencer');
+const { install, uninstall } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function daysBefore(date, days) {
+  return new Date(date.getTime() - days * DAY);
+}
+
+describe('getDueStep', () => {
+  const config = fixtures.deploymentConfig();
+  const columns = ExpoCore.resolveColumnMapping(fixtures.LEADS_HEADERS, config);
+  const now = new Date('2025-12-20T09:00:00.000Z');
+  const due = (lead, options) => {
+    const step = ExpoSequencer.getDueStep(fixtures.leadRow(Object.assign({ email: 'lead@example.com' }, lead)), columns, now, options || config);
+    return step ? step.step : null;
+  };
+
+  it('sends Email 1 to new leads only', () => {
+    assert.equal(due({ status: '' }), 1);
+    assert.equal(due({ status: 'New' }), 1);
+    assert.equal(due({ status: '', email1Date: daysBefore(now, 1) }), null);
+  });
+
+  it('sends Email 2 reminderAfterDays after Email 1', () => {
+    assert.equal(due({ status: 'Email 1 Sent', email1Date: daysBefore(now, 2) }), null);
+    assert.equal(due({ status: 'Email 1 Sent', email1Date: daysBefore(now, 3) }), 2);
+    assert.equal(due({ status: 'Email 1 Sent', email1Date: daysBefore(now, 1) },
+      fixtures.deploymentConfig({ sequence: { reminderAfterDays: 1 } })), 2);
+  });
+
+  it('sends Email 3 finalCallAfterDays after Email 2', () => {
+    const sent = { status: 'Email 2 Sent', email1Date: daysBefore(now, 10) };
+
+    assert.equal(due(Object.assign({ email2Date: daysBefore(now, 3) }, sent)), null);
+    assert.equal(due(Object.assign({ email2Date: daysBefore(now, 4) }, sent)), 3);
+    assert.equal(due(Object.assign({ email2Date: daysBefore(now, 5).toISOString() }, sent)), 3);
+  });
+
+  it('sends nothing once the sequence is done, the lead answered or opted out', () => {
+    assert.equal(due({ status: 'Email 3 Sent', email1Date: daysBefore(now, 10), email2Date: daysBefore(now, 6), email3Date: daysBefore(now, 1) }), null);
+    assert.equal(due({ status: '', response: 'Yes, I will attend' }), null);
+    assert.equal(due({ status: 'Unsubscribed' }), null);
+    assert.equal(due({ status: 'Email 1 Sent' }), null);
+    assert.equal(due({ status: '', email: '' }), null);
+  });
+});
+
+describe('run', () => {
+  const now = new Date();
+  const LEADS = [
+    { name: 'New Lead', email: 'new@example.com', status: '' },
+    { name: 'Reminder Due', email: 'reminder@example.com', status: 'Email 1 Sent', email1Date: daysBefore(now, 4) },
+    { name: 'Too Early', email: 'early@example.com', status: 'Email 1 Sent', email1Date: daysBefore(now, 1) },
+    { name: 'Final Call', email: 'final@example.com', language: 'ar', status: 'Email 2 Sent',
+      email1Date: daysBefore(now, 9), email2Date: daysBefore(now, 5) },
+    { name: 'Answered', email: 'answered@example.com', status: '', response: 'Yes, I will attend' },
+    { name: 'Disposable', email: 'sam@mailinator.com', status: '' }
+  ];
+  let env;
+  let messages;
+  let config;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows(LEADS) } });
+    messages = [];
+    config = fixtures.deploymentConfig({
+      sequence: {
+        transport: {
+          send(message) {
+            messages.push(message);
+            return { success: true };
+          }
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('sends each due lead its next email and writes Status and the date back', () => {
+    const summary = ExpoSequencer.run(config);
+
+    assert.deepEqual(summary, { sent: 3, failed: 0, invalid: 1, due: 4 });
+    assert.deepEqual(messages.map(message => [message.to, message.step, message.language]), [
+      ['new@example.com', 1, 'en'],
+      ['reminder@example.com', 2, 'en'],
+      ['final@example.com', 3, 'ar']
+    ]);
+    assert.match(messages[0].subject, /^New Lead, You're Invited/);
+    assert.match(messages[2].html, /dir="rtl"/);
+
+    const leads = env.sheet('leads');
+    assert.equal(leads.getRange(2, 5).getValue(), 'Email 1 Sent');
+    assert.ok(leads.getRange(2, 7).getValue() instanceof Date);
+    assert.equal(leads.getRange(3, 5).getValue(), 'Email 2 Sent');
+    assert.equal(leads.getRange(5, 5).getValue(), 'Email 3 Sent');
+    assert.equal(leads.getRange(4, 5).getValue(), 'Email 1 Sent');
+
+    assert.deepEqual(ExpoSequencer.run(config), { sent: 0, failed: 0, invalid: 1, due: 1 });
+  });
+
+  it('only logs in a dry run', () => {
+    const summary = ExpoSequencer.run(config, { dryRun: true });
+
+    assert.deepEqual(summary, { sent: 0, failed: 0, invalid: 1, due: 4 });
+    assert.equal(messages.length, 0);
+    assert.equal(env.sheet('leads').getRange(2, 5).getValue(), '');
+    assert.ok(env.logs.some(line => /\[dry run\] Row 2: Email 1 \(invitation\) to new@example\.com/.test(line)));
+  });
+
+  it('stops at maxPerRun', () => {
+    config.sequence.maxPerRun = 1;
+
+    assert.deepEqual(ExpoSequencer.run(config), { sent: 1, failed: 0, invalid: 0, due: 4 });
+  });
+
+  it('keeps the Status of a failed send and notes the error on the lead', () => {
+    config.sequence.transport = { send: () => ({ success: false, error: 'Mailbox full' }) };
+
+    const summary = ExpoSequencer.run(config);
+
+    assert.equal(summary.failed, 3);
+    assert.equal(env.sheet('leads').getRange(2, 5).getValue(), '');
+    assert.match(env.sheet('leads').getRange(2, 10).getValue(), /Email 1 failed: Mailbox full/);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCore = require('../apps-script/expo-core');
+const ExpoSessions = require('../apps-script/sessions');
+const { install, uninstall, formEvent } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+describe('parseDay', () => {
+  const cases = {
+    'Friday 26 December': '2025-12-26',
+    '26/12/2025': '2025-12-26',
+    'Day 1': '2025-12-26',
+    'الجمعة': '2025-12-26',
+    'Saturday': '2025-12-27',
+    '2025-12-27': '2025-12-27',
+    'اليوم الثاني': '2025-12-27',
+    'Both days': 'both',
+    'Friday and Saturday': 'both',
+    'كلا اليومين': 'both',
+    '': '',
+    'Sunday': ''
+  };
+
+  Object.keys(cases).forEach(answer => {
+    it(JSON.stringify(answer) + ' → ' + JSON.stringify(cases[answer]), () => {
+      assert.equal(ExpoSessions.parseDay(answer), cases[answer]);
+    });
+  });
+});
+
+describe('parsePartySize', () => {
+  const cases = [
+    ['', 1],
+    [3, 3],
+    ['4 people', 4],
+    ['Me + 2', 3],
+    ['+1', 2],
+    ['2 adults + 1 child', 3],
+    ['٤', 4],
+    ['two', 2],
+    ['اثنين', 2],
+    ['Just me', 1],
+    [0, 1],
+    ['2-3', 3],
+    ['2 to 3 people', 3],
+    ['٢ - ٣', 3],
+    ['family of 4 (2 adults 2 kids)', 4],
+    ['+2', 3],
+    ['4+', 4],
+    ['Me + my wife', 2],
+    ['Me + 1-2', 3],
+    ['two adults + one child', 3]
+  ];
+
+  cases.forEach(([answer, size]) => {
+    it(JSON.stringify(answer) + ' → ' + size, () => {
+      assert.equal(ExpoSessions.parsePartySize(answer), size);
+    });
+  });
+});
+
+describe('parseTimeSlot', () => {
+  const cases = {
+    'Morning (10:00 - 12:00)': 'morning',
+    '11 AM': 'morning',
+    '4 PM': 'afternoon',
+    '12 am': 'morning',
+    '12 pm': 'afternoon',
+    '14:00': 'afternoon',
+    '18:00 - 21:00': 'evening',
+    'مساءً': 'evening',
+    '': '',
+    'Whenever': ''
+  };
+
+  Object.keys(cases).forEach(answer => {
+    it(JSON.stringify(answer) + ' → ' + JSON.stringify(cases[answer]), () => {
+      assert.equal(ExpoSessions.parseTimeSlot(answer), cases[answer]);
+    });
+  });
+});
+
+const PLANS = [
+  { email: 'a@example.com', response: 'Yes', preferredDay: 'Friday', partySize: 'Me + 2', timeSlot: 'Evening' },
+  { email: 'b@example.com', response: 'Maybe', preferredDay: 'Saturday', partySize: '2' },
+  { email: 'c@example.com', response: 'نعم', preferredDay: 'Both days', partySize: '', timeSlot: '10 AM' },
+  { email: 'd@example.com', response: 'No', preferredDay: 'Friday', partySize: '5' },
+  { email: 'e@example.com', response: 'Yes', preferredDay: '', partySize: '4' }
+];
+
+describe('tally', () => {
+  it('counts attending and tentative guests per day', () => {
+    const rows = fixtures.leadsRows(PLANS);
+    const result = ExpoSessions.tally(rows[0], rows.slice(1), fixtures.deploymentConfig());
+    const [friday, saturday] = result.days;
+
+    assert.equal(friday.date, '2025-12-26');
+    assert.deepEqual([friday.attending.leads, friday.attending.guests, friday.tentative.guests], [2, 4, 0]);
+    assert.deepEqual(friday.attending.slots, { morning: 1, afternoon: 0, evening: 3, '': 0 });
+    assert.deepEqual([saturday.attending.guests, saturday.tentative.guests], [1, 2]);
+    assert.equal(result.undecided.attending.guests, 4);
+  });
+});
+
+describe('showCapacity', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows(PLANS) } });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('writes the tally to the capacity tab and warns when a day is full', () => {
+    ExpoSessions.showCapacity(fixtures.deploymentConfig({ sessions: { capacityPerDay: 3 } }));
+
+    const rows = env.sheet('capacity').rows;
+    assert.equal(rows[0][0], 'Expected footfall - Grand Hyatt Muscat');
+    assert.deepEqual(rows[2].slice(0, 3), ['Day', 'Attending guests', 'Tentative guests']);
+    assert.deepEqual(rows[3].slice(0, 3).concat(rows[3].slice(-2)), ['Friday 26 December 2025', 4, 0, 3, -1]);
+    assert.equal(rows[5][0], 'Day not chosen');
+    assert.ok(env.logs.includes('⚠ Friday 26 December 2025 is over capacity by 1'));
+  });
+});
+
+describe('onFormSubmit with visit plans', () => {
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('sends the preferred day, party size and time slot', () => {
+    const env = install({ sheets: { leads: fixtures.leadsRows(PLANS) } });
+
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig());
+
+    const payload = env.fetches[0].payload;
+    assert.equal(payload.preferredDay, '2025-12-26');
+    assert.equal(payload.partySize, 3);
+    assert.equal(payload.timeSlot, 'evening');
+  });
+
+  it('sends the defaults for sheets without the columns', () => {
+    const rows = fixtures.leadsRows().map(row => row.slice(0, fixtures.LEADS_HEADERS.indexOf('Preferred Day')));
+    const env = install({ sheets: { leads: rows } });
+
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig());
+
+    assert.deepEqual([env.fetches[0].payload.preferredDay, env.fetches[0].payload.partySize, env.fetches[0].payload.timeSlot], ['', 1, '']);
+  });
+});
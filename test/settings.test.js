@@ -0,0 +1,176 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCore = require('../apps-script/expo-core');
+const ExpoSettings = require('../apps-script/settings');
+const { install, uninstall } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const ROUTED = fixtures.deploymentConfig({
+  webhooks: { attendance_response: 'https://hook.example.com/responses', status_change: 'https://hook.example.com/status' }
+});
+
+const SETTINGS = {
+  webhookUrl: 'https://hook.example.com/saved',
+  sheetName: 'leads',
+  columnHeaders: { EMAIL: 'Email' }
+};
+
+describe('validate', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows(), other: [['Foo', 'Bar']] } });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  const validate = settings => ExpoSettings.validate(Object.assign({}, SETTINGS, settings), env.spreadsheet, fixtures.deploymentConfig());
+
+  it('accepts an https URL, an existing sheet and headers from row 1', () => {
+    assert.deepEqual(validate({}), []);
+  });
+
+  it('refuses webhook URLs that are not https', () => {
+    assert.deepEqual(validate({ webhookUrl: 'http://hook.example.com/saved' }), ['Webhook URL must start with https:// and contain no spaces']);
+    assert.deepEqual(validate({ webhookUrl: 'https://hook.example.com/my hook' }), ['Webhook URL must start with https:// and contain no spaces']);
+    assert.deepEqual(validate({ webhookUrl: '' }), ['Webhook URL must start with https:// and contain no spaces']);
+  });
+
+  it('names the available sheets when the sheet does not exist', () => {
+    assert.deepEqual(validate({ sheetName: 'Leads 2025' }), ['Sheet "Leads 2025" not found. Available sheets: leads, other']);
+  });
+
+  it('refuses unknown fields and headers that are not in row 1', () => {
+    const errors = validate({ columnHeaders: { EMAIL: 'E-mail Address', SHOE_SIZE: 'Shoe Size' } });
+
+    assert.deepEqual(errors.slice(0, 2), [
+      'EMAIL: header "E-mail Address" is not in row 1 of "leads"',
+      'Unknown field "SHOE_SIZE" in the column mapping'
+    ]);
+    assert.match(errors[2], /^Required column\(s\) not found in header row: EMAIL\./);
+  });
+
+  it('refuses a sheet whose required columns cannot be found', () => {
+    const errors = validate({ sheetName: 'other', columnHeaders: {} });
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^Required column\(s\) not found in header row: /);
+  });
+});
+
+describe('save', () => {
+  const config = fixtures.deploymentConfig();
+  let env;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows() } });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('stores trimmed settings that then override the deployment config', () => {
+    const result = ExpoSettings.save({
+      webhookUrl: ' https://hook.example.com/saved ',
+      sheetName: 'leads ',
+      columnHeaders: { EMAIL: ' Email ', PHONE: '' }
+    }, config);
+
+    assert.deepEqual(result, { saved: true });
+    assert.equal(env.properties.EXPO_WEBHOOK_URL, 'https://hook.example.com/saved');
+    assert.equal(env.properties.EXPO_SHEET_NAME, 'leads');
+    assert.equal(env.properties.EXPO_COLUMN_HEADERS, '{"EMAIL":"Email"}');
+    assert.equal(ExpoSettings.applyTo(config).webhookUrl, 'https://hook.example.com/saved');
+
+    ExpoSettings.reset();
+    assert.deepEqual(env.properties, {});
+    assert.equal(ExpoSettings.applyTo(config).webhookUrl, 'https://hook.example.com/leads');
+  });
+
+  it('saves nothing when the settings do not validate', () => {
+    const result = ExpoSettings.save({ webhookUrl: 'hook.example.com', sheetName: 'leads' }, config);
+
+    assert.deepEqual(result, { saved: false, errors: ['Webhook URL must start with https:// and contain no spaces'] });
+    assert.deepEqual(env.properties, {});
+  });
+
+  it('pings the new URL first when asked and saves only if it answers', () => {
+    env.respondWith({ code: 404, body: 'There is no scenario listening for this webhook.' });
+    const failed = ExpoSettings.save(SETTINGS, config, { ping: true });
+
+    assert.equal(failed.saved, false);
+    assert.match(failed.errors[0], /^Test ping failed \(404\)/);
+    assert.deepEqual(env.properties, {});
+
+    const saved = ExpoSettings.save(SETTINGS, config, { ping: true });
+
+    assert.deepEqual(saved, { saved: true });
+    assert.deepEqual(env.fetches.map(fetch => fetch.url), ['https://hook.example.com/saved', 'https://hook.example.com/saved']);
+  });
+});
+
+describe('webhook routes', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows() } });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('shows every event in the dialog, prefilled from the deployment config', () => {
+    const model = ExpoSettings.getDialogModel(ROUTED);
+
+    assert.deepEqual(model.routes, [
+      { event: 'new_lead', url: '' },
+      { event: 'attendance_response', url: 'https://hook.example.com/responses' },
+      { event: 'status_change', url: 'https://hook.example.com/status' },
+      { event: 'lead_updated', url: '' }
+    ]);
+  });
+
+  it('saves the routes and lets them replace the config routes as a whole', () => {
+    const result = ExpoSettings.save({
+      webhookUrl: 'https://hook.example.com/saved',
+      webhooks: { attendance_response: ' https://hook.example.com/new-responses ', status_change: '' },
+      sheetName: 'leads'
+    }, ROUTED);
+    const config = ExpoSettings.applyTo(ROUTED);
+
+    assert.deepEqual(result, { saved: true });
+    assert.equal(env.properties.EXPO_WEBHOOK_ROUTES, '{"attendance_response":"https://hook.example.com/new-responses"}');
+    assert.equal(ExpoCore.getWebhookUrl('attendance_response', config), 'https://hook.example.com/new-responses');
+    assert.equal(ExpoCore.getWebhookUrl('status_change', config), 'https://hook.example.com/saved');
+    assert.equal(ExpoCore.getWebhookUrl('new_lead', config), 'https://hook.example.com/saved');
+  });
+
+  it('keeps the config routes until routes are saved, and again after a reset', () => {
+    env.properties.EXPO_WEBHOOK_URL = 'https://hook.example.com/saved';
+    assert.equal(ExpoCore.getWebhookUrl('status_change', ExpoSettings.applyTo(ROUTED)), 'https://hook.example.com/status');
+
+    env.properties.EXPO_WEBHOOK_ROUTES = '{}';
+    assert.equal(ExpoCore.getWebhookUrl('status_change', ExpoSettings.applyTo(ROUTED)), 'https://hook.example.com/saved');
+
+    ExpoSettings.reset();
+    assert.equal(ExpoCore.getWebhookUrl('status_change', ExpoSettings.applyTo(ROUTED)), 'https://hook.example.com/status');
+  });
+
+  it('refuses routes that are not https URLs or name unknown events', () => {
+    const errors = ExpoSettings.validate({
+      webhookUrl: 'https://hook.example.com/saved',
+      webhooks: { status_change: 'http://hook.example.com/status', signup: 'https://hook.example.com/x' },
+      sheetName: 'leads'
+    }, env.spreadsheet, ROUTED);
+
+    assert.deepEqual(errors, [
+      'Webhook URL for status_change must start with https:// and contain no spaces',
+      'Unknown event "signup" in the webhook routes'
+    ]);
+  });
+});
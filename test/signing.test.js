@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const ExpoSigning = require('../apps-script/signing');
+const { install, uninstall } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const SECRET = 'test-secret';
+const BODY = JSON.stringify({ email: 'ahmed@example.com', rowNumber: 2 });
+const NOW = 1766221200;
+
+describe('verifySignature', () => {
+  const signed = ExpoSigning.sign(BODY, SECRET, NOW);
+  const verify = (body, timestamp, signature, secret) =>
+    ExpoSigning.verifySignature(body, timestamp, signature, secret, { now: NOW + 60 });
+
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update(NOW + '.' + BODY, 'utf8').digest('hex');
+
+    assert.deepEqual(signed, { timestamp: NOW, signature: 'sha256=' + expected });
+  });
+
+  it('accepts a request signed with the shared secret, hex in either case', () => {
+    assert.deepEqual(verify(BODY, String(NOW), signed.signature, SECRET), { valid: true });
+    assert.deepEqual(verify(BODY, String(NOW), 'sha256=' + signed.signature.slice(7).toUpperCase(), SECRET), { valid: true });
+  });
+
+  it('rejects a changed body, another secret or another timestamp', () => {
+    assert.equal(verify(BODY.replace('ahmed', 'omar'), String(NOW), signed.signature, SECRET).reason, 'Signature mismatch');
+    assert.equal(verify(BODY, String(NOW), signed.signature, 'other-secret').reason, 'Signature mismatch');
+    assert.equal(verify(BODY, String(NOW + 1), signed.signature, SECRET).reason, 'Signature mismatch');
+  });
+
+  it('rejects timestamps outside the allowed window', () => {
+    const late = ExpoSigning.verifySignature(BODY, String(NOW), signed.signature, SECRET, { now: NOW + 301 });
+    const wider = ExpoSigning.verifySignature(BODY, String(NOW), signed.signature, SECRET, { now: NOW + 301, toleranceSeconds: 600 });
+
+    assert.equal(late.reason, 'Timestamp outside the allowed window of 300 seconds');
+    assert.deepEqual(wider, { valid: true });
+  });
+
+  it('rejects requests with missing or broken headers', () => {
+    assert.equal(verify(BODY, '', signed.signature, SECRET).reason, 'Missing X-Expo-Timestamp or X-Expo-Signature header');
+    assert.equal(verify(BODY, String(NOW), undefined, SECRET).reason, 'Missing X-Expo-Timestamp or X-Expo-Signature header');
+    assert.equal(verify(BODY, 'yesterday', signed.signature, SECRET).reason, 'Invalid timestamp');
+    assert.equal(verify(BODY, String(NOW), signed.signature, '').reason, 'No secret configured');
+  });
+
+  it('reads the headers in any case', () => {
+    const headers = { 'x-expo-timestamp': String(NOW), 'X-EXPO-SIGNATURE': signed.signature };
+
+    assert.deepEqual(ExpoSigning.verifyRequest(BODY, headers, SECRET, { now: NOW }), { valid: true });
+  });
+});
+
+describe('buildHeaders', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install();
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('signs with the secret from Script Properties, the same way as Node', () => {
+    env.properties.WEBHOOK_SECRET = SECRET;
+
+    const headers = ExpoSigning.buildHeaders(BODY, fixtures.deploymentConfig());
+
+    assert.deepEqual(ExpoSigning.verifyRequest(BODY, headers, SECRET), { valid: true });
+  });
+
+  it('sends unsigned with a warning, or throws when signatures are required', () => {
+    assert.deepEqual(ExpoSigning.buildHeaders(BODY, fixtures.deploymentConfig()), {});
+    assert.ok(env.logs.some(line => /WEBHOOK_SECRET is not set/.test(line)));
+
+    assert.throws(() => ExpoSigning.buildHeaders(BODY, fixtures.deploymentConfig({ requireSignature: true })), /run generateWebhookSecret\(\)/);
+  });
+});
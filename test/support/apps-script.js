@@ -0,0 +1,386 @@
+/**
+ * In-memory fakes of the Apps Script services used by apps-script/
+ *
+ * The modules look services up as globals at call time, exactly like in Apps
+ * Script, so install() only has to put the fakes on the global object:
+ *
+ *   const env = install({ sheets: { leads: fixtures.leadsRows() } });
+ *   core.onFormSubmit(formEvent(env.sheet('leads'), 2), config);
+ *   env.fetches     - every UrlFetchApp.fetch() ({ url, options, payload })
+ *   env.logs        - every Logger.log() message
+ *   env.properties  - the Script Properties as a plain object
+ *   env.respondWith({ code: 500, body: 'error' }) - queues fetch responses
+ *                     (an Error instance makes fetch() throw)
+ *
+ * Faked: SpreadsheetApp, UrlFetchApp, Logger, PropertiesService, LockService,
+ * Utilities, Session and ContentService. uninstall() removes them again.
+ */
+
+const crypto = require('crypto');
+
+const GLOBALS = ['SpreadsheetApp', 'UrlFetchApp', 'Logger', 'PropertiesService', 'LockService', 'Utilities', 'Session', 'ContentService'];
+
+// ============================================================================
+// SPREADSHEET
+// ============================================================================
+
+/**
+ * Whether a cell counts as content for getLastRow() / getLastColumn()
+ */
+function hasContent(value) {
+  return value !== '' && value !== null && value !== undefined;
+}
+
+/**
+ * A range of a fake sheet (1-based, like Apps Script)
+ */
+function createRange(sheet, row, column, numRows, numColumns) {
+  const rows = sheet.rows;
+  const height = numRows || 1;
+  const width = numColumns || 1;
+
+  const range = {
+    getRow: () => row,
+    getColumn: () => column,
+    getNumRows: () => height,
+    getNumColumns: () => width,
+    getLastRow: () => row + height - 1,
+    getLastColumn: () => column + width - 1,
+    getSheet: () => sheet,
+    getValues() {
+      const values = [];
+      for (let i = 0; i < height; i++) {
+        const source = rows[row - 1 + i] || [];
+        const line = [];
+        for (let j = 0; j < width; j++) {
+          const value = source[column - 1 + j];
+          line.push(value === undefined || value === null ? '' : value);
+        }
+        values.push(line);
+      }
+      return values;
+    },
+    getValue() {
+      return range.getValues()[0][0];
+    },
+    setValues(values) {
+      if (values.length !== height || values.some(line => line.length !== width)) {
+        throw new Error('The number of rows or columns in the data does not match the range');
+      }
+      values.forEach((line, i) => {
+        while (rows.length < row + i) {
+          rows.push([]);
+        }
+        line.forEach((value, j) => {
+          rows[row - 1 + i][column - 1 + j] = value;
+        });
+      });
+      return range;
+    },
+    setValue(value) {
+      return range.setValues([[value]]);
+    },
+    clearContent() {
+      for (let i = 0; i < height; i++) {
+        const line = rows[row - 1 + i];
+        for (let j = 0; line && j < width; j++) {
+          line[column - 1 + j] = '';
+        }
+      }
+      return range;
+    },
+    setNumberFormat(format) {
+      sheet.numberFormats.push({ row: row, column: column, numRows: height, numColumns: width, format: format });
+      return range;
+    }
+  };
+  return range;
+}
+
+/**
+ * A fake sheet; rows is a 2D array of cell values (row 1 = headers)
+ */
+function createSheet(name, rows) {
+  const sheet = {
+    rows: (rows || []).map(line => line.slice()),
+    numberFormats: [],
+    hidden: false,
+    getName: () => name,
+    getLastRow() {
+      for (let i = sheet.rows.length; i > 0; i--) {
+        if ((sheet.rows[i - 1] || []).some(hasContent)) {
+          return i;
+        }
+      }
+      return 0;
+    },
+    getLastColumn() {
+      return sheet.rows.reduce((last, line) => {
+        for (let j = line.length; j > last; j--) {
+          if (hasContent(line[j - 1])) {
+            return j;
+          }
+        }
+        return last;
+      }, 0);
+    },
+    getMaxRows: () => Math.max(1000, sheet.rows.length),
+    getMaxColumns: () => Math.max(26, sheet.getLastColumn()),
+    getRange: (row, column, numRows, numColumns) => createRange(sheet, row, column, numRows, numColumns),
+    getDataRange: () => createRange(sheet, 1, 1, Math.max(sheet.getLastRow(), 1), Math.max(sheet.getLastColumn(), 1)),
+    appendRow(values) {
+      sheet.rows.splice(sheet.getLastRow(), sheet.rows.length, values.slice());
+      return sheet;
+    },
+    deleteRow(row) {
+      sheet.rows.splice(row - 1, 1);
+    },
+    clearContents() {
+      sheet.rows = [];
+      return sheet;
+    },
+    hideSheet() {
+      sheet.hidden = true;
+      return sheet;
+    }
+  };
+  return sheet;
+}
+
+/**
+ * A fake spreadsheet holding the given sheets ({ name: rows })
+ */
+function createSpreadsheet(sheets) {
+  const list = Object.keys(sheets || {}).map(name => createSheet(name, sheets[name]));
+  const spreadsheet = {
+    getSheets: () => list.slice(),
+    getSheetByName: name => list.find(sheet => sheet.getName() === name) || null,
+    insertSheet(name) {
+      if (spreadsheet.getSheetByName(name)) {
+        throw new Error('A sheet with the name "' + name + '" already exists.');
+      }
+      const sheet = createSheet(name, []);
+      list.push(sheet);
+      return sheet;
+    }
+  };
+  return spreadsheet;
+}
+
+// ============================================================================
+// SERVICES
+// ============================================================================
+
+/**
+ * Converts a Node buffer to the signed byte array Apps Script returns
+ */
+function toSignedBytes(buffer) {
+  return Array.from(buffer).map(b => (b > 127 ? b - 256 : b));
+}
+
+/**
+ * Formats a date with the yyyy / MM / dd / HH / mm / ss tokens (in UTC)
+ */
+function formatDate(date, timeZone, pattern) {
+  const pad = number => ('0' + number).slice(-2);
+  const parts = {
+    yyyy: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    dd: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  return pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, token => parts[token]);
+}
+
+function createUtilities() {
+  return {
+    DigestAlgorithm: { SHA_256: 'sha256' },
+    Charset: { UTF_8: 'utf8' },
+    computeDigest: (algorithm, text) => toSignedBytes(crypto.createHash(algorithm).update(text, 'utf8').digest()),
+    computeHmacSha256Signature: (value, key) => toSignedBytes(crypto.createHmac('sha256', key).update(value, 'utf8').digest()),
+    base64Encode: value => Buffer.from(typeof value === 'string' ? value : value.map(b => (b + 256) % 256)).toString('base64'),
+    getUuid: () => crypto.randomUUID(),
+    formatDate: formatDate
+  };
+}
+
+function createProperties(store) {
+  return {
+    getProperty: key => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+    setProperty(key, value) {
+      store[key] = String(value);
+      return this;
+    },
+    setProperties(values) {
+      Object.keys(values).forEach(key => {
+        store[key] = String(values[key]);
+      });
+      return this;
+    },
+    getProperties: () => Object.assign({}, store),
+    deleteProperty(key) {
+      delete store[key];
+      return this;
+    },
+    deleteAllProperties() {
+      Object.keys(store).forEach(key => delete store[key]);
+      return this;
+    }
+  };
+}
+
+function createLock() {
+  let held = false;
+  return {
+    tryLock() {
+      held = true;
+      return true;
+    },
+    waitLock() {
+      held = true;
+    },
+    hasLock: () => held,
+    releaseLock() {
+      held = false;
+    }
+  };
+}
+
+/**
+ * A fake HTTPResponse
+ */
+function createResponse(code, body) {
+  return {
+    getResponseCode: () => code,
+    getContentText: () => body,
+    getContent: () => toSignedBytes(Buffer.from(body, 'utf8')),
+    getHeaders: () => ({})
+  };
+}
+
+// ============================================================================
+// INSTALL
+// ============================================================================
+
+/**
+ * Puts the fakes on the global object
+ * options.sheets     - { sheetName: rows } of the active spreadsheet
+ * options.properties - initial Script Properties
+ * options.user       - email of Session.getActiveUser() (default '')
+ * Returns the environment handles described at the top of this file
+ */
+function install(options) {
+  const settings = options || {};
+  const spreadsheet = createSpreadsheet(settings.sheets);
+  const properties = Object.assign({}, settings.properties || {});
+  const logs = [];
+  const fetches = [];
+  const responses = [];
+
+  global.SpreadsheetApp = {
+    getActiveSpreadsheet: () => spreadsheet
+  };
+  global.UrlFetchApp = {
+    fetch(url, params) {
+      const request = params || {};
+      fetches.push({
+        url: url,
+        options: request,
+        payload: typeof request.payload === 'string' && request.contentType === 'application/json' ? JSON.parse(request.payload) : request.payload
+      });
+      const next = responses.length > 0 ? responses.shift() : { code: 200, body: 'Accepted' };
+      if (next instanceof Error) {
+        throw next;
+      }
+      return createResponse(next.code, next.body === undefined ? '' : next.body);
+    }
+  };
+  global.Logger = {
+    log(message) {
+      logs.push(String(message));
+    }
+  };
+  const scriptProperties = createProperties(properties);
+  global.PropertiesService = {
+    getScriptProperties: () => scriptProperties
+  };
+  const lock = createLock();
+  global.LockService = {
+    getScriptLock: () => lock
+  };
+  global.Utilities = createUtilities();
+  global.Session = {
+    getScriptTimeZone: () => 'Asia/Muscat',
+    getActiveUser: () => ({ getEmail: () => settings.user || '' })
+  };
+  global.ContentService = {
+    MimeType: { JSON: 'application/json' },
+    createTextOutput(content) {
+      const output = {
+        mimeType: 'text/plain',
+        getContent: () => content,
+        setMimeType(mimeType) {
+          output.mimeType = mimeType;
+          return output;
+        }
+      };
+      return output;
+    }
+  };
+
+  return {
+    spreadsheet: spreadsheet,
+    sheet: name => spreadsheet.getSheetByName(name),
+    logs: logs,
+    fetches: fetches,
+    properties: properties,
+    respondWith() {
+      Array.prototype.push.apply(responses, arguments);
+    }
+  };
+}
+
+/**
+ * Removes the fakes from the global object
+ */
+function uninstall() {
+  GLOBALS.forEach(name => {
+    delete global[name];
+  });
+}
+
+/**
+ * The event object of an installable "On form submit" trigger for a row
+ */
+function formEvent(sheet, row, namedValues) {
+  const event = { range: createRange(sheet, row, 1, 1, sheet.getLastColumn()), source: SpreadsheetApp.getActiveSpreadsheet() };
+  if (namedValues) {
+    event.namedValues = namedValues;
+  }
+  return event;
+}
+
+/**
+ * Writes values into a sheet the way a user edit or paste does and returns
+ * the event object of an installable "On edit" trigger
+ * oldValue is only passed for single-cell edits, like in Apps Script
+ */
+function editEvent(sheet, row, column, values, oldValue) {
+  const range = createRange(sheet, row, column, values.length, values[0].length).setValues(values);
+  const event = { range: range, value: values[0][0], source: SpreadsheetApp.getActiveSpreadsheet() };
+  if (oldValue !== undefined) {
+    event.oldValue = oldValue;
+  }
+  return event;
+}
+
+module.exports = {
+  install: install,
+  uninstall: uninstall,
+  createSheet: createSheet,
+  createSpreadsheet: createSpreadsheet,
+  formEvent: formEvent,
+  editEvent: editEvent
+};
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoTemplates = require('../apps-script/templates');
+
+describe('parse', () => {
+  it('splits a template into text, field and block nodes', () => {
+    assert.deepEqual(ExpoTemplates.parse('Hi {{name}}{{#if comments}}: {{{comments}}}{{else}}!{{/if}}'), [
+      { type: 'text', value: 'Hi ' },
+      { type: 'field', expression: 'name', raw: false },
+      {
+        type: 'if',
+        expression: 'comments',
+        children: [{ type: 'text', value: ': ' }, { type: 'field', expression: 'comments', raw: true }],
+        otherwise: [{ type: 'text', value: '!' }]
+      }
+    ]);
+  });
+
+  it('refuses blocks that are not closed or closed twice', () => {
+    assert.throws(() => ExpoTemplates.parse('{{#if name}}Hi'), /Unclosed \{\{#if\}\}/);
+    assert.throws(() => ExpoTemplates.parse('Hi{{/if}}'), /Unexpected \{\{\/if\}\}/);
+    assert.throws(() => ExpoTemplates.parse('{{#if name}}a{{/unless}}'), /Unexpected \{\{\/unless\}\}/);
+    assert.throws(() => ExpoTemplates.parse('{{else}}'), /Unexpected \{\{else\}\}/);
+    assert.throws(() => ExpoTemplates.parse('{{#if name}}a{{else}}b{{else}}c{{/if}}'), /Unexpected \{\{else\}\}/);
+  });
+});
+
+describe('render', () => {
+  it('escapes fields unless they use triple braces', () => {
+    const data = { comments: '<b>Tom & Jerry</b>' };
+
+    assert.equal(ExpoTemplates.render('{{comments}}', data), '&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;');
+    assert.equal(ExpoTemplates.render('{{{comments}}}', data), '<b>Tom & Jerry</b>');
+  });
+
+  it('falls back to the token default, then the language default', () => {
+    assert.equal(ExpoTemplates.render('{{company|your company}}', {}), 'your company');
+    assert.equal(ExpoTemplates.render('Dear {{name}}', { name: '  ' }), 'Dear Valued Guest');
+    assert.equal(ExpoTemplates.render('{{name}}', { language: 'ar' }), 'الضيف الكريم');
+    assert.equal(ExpoTemplates.render('{{name}}', {}, { language: 'ar', fallbacks: { name: 'ضيفنا' } }), 'ضيفنا');
+  });
+
+  it('renders if / unless blocks on empty or filled fields', () => {
+    const source = '{{#if comments}}Noted{{else}}None{{/if}}/{{#unless phone}}No phone{{/unless}}';
+
+    assert.equal(ExpoTemplates.render(source, { comments: 'Hi', phone: '+96891234567' }), 'Noted/');
+    assert.equal(ExpoTemplates.render(source, { comments: ' ' }), 'None/No phone');
+  });
+
+  it('reads Make.com tokens and field names in any case', () => {
+    const data = { name: 'Ahmed', Email: 'ahmed@example.com', dateAdded: new Date('2025-11-29T21:14:40.121Z') };
+
+    assert.equal(ExpoTemplates.render('{{4.name}} {{1.0}} {{EMAIL}} {{1.5}}', data),
+      'Ahmed Ahmed ahmed@example.com 2025-11-29T21:14:40.121Z');
+  });
+});
+
+describe('toPlainText', () => {
+  it('keeps the readable text, links and list items', () => {
+    const html = '<html><head><title>Invite</title><style>p { color: red; }</style></head><body>' +
+      '<!-- ENGLISH EMAIL 1 --><h1>You&#39;re Invited!</h1><p>Dear   Ahmed,<br>Welcome &amp; thanks.</p>' +
+      '<ul><li>26 December</li><li>27 December</li></ul>' +
+      '<p><a href="https://expo.example.com">Register</a> or call <a href="tel:+96891234567">+968 9123 4567</a></p>' +
+      '</body></html>';
+
+    assert.equal(ExpoTemplates.toPlainText(html), [
+      'You\'re Invited!',
+      '',
+      'Dear Ahmed,',
+      'Welcome & thanks.',
+      '• 26 December',
+      '• 27 December',
+      '',
+      'Register (https://expo.example.com) or call +968 9123 4567'
+    ].join('\n'));
+  });
+});
+
+describe('renderEmail', () => {
+  const lead = { name: 'Ahmed <Al-Rashid>', email: 'ahmed@example.com', ticketId: 'EXPO-AB12', ticketQrUrl: 'https://quickchart.io/qr?text=EXPO-AB12' };
+
+  it('renders every registered template without leftover tokens', () => {
+    Object.keys(ExpoTemplates.TEMPLATES).forEach(id => {
+      const email = ExpoTemplates.renderEmail(id, lead);
+
+      assert.equal(email.language, /\.ar$/.test(id) ? 'ar' : 'en', id);
+      assert.doesNotMatch(email.html, /\{\{/, id);
+      assert.match(email.html, /Ahmed &lt;Al-Rashid&gt;/, id);
+      assert.match(email.text, /Ahmed <Al-Rashid>/, id);
+    });
+  });
+
+  it('names the known templates when the id is unknown', () => {
+    assert.throws(() => ExpoTemplates.renderEmail('email4.en', lead), /Unknown template "email4\.en"\. Known templates: email1\.en/);
+  });
+});
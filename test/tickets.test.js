@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpoCore = require('../apps-script/expo-core');
+const ExpoTickets = require('../apps-script/tickets');
+const ExpoTemplates = require('../apps-script/templates');
+const { install, uninstall, formEvent } = require('./support/apps-script');
+const fixtures = require('./fixtures/leads');
+
+const RESPONSE = fixtures.LEADS_HEADERS.indexOf('Response');
+const TICKET = fixtures.LEADS_HEADERS.length;
+
+describe('tokens', () => {
+  it('verifies its own tokens and rejects altered ones', () => {
+    const token = ExpoTickets.createToken('EXPO-7F3A9C2B', 'secret');
+
+    assert.match(token, /^EXPO-7F3A9C2B\.[0-9a-f]{16}$/);
+    assert.deepEqual(ExpoTickets.verifyToken(token, 'secret'), { valid: true, ticketId: 'EXPO-7F3A9C2B' });
+    assert.equal(ExpoTickets.verifyToken(token.replace('7F3A', '7F3B'), 'secret').reason, 'Signature mismatch');
+    assert.equal(ExpoTickets.verifyToken(token, 'other secret').valid, false);
+    assert.equal(ExpoTickets.verifyToken('EXPO-7F3A9C2B', 'secret').reason, 'Not a ticket token');
+  });
+
+  it('puts the URL-encoded token in the QR image URL', () => {
+    const config = fixtures.deploymentConfig({ tickets: { qrUrl: 'https://qr.example.com/?data={token}' } });
+
+    assert.equal(ExpoTickets.getQrUrl('EXPO-1.ab', config), 'https://qr.example.com/?data=EXPO-1.ab');
+    assert.equal(ExpoTickets.getQrUrl('a b', config), 'https://qr.example.com/?data=a%20b');
+  });
+});
+
+describe('onFormSubmit with an attending response', () => {
+  let env;
+
+  beforeEach(() => {
+    env = install({ sheets: { leads: fixtures.leadsRows() } });
+    env.sheet('leads').rows[1][RESPONSE] = 'Yes, I\'ll attend';
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('issues a ticket, writes it to a new Ticket ID column and sends it', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig());
+
+    const leads = env.sheet('leads');
+    const payload = env.fetches[0].payload;
+    assert.equal(leads.rows[0][TICKET], 'Ticket ID');
+    assert.match(leads.rows[1][TICKET], /^EXPO-[0-9A-F]{8}$/);
+    assert.equal(payload.ticketId, leads.rows[1][TICKET]);
+    assert.equal(ExpoTickets.verifyToken(payload.ticketToken).ticketId, payload.ticketId);
+    assert.equal(payload.ticketQrUrl, 'https://quickchart.io/qr?size=300&margin=2&text=' + encodeURIComponent(payload.ticketToken));
+    assert.ok(env.properties[ExpoTickets.SECRET_PROPERTY]);
+  });
+
+  it('keeps the ticket a lead already has', () => {
+    const rows = fixtures.leadsRows();
+    rows[0].push('Ticket ID');
+    rows[1][RESPONSE] = 'Yes';
+    rows[1].push('EXPO-00000001');
+    env = install({ sheets: { leads: rows } });
+
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig());
+
+    assert.equal(env.fetches[0].payload.ticketId, 'EXPO-00000001');
+    assert.equal(env.sheet('leads').rows[1][TICKET], 'EXPO-00000001');
+  });
+
+  it('issues no ticket to a lead that is not sent: invalid email or already sent', () => {
+    const EMAIL = fixtures.LEADS_HEADERS.indexOf('Email');
+    env.sheet('leads').rows[1][EMAIL] = 'ahmed@@example';
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig());
+    assert.equal(env.fetches.length, 0);
+    assert.equal(env.sheet('leads').rows[0][TICKET], undefined);
+
+    env.sheet('leads').rows[1][EMAIL] = 'ahmed@example.com';
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig());
+    env.sheet('leads').rows[1][TICKET] = '';
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig());
+    assert.equal(env.fetches.length, 1);
+    assert.equal(env.sheet('leads').rows[1][TICKET], '');
+  });
+
+  it('issues no ticket to declined leads or when tickets are off', () => {
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 3), fixtures.deploymentConfig());
+    ExpoCore.onFormSubmit(formEvent(env.sheet('leads'), 2), fixtures.deploymentConfig({ tickets: { enabled: false } }));
+
+    assert.equal(env.fetches[0].payload.ticketId, '');
+    assert.equal(env.fetches[1].payload.ticketQrUrl, '');
+    assert.equal(env.sheet('leads').rows[0][TICKET], undefined);
+  });
+});
+
+describe('QR images', () => {
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('fetches the QR code as a data URI', () => {
+    const env = install();
+    env.respondWith({ code: 200, body: 'PNG' });
+
+    assert.equal(ExpoTickets.getQrDataUri('EXPO-1.ab'), 'data:image/png;base64,UE5H');
+    assert.equal(env.fetches[0].url, 'https://quickchart.io/qr?size=300&margin=2&text=EXPO-1.ab');
+  });
+
+  it('shows the QR code in the ticket email and keeps the agreement emails Make.com-safe', () => {
+    install();
+    const ticket = ExpoTickets.describe('EXPO-7F3A9C2B');
+
+    const english = ExpoTickets.renderEmail(Object.assign({ name: 'Ahmed', language: 'en' }, ticket));
+    const arabic = ExpoTickets.renderEmail(Object.assign({ name: 'أحمد', language: 'ar' }, ticket));
+
+    assert.equal(english.subject, 'Your entry ticket - UAE Property Expo Muscat');
+    assert.ok(english.html.includes('<img src="' + ticket.ticketQrUrl.replace(/&/g, '&amp;') + '"'));
+    assert.ok(english.text.includes('EXPO-7F3A9C2B'));
+    assert.ok(arabic.html.includes('عزيزي أحمد'));
+    assert.equal(ExpoTickets.renderEmail({ name: 'Ahmed', ticketId: '' }), null);
+    ['agreement.en', 'agreement.ar'].forEach(id => {
+      assert.ok(!/\{\{[#/]/.test(ExpoTemplates.load(id)));
+    });
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Cross-checks the sheet column mapping between the scripts,
+ * google-sheets-config.json and the Make.com blueprints
+ *
+ *   node tools/check-column-mapping.js
+ *
+ * Every source claims "column X holds field Y":
+ *   google-sheets-config.json  columnMappings ("E": "Status")
+ *   scripts                    COLUMN_MAPPING blocks of older script copies
+ *                              (STATUS: 5, // Column E - Status); the library
+ *                              finds columns by header, so for the deployment
+ *                              configs it checks that every configured header
+ *                              resolves (COLUMN_ALIASES, columnHeaders)
+ *   blueprints                 column labels of the Google Sheets modules
+ *                              ("Status (E)")
+ * Labels are matched to fields through ExpoCore.COLUMN_ALIASES. A field on
+ * two letters, or a letter holding two fields, is an error; columns the
+ * blueprints use that no source names are warnings. Exits with 1 on errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const ExpoCore = require('../apps-script/expo-core');
+const { columnIndex } = require('./lib/csv-sheet');
+
+const ROOT = path.join(__dirname, '..');
+const CONFIG_NAME = 'google-sheets-config.json';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * The field a header label stands for, or the quoted label if none does
+ */
+function labelField(label, aliases) {
+  const normalized = ExpoCore.normalizeHeader(label);
+  const field = Object.keys(aliases).find(name => aliases[name].map(ExpoCore.normalizeHeader).indexOf(normalized) !== -1);
+  return field || '"' + label.trim() + '"';
+}
+
+/**
+ * Entries of the COLUMN_MAPPING blocks in a script
+ * Returns [{ field, letter, commentLetter, label }]
+ */
+function parseColumnMapping(text) {
+  const block = /COLUMN_MAPPING\s*=\s*\{([\s\S]*?)\n\s*\}/.exec(text);
+  if (!block) {
+    return [];
+  }
+  const entries = [];
+  block[1].split('\n').forEach(line => {
+    const match = /^\s*([A-Z][A-Z0-9_]*)\s*:\s*(\d+)\s*,?\s*(?:\/\/\s*Column\s+([A-Z]{1,2})\b\s*(?:-\s*([^(\n]*))?)?/.exec(line);
+    if (match) {
+      entries.push({
+        field: match[1],
+        letter: ExpoCore.getColumnLetter(Number(match[2])),
+        commentLetter: match[3] || '',
+        label: (match[4] || '').trim()
+      });
+    }
+  });
+  return entries;
+}
+
+/**
+ * The DEPLOYMENT_CONFIG of a deployment config file, or null
+ */
+function loadDeploymentConfig(text) {
+  if (!/\bDEPLOYMENT_CONFIG\s*=/.test(text)) {
+    return null;
+  }
+  try {
+    return vm.runInNewContext(text + '\n;DEPLOYMENT_CONFIG;', {});
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Calls fn(module) for every module of a blueprint
+ */
+function eachModule(flow, fn) {
+  (flow || []).forEach(module => {
+    fn(module);
+    (module.routes || []).forEach(route => eachModule(route.flow, fn));
+  });
+}
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+/**
+ * Column labels and column uses of a blueprint on the given sheet
+ * Returns { labels: [{ letter, label, module }], uses: [{ letter, module }] }
+ */
+function blueprintColumns(blueprint, sheetName) {
+  const sheetModules = {};
+  eachModule(blueprint.flow, module => {
+    const mapper = module.mapper || {};
+    if (/^google-sheets:/.test(module.module) && (mapper.sheetId === sheetName || (module.parameters || {}).sheetId === sheetName)) {
+      sheetModules[String(module.id)] = module;
+    }
+  });
+
+  const labels = [];
+  const uses = [];
+  const use = (index, module) => uses.push({ letter: ExpoCore.getColumnLetter(index + 1), module: String(module.id) });
+
+  eachModule(blueprint.flow, module => {
+    const id = String(module.id);
+    const mapper = module.mapper || {};
+
+    if (sheetModules[id]) {
+      (((module.metadata || {}).interface) || []).forEach(field => {
+        const match = /^(.*?)\s*\(([A-Z]{1,2})\)$/.exec(field.label || '');
+        if (match && /^\d+$/.test(field.name) && match[1] !== '') {
+          labels.push({ letter: match[2], label: match[1], module: id });
+        }
+      });
+      Object.keys(mapper.values || {}).forEach(column => use(columnIndex(column), module));
+      const filters = [].concat(mapper.filters || [], mapper.filter || []);
+      [].concat.apply([], filters.map(group => [].concat(group))).forEach(condition => {
+        if (/^([A-Z]{1,2}|\d+)$/.test(condition.a || '')) {
+          use(columnIndex(condition.a), module);
+        }
+      });
+    }
+
+    // {{1.3}} / {{1.`3`}} read column D of sheet module 1
+    const text = JSON.stringify({ mapper: mapper, filter: module.filter || null, routes: (module.routes || []).map(route => route.filter || null) });
+    const reference = /\{\{[^}]*?\b(\d+)\.`?(\d+)`?/g;
+    for (let match = reference.exec(text); match; match = reference.exec(text)) {
+      if (sheetModules[match[1]]) {
+        use(Number(match[2]), module);
+      }
+    }
+  });
+
+  return { labels: labels, uses: uses };
+}
+
+// ============================================================================
+// CHECK
+// ============================================================================
+
+/**
+ * Cross-checks the sources
+ * sources.sheetsConfig - google-sheets-config.json
+ * sources.scripts      - [{ file, text }]
+ * sources.blueprints   - [{ file, blueprint }]
+ * Returns { columns: { letter: { field: [source, ...] } }, problems: [{ severity, message }] }
+ */
+function checkColumnMapping(sources) {
+  const sheetsConfig = sources.sheetsConfig;
+  const sheetName = sheetsConfig.sheetName;
+  const aliases = ExpoCore.COLUMN_ALIASES;
+  const columns = {};
+  const problems = [];
+  const error = message => problems.push({ severity: 'error', message: message });
+  const warning = message => problems.push({ severity: 'warning', message: message });
+
+  const claim = (letter, field, source) => {
+    columns[letter] = columns[letter] || {};
+    columns[letter][field] = columns[letter][field] || [];
+    if (columns[letter][field].indexOf(source) === -1) {
+      columns[letter][field].push(source);
+    }
+  };
+
+  // google-sheets-config.json
+  const mapped = sheetsConfig.columnMappings || {};
+  Object.keys(mapped).forEach(letter => claim(letter, labelField(mapped[letter], aliases), CONFIG_NAME));
+
+  // Scripts: the header-based library against the configured headers...
+  const configHeaders = [];
+  Object.keys(mapped).forEach(letter => {
+    configHeaders[columnIndex(letter)] = mapped[letter];
+  });
+  const found = ExpoCore.findColumns(configHeaders.map(header => header || ''));
+  Object.keys(aliases).filter(field => field !== 'TIMESTAMP' && !found[field]).forEach(field => {
+    const message = field + ' has no column in ' + CONFIG_NAME + ' - the scripts look for a header named ' +
+      aliases[field].slice(0, 2).map(alias => '"' + alias + '"').join(' or ');
+    if (ExpoCore.REQUIRED_COLUMNS.indexOf(field) !== -1) {
+      error(message);
+    } else {
+      warning(message);
+    }
+  });
+
+  sources.scripts.forEach(script => {
+    // ...the column overrides of deployment configs on the same sheet...
+    const deployment = loadDeploymentConfig(script.text);
+    if (deployment && (deployment.sheetName || 'leads') === sheetName) {
+      const headers = deployment.columnHeaders || {};
+      Object.keys(headers).forEach(field => {
+        const letter = Object.keys(mapped).find(key => ExpoCore.normalizeHeader(mapped[key]) === ExpoCore.normalizeHeader(headers[field]));
+        if (!letter) {
+          error(script.file + ': columnHeaders.' + field + ' = "' + headers[field] + '" is not a column of ' + CONFIG_NAME);
+        } else {
+          claim(letter, field, script.file + ' (columnHeaders)');
+        }
+      });
+    }
+
+    // ...and COLUMN_MAPPING blocks of older copies
+    parseColumnMapping(script.text).forEach(entry => {
+      claim(entry.letter, entry.field, script.file + ' (COLUMN_MAPPING)');
+      if (entry.commentLetter && entry.commentLetter !== entry.letter) {
+        error(script.file + ': COLUMN_MAPPING.' + entry.field + ' is column ' + entry.letter + ' but its comment says ' + entry.commentLetter);
+      }
+    });
+  });
+
+  // Blueprints
+  const unnamed = [];
+  sources.blueprints.forEach(item => {
+    const found = blueprintColumns(item.blueprint, sheetName);
+    found.labels.forEach(label => claim(label.letter, labelField(label.label, aliases), item.file + ' (module ' + label.module + ')'));
+    found.uses.forEach(entry => unnamed.push({ file: item.file, letter: entry.letter, module: entry.module }));
+  });
+
+  // A field on two letters
+  const lettersByField = {};
+  Object.keys(columns).forEach(letter => Object.keys(columns[letter]).forEach(field => {
+    lettersByField[field] = (lettersByField[field] || []).concat(letter);
+  }));
+  Object.keys(lettersByField).filter(field => lettersByField[field].length > 1).forEach(field => {
+    error(field + ' is in different columns: ' + lettersByField[field].sort().map(letter => letter + ' in ' + columns[letter][field].join(', ')).join('; '));
+  });
+
+  // A letter holding two fields
+  Object.keys(columns).forEach(letter => {
+    const fields = Object.keys(columns[letter]);
+    if (fields.length > 1) {
+      error('Column ' + letter + ' holds different fields: ' + fields.map(field => field + ' in ' + columns[letter][field].join(', ')).join('; '));
+    }
+  });
+
+  // Columns the blueprints use that nothing names
+  const reported = {};
+  unnamed.filter(entry => !columns[entry.letter]).forEach(entry => {
+    const key = entry.file + ' ' + entry.letter;
+    reported[key] = (reported[key] || []).concat(entry.module);
+  });
+  Object.keys(reported).forEach(key => {
+    const parts = key.split(' ');
+    const modules = reported[key].filter((module, i, list) => list.indexOf(module) === i);
+    warning(parts[0] + ' uses column ' + parts[1] + ' (module ' + modules.join(', ') + '), which no mapping names');
+  });
+
+  return { columns: columns, problems: problems };
+}
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+/**
+ * Loads every source from the repository
+ */
+function loadSources(root) {
+  const jsonFiles = fs.readdirSync(root).filter(file => /\.json$/.test(file) && file !== CONFIG_NAME).sort();
+  const scriptFiles = fs.readdirSync(root).filter(file => /\.js$/.test(file)).sort()
+    .concat(fs.readdirSync(path.join(root, 'apps-script')).filter(file => /\.js$/.test(file)).sort().map(file => 'apps-script/' + file));
+
+  return {
+    sheetsConfig: JSON.parse(fs.readFileSync(path.join(root, CONFIG_NAME), 'utf8')),
+    scripts: scriptFiles.map(file => ({ file: file, text: fs.readFileSync(path.join(root, file), 'utf8') })),
+    blueprints: jsonFiles
+      .map(file => {
+        try {
+          return { file: file, blueprint: JSON.parse(fs.readFileSync(path.join(root, file), 'utf8')) };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(item => item && Array.isArray(item.blueprint.flow))
+  };
+}
+
+function main() {
+  const result = checkColumnMapping(loadSources(ROOT));
+
+  Object.keys(result.columns).sort((a, b) => columnIndex(a) - columnIndex(b)).forEach(letter => {
+    Object.keys(result.columns[letter]).forEach(field => {
+      console.log('  ' + (letter + '    ').slice(0, 4) + (field + '                ').slice(0, 16) + result.columns[letter][field].join(', '));
+    });
+  });
+
+  result.problems.forEach(problem => console.log((problem.severity === 'error' ? '✗ ' : '⚠ ') + problem.message));
+  const errors = result.problems.filter(problem => problem.severity === 'error').length;
+  console.log((errors > 0 ? '✗ ' : '✓ ') + errors + ' error(s), ' + (result.problems.length - errors) + ' warning(s)');
+  return errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = {
+  parseColumnMapping: parseColumnMapping,
+  blueprintColumns: blueprintColumns,
+  checkColumnMapping: checkColumnMapping,
+  loadSources: loadSources,
+  main: main
+};
@@ -0,0 +1,60 @@
+/**
+ * Regenerates the payload reference from apps-script/schema.js
+ *
+ *   node tools/generate-payload-reference.js          rewrite the files
+ *   node tools/generate-payload-reference.js --check  exit 1 if they are stale
+ *
+ * Writes webhook-payload.schema.json and the FIELD DESCRIPTIONS section of
+ * WEBHOOK-PAYLOAD-REFERENCE.txt (between the GENERATED markers).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExpoSchema = require('../apps-script/schema');
+
+const ROOT = path.join(__dirname, '..');
+const REFERENCE_FILE = path.join(ROOT, 'WEBHOOK-PAYLOAD-REFERENCE.txt');
+const SCHEMA_FILE = path.join(ROOT, 'webhook-payload.schema.json');
+const BEGIN = '--- BEGIN GENERATED from apps-script/schema.js (node tools/generate-payload-reference.js) ---';
+const END = '--- END GENERATED ---';
+
+/**
+ * Returns the reference text with its generated section replaced
+ */
+function updateReference(text) {
+  const start = text.indexOf(BEGIN);
+  const end = text.indexOf(END);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error('GENERATED markers not found in ' + path.basename(REFERENCE_FILE));
+  }
+  return text.slice(0, start + BEGIN.length) + '\n\n' + ExpoSchema.generateReference() + '\n' + text.slice(end);
+}
+
+function main(args) {
+  const check = args.indexOf('--check') !== -1;
+  const outputs = [
+    { file: REFERENCE_FILE, content: updateReference(fs.readFileSync(REFERENCE_FILE, 'utf8')) },
+    { file: SCHEMA_FILE, content: ExpoSchema.toJson() }
+  ];
+
+  const stale = outputs.filter(output => !fs.existsSync(output.file) || fs.readFileSync(output.file, 'utf8') !== output.content);
+  if (check) {
+    stale.forEach(output => console.error('✗ ' + path.basename(output.file) + ' is out of date - run node tools/generate-payload-reference.js'));
+    return stale.length === 0 ? 0 : 1;
+  }
+
+  stale.forEach(output => {
+    fs.writeFileSync(output.file, output.content);
+    console.log('✓ Wrote ' + path.basename(output.file));
+  });
+  if (stale.length === 0) {
+    console.log('✓ Payload reference is up to date (schema ' + ExpoSchema.SCHEMA_VERSION + ')');
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { updateReference: updateReference, main: main };
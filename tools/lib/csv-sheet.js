@@ -0,0 +1,194 @@
+/**
+ * A Google Sheet stand-in backed by a CSV file
+ *
+ * Row 1 holds the headers; row numbers are sheet row numbers (the first lead
+ * is row 2), like __ROW_NUMBER__ in Make.com. Columns are addressed the way
+ * the blueprints address them: by 0-based index ("1") or by letter ("B").
+ * The file is re-read on every call, so edits made by hand in between are
+ * picked up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Serializes rows to CSV, quoting fields only where needed
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }).join(',')).join('\n') + '\n';
+}
+
+// ============================================================================
+// SHEET
+// ============================================================================
+
+/**
+ * Converts a column reference ("1", 1 or "B") to a 0-based index
+ */
+function columnIndex(column) {
+  const text = String(column).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  if (/^[A-Za-z]+$/.test(text)) {
+    return text.toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  }
+  throw new Error('Invalid column "' + column + '"');
+}
+
+/**
+ * Opens (or creates, with the given header row) a CSV-backed sheet
+ */
+function openCsvSheet(file, headers) {
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, toCsv([headers || []]));
+  }
+
+  function read() {
+    const rows = parseCsv(fs.readFileSync(file, 'utf8'));
+    return rows.length > 0 ? rows : [[]];
+  }
+
+  function write(rows) {
+    fs.writeFileSync(file, toCsv(rows));
+  }
+
+  /**
+   * A row as a Make.com row bundle: { '0': 'Ahmed', '1': ..., __ROW_NUMBER__: 2 }
+   */
+  function toBundle(values, rowNumber) {
+    const bundle = {};
+    values.forEach((value, index) => {
+      bundle[String(index)] = value;
+    });
+    bundle.__ROW_NUMBER__ = rowNumber;
+    return bundle;
+  }
+
+  return {
+    file: file,
+
+    headers: () => read()[0],
+
+    /**
+     * One row bundle by sheet row number, or null
+     */
+    row(rowNumber) {
+      const rows = read();
+      const values = rows[rowNumber - 1];
+      return rowNumber >= 2 && values ? toBundle(values, rowNumber) : null;
+    },
+
+    /**
+     * Row bundles matching a filter (see scenario.js matchesFilter)
+     * matches(values) decides per row; limit caps the result
+     */
+    search(matches, limit) {
+      const found = [];
+      read().slice(1).forEach((values, i) => {
+        if ((!limit || found.length < limit) && values.some(value => value !== '') && matches(values)) {
+          found.push(toBundle(values, i + 2));
+        }
+      });
+      return found;
+    },
+
+    /**
+     * Writes { columnIndex: value } into an existing row
+     */
+    update(rowNumber, values) {
+      const rows = read();
+      if (!(rowNumber >= 2) || rowNumber > rows.length) {
+        throw new Error('Row ' + rowNumber + ' does not exist in ' + path.basename(file));
+      }
+      const row = rows[rowNumber - 1];
+      Object.keys(values).forEach(column => {
+        const index = columnIndex(column);
+        while (row.length <= index) {
+          row.push('');
+        }
+        row[index] = values[column];
+      });
+      write(rows);
+      return toBundle(row, rowNumber);
+    },
+
+    /**
+     * Appends { columnIndex: value } as a new row; returns its bundle
+     */
+    append(values) {
+      const rows = read();
+      const row = [];
+      Object.keys(values).forEach(column => {
+        const index = columnIndex(column);
+        while (row.length <= index) {
+          row.push('');
+        }
+        row[index] = values[column];
+      });
+      rows.push(row);
+      write(rows);
+      return toBundle(row, rows.length);
+    }
+  };
+}
+
+module.exports = {
+  parseCsv: parseCsv,
+  toCsv: toCsv,
+  columnIndex: columnIndex,
+  openCsvSheet: openCsvSheet
+};
@@ -0,0 +1,524 @@
+/**
+ * IML - the {{…}} mapping language of Make.com (the subset our blueprints use)
+ *
+ * parseTemplate() splits a mapped value such as "{{1.0}}, you're invited"
+ * into text and expressions; render() evaluates it against the bundles of
+ * earlier modules ({ 1: bundle, 2: bundle, ... }). Supported:
+ *   references  1.name, 1.`0`, 1.answers.1865fa7d.textAnswers.answers[0].value
+ *   literals    "text" (with \" escapes), 12, true, false, null
+ *   operators   = != < <= > >= + - * / and or, parentheses
+ *   keywords    now, emptystring, space, newline, tab, ... (see KEYWORDS)
+ *   functions   see FUNCTIONS (MAKE_FUNCTIONS lists all of Make.com's)
+ * A value that is a single {{expression}} keeps its type (date, number,
+ * array); anything else renders to text. Array indexes are 0-based, as in
+ * the exported blueprints.
+ */
+
+class ImlError extends Error {}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+/**
+ * Renders a value the way a mapped text field shows it
+ */
+function toText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toText).join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Whether a condition value counts as true ("false", "" and 0 do not)
+ */
+function isTruthy(value) {
+  if (value === undefined || value === null || value === false || value === 0 || value === '') {
+    return false;
+  }
+  return value !== 'false';
+}
+
+function toNumber(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return typeof value === 'number' ? value : parseFloat(toText(value));
+}
+
+function toDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  const date = new Date(typeof value === 'number' ? value : toText(value));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+/**
+ * Compares two values: numbers numerically, dates by time, the rest as text
+ */
+function compare(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    const left = toDate(a);
+    const right = toDate(b);
+    if (left && right) {
+      return left.getTime() - right.getTime();
+    }
+  }
+  if (isNumeric(a) && isNumeric(b)) {
+    return Number(a) - Number(b);
+  }
+  const left = toText(a);
+  const right = toText(b);
+  return left < right ? -1 : (left > right ? 1 : 0);
+}
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+function addTo(unit) {
+  return (date, amount) => {
+    const result = new Date(toDate(date).getTime());
+    if (unit === 'months') {
+      result.setUTCMonth(result.getUTCMonth() + toNumber(amount));
+    } else {
+      result.setTime(result.getTime() + toNumber(amount) * { days: 86400000, hours: 3600000, minutes: 60000 }[unit]);
+    }
+    return result;
+  };
+}
+
+/**
+ * Formats a date with moment-style tokens (YYYY, MM, DD, HH, mm, ss) in UTC
+ */
+function formatDate(value, format) {
+  const date = toDate(value);
+  if (!date) {
+    return '';
+  }
+  const pad = number => ('0' + number).slice(-2);
+  const parts = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  return toText(format || 'YYYY-MM-DDTHH:mm:ss').replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+}
+
+const FUNCTIONS = {
+  if: (condition, then, otherwise) => (isTruthy(condition) ? then : otherwise),
+  ifempty: (value, fallback) => (toText(value) === '' ? fallback : value),
+  lower: value => toText(value).toLowerCase(),
+  upper: value => toText(value).toUpperCase(),
+  capitalize: value => toText(value).charAt(0).toUpperCase() + toText(value).slice(1),
+  trim: value => toText(value).trim(),
+  length: value => (Array.isArray(value) ? value.length : toText(value).length),
+  contains: (haystack, needle) => (Array.isArray(haystack) ? haystack.indexOf(needle) !== -1 : toText(haystack).indexOf(toText(needle)) !== -1),
+  replace: (text, search, replacement) => toText(text).split(toText(search)).join(toText(replacement)),
+  substring: (text, start, end) => toText(text).substring(toNumber(start), end === undefined ? undefined : toNumber(end)),
+  indexOf: (text, search) => toText(text).indexOf(toText(search)),
+  split: (text, separator) => toText(text).split(toText(separator)),
+  join: (array, separator) => [].concat(array || []).map(toText).join(toText(separator)),
+  first: array => [].concat(array || [])[0],
+  last: array => [].concat(array || []).slice(-1)[0],
+  toString: value => toText(value),
+  parseNumber: value => toNumber(value),
+  now: () => new Date(),
+  addDays: addTo('days'),
+  addHours: addTo('hours'),
+  addMinutes: addTo('minutes'),
+  addMonths: addTo('months'),
+  formatDate: formatDate,
+  parseDate: value => toDate(value),
+  stripHTML: value => toText(value).replace(/<[^>]*>/g, ''),
+  encodeURL: value => encodeURIComponent(toText(value))
+};
+
+const KEYWORDS = {
+  emptystring: () => '',
+  emptyarray: () => [],
+  space: () => ' ',
+  nbsp: () => '\u00a0',
+  newline: () => '\n',
+  carriagereturn: () => '\r',
+  tab: () => '\t',
+  true: () => true,
+  false: () => false,
+  null: () => null,
+  pi: () => Math.PI,
+  timestamp: () => Math.floor(Date.now() / 1000),
+  random: () => Math.random(),
+  uuid: () => require('crypto').randomUUID()
+};
+
+// Every built-in function of Make.com; FUNCTIONS implements the ones we use
+const MAKE_FUNCTIONS = [
+  // General
+  'get', 'if', 'ifempty', 'switch', 'omit', 'pick',
+  // Math
+  'average', 'ceil', 'floor', 'formatNumber', 'max', 'min', 'parseNumber', 'round', 'sum', 'trunc',
+  // Text
+  'ascii', 'base64', 'capitalize', 'contains', 'decodeURL', 'encodeURL', 'escapeHTML', 'escapeMarkdown',
+  'indexOf', 'length', 'lower', 'md5', 'replace', 'replaceEmojiCharacters', 'sha1', 'sha256', 'sha512',
+  'split', 'startcase', 'stripHTML', 'substring', 'toBinary', 'toString', 'trim', 'upper',
+  // Date
+  'addDays', 'addHours', 'addMinutes', 'addMonths', 'addSeconds', 'addYears', 'formatDate', 'parseDate',
+  'setDate', 'setDay', 'setHour', 'setMinute', 'setMonth', 'setSecond', 'setYear', 'now',
+  // Array
+  'add', 'deduplicate', 'distinct', 'first', 'flatten', 'join', 'keys', 'last', 'map', 'merge', 'remove',
+  'reverse', 'shuffle', 'slice', 'sort', 'toArray', 'toCollection'
+];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Splits an expression into tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== '"') {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          i++;
+        }
+        value += source[i];
+        i++;
+      }
+      if (i >= source.length) {
+        throw new ImlError('Unterminated string in {{' + source + '}}');
+      }
+      i++;
+      tokens.push({ type: 'string', value: value });
+    } else if (char === '`') {
+      const end = source.indexOf('`', i + 1);
+      if (end === -1) {
+        throw new ImlError('Unterminated backtick in {{' + source + '}}');
+      }
+      tokens.push({ type: 'word', value: source.slice(i + 1, end), quoted: true });
+      i = end + 1;
+    } else if (/[A-Za-z0-9_$]/.test(char)) {
+      const match = /^[A-Za-z0-9_$]+/.exec(source.slice(i))[0];
+      tokens.push({ type: 'word', value: match });
+      i += match.length;
+    } else {
+      const operator = ['<=', '>=', '!='].find(op => source.startsWith(op, i)) || char;
+      if ('()[].;=<>+-*/'.indexOf(operator[0]) === -1) {
+        throw new ImlError('Unexpected "' + char + '" in {{' + source + '}}');
+      }
+      tokens.push({ type: 'op', value: operator });
+      i += operator.length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses an expression into a tree
+ * Nodes: literal, variable, reference { module, path }, call { name, args },
+ * access { target, path }, binary, unary
+ */
+function parseExpression(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+  const isWord = value => peek() && peek().type === 'word' && !peek().quoted && peek().value === value;
+  const expect = value => {
+    if (!isOp(value)) {
+      throw new ImlError('Expected "' + value + '" in {{' + source + '}}');
+    }
+    position++;
+  };
+
+  function binary(next, operators) {
+    return () => {
+      let left = next();
+      while (peek() && operators.some(op => isOp(op) || isWord(op))) {
+        const operator = tokens[position++].value;
+        left = { type: 'binary', operator: operator, left: left, right: next() };
+      }
+      return left;
+    };
+  }
+
+  function parsePath(node) {
+    while (isOp('.') || isOp('[')) {
+      if (isOp('.')) {
+        position++;
+        const key = peek();
+        if (!key || key.type !== 'word') {
+          throw new ImlError('Expected a field name after "." in {{' + source + '}}');
+        }
+        node.path.push(key.value);
+        position++;
+      } else {
+        position++;
+        const index = parseOr();
+        expect(']');
+        node.path.push(index);
+      }
+    }
+    return node;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new ImlError('Unexpected end of {{' + source + '}}');
+    }
+    position++;
+
+    if (token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'op' && token.value === '-') {
+      return { type: 'unary', operator: '-', operand: parsePrimary() };
+    }
+    if (token.type !== 'word') {
+      throw new ImlError('Unexpected "' + token.value + '" in {{' + source + '}}');
+    }
+
+    if (/^\d+$/.test(token.value) && !token.quoted) {
+      // A module id starts a reference: 1.name, 4[0], or a bare {{3}}
+      if (isOp('.') || isOp('[')) {
+        return parsePath({ type: 'reference', module: token.value, path: [] });
+      }
+      return { type: 'literal', value: Number(token.value) };
+    }
+    if (isOp('(')) {
+      position++;
+      const args = [];
+      while (!isOp(')')) {
+        args.push(parseOr());
+        if (isOp(';')) {
+          position++;
+        } else if (!isOp(')')) {
+          throw new ImlError('Expected ";" or ")" in {{' + source + '}}');
+        }
+      }
+      position++;
+      const call = { type: 'call', name: token.value, args: args };
+      // split(...)[0] - an index right after a call applies to its result
+      return isOp('[') || isOp('.') ? parsePath({ type: 'access', target: call, path: [] }) : call;
+    }
+    if (token.value === 'now') {
+      return { type: 'call', name: 'now', args: [] };
+    }
+    if (KEYWORDS[token.value]) {
+      return { type: 'literal', value: KEYWORDS[token.value]() };
+    }
+    if (isOp('.') || isOp('[')) {
+      // A reference to a module by name, which Make.com does not have
+      return parsePath({ type: 'reference', module: token.value, path: [] });
+    }
+    return { type: 'variable', name: token.value };
+  }
+
+  const parseMultiplicative = binary(parsePrimary, ['*', '/']);
+  const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+  const parseComparison = binary(parseAdditive, ['=', '!=', '<', '<=', '>', '>=']);
+  const parseAnd = binary(parseComparison, ['and']);
+  const parseOr = binary(parseAnd, ['or']);
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new ImlError('Unexpected "' + tokens[position].value + '" in {{' + source + '}}');
+  }
+  return tree;
+}
+
+/**
+ * Splits a mapped value into text and {{expression}} parts
+ * Returns [{ type: 'text', value }, { type: 'expression', source }, ...]
+ */
+function parseTemplate(text) {
+  const parts = [];
+  const source = text === undefined || text === null ? '' : String(text);
+  let position = 0;
+
+  while (position < source.length) {
+    const start = source.indexOf('{{', position);
+    if (start === -1) {
+      break;
+    }
+
+    // Find the closing braces, skipping string literals
+    let i = start + 2;
+    let inString = false;
+    while (i < source.length) {
+      if (inString && source[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (source[i] === '"') {
+        inString = !inString;
+      } else if (!inString && source.startsWith('}}', i)) {
+        break;
+      }
+      i++;
+    }
+    if (i >= source.length) {
+      break;
+    }
+
+    if (start > position) {
+      parts.push({ type: 'text', value: source.slice(position, start) });
+    }
+    parts.push({ type: 'expression', source: source.slice(start + 2, i).trim() });
+    position = i + 2;
+  }
+
+  if (position < source.length) {
+    parts.push({ type: 'text', value: source.slice(position) });
+  }
+  return parts;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Follows a reference path through a bundle
+ */
+function lookup(bundle, path) {
+  return path.reduce((value, key) => {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    return value[typeof key === 'number' ? key : String(key)];
+  }, bundle);
+}
+
+function evaluateNode(node, bundles) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'variable':
+      throw new ImlError('Unknown name "' + node.name + '"');
+    case 'reference':
+      return lookup(bundles[node.module], node.path.map(key => (typeof key === 'string' ? key : evaluateNode(key, bundles))));
+    case 'access':
+      return lookup(evaluateNode(node.target, bundles), node.path.map(key => (typeof key === 'string' ? key : evaluateNode(key, bundles))));
+    case 'unary':
+      return -toNumber(evaluateNode(node.operand, bundles));
+    case 'call': {
+      const fn = FUNCTIONS[node.name];
+      if (!fn) {
+        throw new ImlError('Function "' + node.name + '" is not supported');
+      }
+      return fn.apply(null, node.args.map(arg => evaluateNode(arg, bundles)));
+    }
+    case 'binary': {
+      const left = evaluateNode(node.left, bundles);
+      const right = evaluateNode(node.right, bundles);
+      switch (node.operator) {
+        case 'and': return isTruthy(left) && isTruthy(right);
+        case 'or': return isTruthy(left) || isTruthy(right);
+        case '=': return compare(left, right) === 0;
+        case '!=': return compare(left, right) !== 0;
+        case '<': return compare(left, right) < 0;
+        case '<=': return compare(left, right) <= 0;
+        case '>': return compare(left, right) > 0;
+        case '>=': return compare(left, right) >= 0;
+        case '+': return isNumeric(left) && isNumeric(right) ? Number(left) + Number(right) : toText(left) + toText(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': return toNumber(left) / toNumber(right);
+      }
+    }
+  }
+  throw new ImlError('Cannot evaluate ' + node.type);
+}
+
+/**
+ * Evaluates one expression (the part between {{ and }})
+ */
+function evaluate(source, bundles) {
+  return evaluateNode(parseExpression(source), bundles || {});
+}
+
+/**
+ * Renders a mapped value
+ * A lone {{expression}} keeps its type; mixed text renders to a string.
+ */
+function render(template, bundles) {
+  if (typeof template !== 'string') {
+    return template;
+  }
+  const parts = parseTemplate(template);
+  if (parts.length === 1 && parts[0].type === 'expression') {
+    return evaluate(parts[0].source, bundles);
+  }
+  return parts.map(part => (part.type === 'text' ? part.value : toText(evaluate(part.source, bundles)))).join('');
+}
+
+/**
+ * Renders every string inside a mapper object or array
+ */
+function renderDeep(value, bundles) {
+  if (typeof value === 'string') {
+    return render(value, bundles);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderDeep(item, bundles));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = renderDeep(value[key], bundles);
+    });
+    return result;
+  }
+  return value;
+}
+
+module.exports = {
+  ImlError: ImlError,
+  FUNCTIONS: FUNCTIONS,
+  MAKE_FUNCTIONS: MAKE_FUNCTIONS,
+  KEYWORDS: KEYWORDS,
+  toText: toText,
+  isTruthy: isTruthy,
+  compare: compare,
+  tokenize: tokenize,
+  parseExpression: parseExpression,
+  parseTemplate: parseTemplate,
+  evaluate: evaluate,
+  render: render,
+  renderDeep: renderDeep
+};
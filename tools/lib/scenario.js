@@ -0,0 +1,387 @@
+/**
+ * Runs a Make.com blueprint offline
+ *
+ * Interprets the modules our scenarios use, against a CSV sheet (csv-sheet.js)
+ * and a folder that receives the emails:
+ *   gateway:CustomWebHook, google-sheets:watchRows,
+ *   google-forms:watchResponses  triggers - built from our webhook payload
+ *   util:SetVariables, util:SetVariable2
+ *   builtin:BasicRouter           every route whose filter passes
+ *   builtin:ArrayAggregator       collects the bundles of its source module
+ *   google-sheets:searchRows, google-sheets:filterRows,
+ *   google-sheets:updateRow, google-sheets:addRow
+ *   resend:sendAnEmail            writes <n>-<module>.json/.html to the sink
+ * Other modules are skipped with a warning. Like Make.com, an error stops the
+ * run; the result lists what every module did with every bundle.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const iml = require('./iml');
+const { columnIndex } = require('./csv-sheet');
+
+// Question ids of the Expo response form (see FIND-CORRECT-FIELD-IDS-MODULE-1.txt)
+const FORM_QUESTIONS = {
+  name: '1865fa7d',
+  response: '677abd25',
+  comments: '08d2bdde'
+};
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+class ModuleError extends Error {}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+const OPERATORS = {
+  'exist': a => iml.toText(a) !== '',
+  'notexist': a => iml.toText(a) === '',
+  'text:equal': (a, b) => iml.toText(a) === iml.toText(b),
+  'text:equal:ci': (a, b) => iml.toText(a).toLowerCase() === iml.toText(b).toLowerCase(),
+  'text:notequal': (a, b) => iml.toText(a) !== iml.toText(b),
+  'text:notequal:ci': (a, b) => iml.toText(a).toLowerCase() !== iml.toText(b).toLowerCase(),
+  'text:contain': (a, b) => iml.toText(a).indexOf(iml.toText(b)) !== -1,
+  'text:contain:ci': (a, b) => iml.toText(a).toLowerCase().indexOf(iml.toText(b).toLowerCase()) !== -1,
+  'text:notcontain': (a, b) => iml.toText(a).indexOf(iml.toText(b)) === -1,
+  'text:startwith': (a, b) => iml.toText(a).indexOf(iml.toText(b)) === 0,
+  'text:endwith': (a, b) => iml.toText(a).slice(-iml.toText(b).length) === iml.toText(b),
+  'number:equal': (a, b) => Number(a) === Number(b),
+  'number:notequal': (a, b) => Number(a) !== Number(b),
+  'number:greater': (a, b) => Number(a) > Number(b),
+  'number:less': (a, b) => Number(a) < Number(b),
+  'number:greaterorequal': (a, b) => Number(a) >= Number(b),
+  'number:lessorequal': (a, b) => Number(a) <= Number(b),
+  'date:greater': (a, b) => Date.parse(iml.toText(a)) > Date.parse(iml.toText(b)),
+  'date:less': (a, b) => Date.parse(iml.toText(a)) < Date.parse(iml.toText(b)),
+  'date:greaterorequal': (a, b) => Date.parse(iml.toText(a)) >= Date.parse(iml.toText(b)),
+  'date:lessorequal': (a, b) => Date.parse(iml.toText(a)) <= Date.parse(iml.toText(b)),
+  'boolean:equal': (a, b) => iml.isTruthy(a) === iml.isTruthy(b)
+};
+
+/**
+ * Normalizes filter conditions to OR-groups of AND-conditions
+ * Accepts [[{a,o,b}]] (Make.com) and the flat [{a,o,b}] of searchRows
+ */
+function conditionGroups(conditions) {
+  const list = conditions || [];
+  return list.length > 0 && !Array.isArray(list[0]) ? [list] : list;
+}
+
+/**
+ * Whether a condition list passes; valueOf(a) resolves the left operand
+ */
+function matchesConditions(conditions, valueOf, bundles) {
+  const groups = conditionGroups(conditions);
+  if (groups.length === 0) {
+    return true;
+  }
+  return groups.some(group => group.every(condition => {
+    const test = OPERATORS[condition.o];
+    if (!test) {
+      throw new ModuleError('Filter operator "' + condition.o + '" is not supported');
+    }
+    return test(valueOf(condition.a), iml.render(condition.b, bundles));
+  }));
+}
+
+/**
+ * Whether a route or module filter ({ name, conditions }) lets a bundle pass
+ */
+function passesFilter(filter, bundles) {
+  return !filter || matchesConditions(filter.conditions, a => iml.render(a, bundles), bundles);
+}
+
+// ============================================================================
+// TRIGGERS
+// ============================================================================
+
+/**
+ * The Google Forms response a payload stands for
+ */
+function formResponse(payload, questions) {
+  const ids = Object.assign({}, FORM_QUESTIONS, questions || {});
+  const answers = {};
+  Object.keys(ids).forEach(field => {
+    const value = field === 'response' ? (payload.response || payload.attendance) : payload[field];
+    if (value) {
+      answers[ids[field]] = { questionId: ids[field], textAnswers: { answers: [{ value: value }] } };
+    }
+  });
+  return {
+    responseId: 'standin-' + Date.now(),
+    createTime: payload.timestamp || new Date().toISOString(),
+    lastSubmittedTime: payload.responseDate || payload.timestamp || new Date().toISOString(),
+    respondentEmail: payload.email,
+    answers: answers
+  };
+}
+
+/**
+ * Bundles of a trigger module for a webhook payload, or null if the first
+ * module is not a trigger (a scheduled scenario starts with no bundle)
+ */
+function triggerBundles(module, payload, options) {
+  switch (module.module) {
+    case 'gateway:CustomWebHook':
+      return [payload];
+    case 'google-forms:watchResponses':
+      return [formResponse(payload, options.formQuestions)];
+    case 'google-sheets:watchRows': {
+      const byNumber = payload.rowNumber ? options.sheet.row(Number(payload.rowNumber)) : null;
+      if (byNumber) {
+        return [byNumber];
+      }
+      const email = iml.toText(payload.email).trim().toLowerCase();
+      return options.sheet.search(values => (values[1] || '').trim().toLowerCase() === email && email !== '', 1);
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// MODULES
+// ============================================================================
+
+/**
+ * Renders the row values of updateRow / addRow ({ columnIndex: text })
+ */
+function rowValues(mapper, bundles) {
+  const values = {};
+  Object.keys(mapper.values || {}).forEach(column => {
+    values[column] = iml.toText(iml.render(mapper.values[column], bundles));
+  });
+  return values;
+}
+
+/**
+ * Row bundles of searchRows / filterRows, numbered like Make.com does
+ */
+function searchSheet(module, bundles, options) {
+  const conditions = module.mapper.filters || module.mapper.filter;
+  const rows = options.sheet.search(
+    values => matchesConditions(conditions, column => values[columnIndex(column)] || '', bundles),
+    Number(module.mapper.limit) || 0
+  );
+  return rows.map((row, i) => Object.assign(row, { __IMTINDEX__: i + 1, __IMTLENGTH__: rows.length }));
+}
+
+/**
+ * Writes an email to the sink folder instead of sending it
+ */
+function sendEmail(module, bundles, options, result) {
+  const mapper = iml.renderDeep(module.mapper, bundles);
+  const to = [].concat(mapper.to || [])
+    .map(entry => iml.toText(entry && typeof entry === 'object' ? entry.value : entry).trim())
+    .filter(address => address !== '');
+
+  if (to.length === 0) {
+    throw new ModuleError('Missing value of required parameter \'to\'');
+  }
+  const invalid = to.filter(address => !EMAIL_PATTERN.test(address));
+  if (invalid.length > 0) {
+    throw new ModuleError('Invalid `to` field: ' + invalid.join(', '));
+  }
+
+  const email = {
+    module: module.id,
+    from: iml.toText(mapper.from),
+    to: to,
+    subject: iml.toText(mapper.subject),
+    html: iml.toText(mapper.html)
+  };
+  if (options.sink) {
+    fs.mkdirSync(options.sink, { recursive: true });
+    const count = fs.readdirSync(options.sink).filter(file => /\.json$/.test(file)).length + 1;
+    const base = path.join(options.sink, ('00' + count).slice(-3) + '-module-' + module.id);
+    fs.writeFileSync(base + '.json', JSON.stringify({ from: email.from, to: email.to, subject: email.subject }, null, 2) + '\n');
+    fs.writeFileSync(base + '.html', email.html);
+    email.file = base + '.html';
+  }
+  result.emails.push(email);
+  return { id: 'standin-' + result.emails.length };
+}
+
+/**
+ * Output bundles of one module for one input context
+ * Returns null for modules the stand-in does not interpret
+ */
+function runModule(module, bundles, options, result) {
+  const mapper = module.mapper || {};
+  switch (module.module) {
+    case 'util:SetVariables': {
+      const output = {};
+      (mapper.variables || []).forEach(variable => {
+        output[variable.name] = iml.render(variable.value, bundles);
+      });
+      return [output];
+    }
+    case 'util:SetVariable2':
+      return [{ [mapper.name]: iml.render(mapper.value, bundles) }];
+    case 'google-sheets:searchRows':
+    case 'google-sheets:filterRows':
+      return searchSheet(module, bundles, options);
+    case 'google-sheets:updateRow': {
+      const rowNumber = iml.toText(iml.render(mapper.rowNumber, bundles));
+      if (rowNumber === '') {
+        throw new ModuleError('Missing value of required parameter \'rowNumber\'');
+      }
+      return [options.sheet.update(Number(rowNumber), rowValues(mapper, bundles))];
+    }
+    case 'google-sheets:addRow':
+      return [options.sheet.append(rowValues(mapper, bundles))];
+    case 'resend:sendAnEmail':
+      return [sendEmail(module, bundles, options, result)];
+  }
+  return null;
+}
+
+// ============================================================================
+// FLOW
+// ============================================================================
+
+/**
+ * The module an aggregator collects ({{3}} in its mapper, or its feeder)
+ */
+function aggregatorSource(module, previous) {
+  const feeder = (module.parameters && module.parameters.feeder) || /^\{\{(\d+)\}\}$/.exec((module.mapper && module.mapper.array) || '');
+  const id = Array.isArray(feeder) ? feeder[1] : feeder;
+  return id ? String(id) : (previous ? String(previous.id) : '');
+}
+
+function descendsFrom(context, ancestor) {
+  for (let current = context; current; current = current.parent) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Runs a flow (list of modules) for a list of contexts
+ * A context is { bundles: { moduleId: bundle }, parent } - one per bundle
+ */
+function runFlow(flow, contexts, state) {
+  let current = contexts;
+
+  flow.forEach((module, i) => {
+    const id = String(module.id);
+    const passing = [];
+    current.forEach(context => {
+      if (passesFilter(module.filter, context.bundles)) {
+        passing.push(context);
+      } else {
+        state.trace.push({ id: id, module: module.module, status: 'filtered', detail: (module.filter && module.filter.name) || '' });
+      }
+    });
+    state.entering[id] = passing;
+
+    if (module.module === 'builtin:BasicRouter') {
+      (module.routes || []).forEach((route, index) => {
+        const routed = passing.filter(context => {
+          if (passesFilter(route.filter, context.bundles)) {
+            return true;
+          }
+          state.trace.push({ id: id, module: module.module, status: 'filtered', detail: 'route ' + (index + 1) + (route.filter && route.filter.name ? ' (' + route.filter.name + ')' : '') });
+          return false;
+        });
+        runFlow(route.flow || [], routed, state);
+      });
+      current = [];
+      return;
+    }
+
+    if (module.module === 'builtin:ArrayAggregator') {
+      const source = aggregatorSource(module, flow[i - 1]);
+      current = (state.entering[source] || []).map(base => {
+        const array = passing.filter(context => descendsFrom(context, base)).map(context => context.bundles[source]);
+        state.trace.push({ id: id, module: module.module, status: 'ok', detail: array.length + ' bundle(s) of module ' + source });
+        return { bundles: Object.assign({}, base.bundles, { [id]: { array: array } }), parent: base };
+      });
+      return;
+    }
+
+    const next = [];
+    passing.forEach(context => {
+      let outputs;
+      try {
+        outputs = runModule(module, context.bundles, state.options, state.result);
+      } catch (error) {
+        state.trace.push({ id: id, module: module.module, status: 'error', detail: error.message });
+        throw error;
+      }
+      if (outputs === null) {
+        state.trace.push({ id: id, module: module.module, status: 'skipped', detail: 'not supported by the stand-in' });
+        outputs = [{}];
+      } else {
+        state.trace.push({ id: id, module: module.module, status: 'ok', detail: outputs.length === 1 ? '' : outputs.length + ' bundles' });
+      }
+      outputs.forEach(bundle => {
+        next.push({ bundles: Object.assign({}, context.bundles, { [id]: bundle }), parent: context });
+      });
+    });
+    current = next;
+  });
+}
+
+/**
+ * Runs a blueprint for one webhook payload
+ * options.sheet         - a CSV sheet (csv-sheet.js openCsvSheet)
+ * options.sink          - folder that receives the emails (optional)
+ * options.formQuestions - { name, response, comments } question ids
+ * Returns { status: 'success' | 'error', trace, emails, error }
+ */
+function runScenario(blueprint, payload, options) {
+  const flow = blueprint.flow || [];
+  const state = {
+    options: options || {},
+    trace: [],
+    entering: {},
+    result: { status: 'success', trace: null, emails: [] }
+  };
+  state.result.trace = state.trace;
+
+  try {
+    const trigger = flow[0] ? triggerBundles(flow[0], payload || {}, state.options) : null;
+    if (trigger) {
+      const id = String(flow[0].id);
+      state.trace.push({ id: id, module: flow[0].module, status: 'ok', detail: trigger.length + ' bundle(s)' });
+      const root = { bundles: {}, parent: null };
+      state.entering[id] = [root];
+      runFlow(flow.slice(1), trigger.map(bundle => ({ bundles: { [id]: bundle }, parent: root })), state);
+    } else {
+      runFlow(flow, [{ bundles: {}, parent: null }], state);
+    }
+  } catch (error) {
+    state.result.status = 'error';
+    state.result.error = error.message;
+  }
+  return state.result;
+}
+
+/**
+ * The trace of a run as log lines
+ */
+function formatTrace(result) {
+  const marks = { ok: '✓', filtered: '↷', skipped: '⚠', error: '✗' };
+  const lines = result.trace.map(step => {
+    const label = marks[step.status] + ' ' + step.id + ' ' + step.module + (step.status === 'ok' ? '' : ' ' + step.status);
+    return label + (step.detail ? ' - ' + step.detail : '');
+  });
+  result.emails.forEach(email => {
+    lines.push('→ Email to ' + email.to.join(', ') + ': ' + email.subject + (email.file ? ' (' + email.file + ')' : ''));
+  });
+  return lines;
+}
+
+module.exports = {
+  FORM_QUESTIONS: FORM_QUESTIONS,
+  OPERATORS: OPERATORS,
+  ModuleError: ModuleError,
+  passesFilter: passesFilter,
+  formResponse: formResponse,
+  runScenario: runScenario,
+  formatTrace: formatTrace
+};
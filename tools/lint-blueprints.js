@@ -0,0 +1,293 @@
+/**
+ * Lints the exported Make.com blueprints
+ *
+ *   node tools/lint-blueprints.js                       every blueprint in the root
+ *   node tools/lint-blueprints.js email-3-fixed.json    only these files
+ *
+ * Checks every mapped value and filter of every module:
+ *   syntax            {{ }} that Make.com cannot parse (FIX-IML-ERROR-GUIDE.txt,
+ *                     FIX-SPLIT-FUNCTION-SYNTAX-ERROR.txt)
+ *   parentheses       unbalanced ( and )
+ *   backtick          1.`3` instead of 1.3 (FIX-BACKTICKS-ISSUE.txt) - warning
+ *   unknown-function  not a Make.com function (FIX-LOWERCASE-FUNCTION-ERROR.txt)
+ *   unknown-name      a bare word that is neither a keyword nor a reference
+ *   unknown-module    {{n.field}} for a module that does not exist
+ *   not-upstream      {{n.field}} for a module that does not run before this
+ *                     one (QUICK-FIX-MAKE-COM-REFERENCES.txt)
+ *   filter-column     a sheet column in a filter that google-sheets-config.json
+ *                     does not map
+ * Exits with 1 if there are errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExpoCore = require('../apps-script/expo-core');
+const iml = require('./lib/iml');
+const { columnIndex } = require('./lib/csv-sheet');
+
+const ROOT = path.join(__dirname, '..');
+const CONFIG_FILE = path.join(ROOT, 'google-sheets-config.json');
+
+const WARNINGS = ['backtick'];
+
+// ============================================================================
+// EXPRESSIONS
+// ============================================================================
+
+/**
+ * Calls fn for every node of an expression tree
+ */
+function walk(node, fn) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  fn(node);
+  (node.args || []).forEach(arg => walk(arg, fn));
+  (node.path || []).forEach(key => walk(key, fn));
+  ['left', 'right', 'operand', 'target'].forEach(key => walk(node[key], fn));
+}
+
+function shorten(text) {
+  const line = text.replace(/\s+/g, ' ');
+  return line.length > 60 ? line.slice(0, 57) + '...' : line;
+}
+
+/**
+ * Problems of one {{expression}}
+ * scope.upstream - ids of the modules that run before, scope.ids - all ids
+ */
+function lintExpression(source, scope) {
+  const problems = [];
+  const quoted = '{{' + shorten(source) + '}}';
+
+  let tokens;
+  try {
+    tokens = iml.tokenize(source);
+  } catch (error) {
+    return [{ rule: 'syntax', message: error.message }];
+  }
+
+  const opened = tokens.filter(token => token.type === 'op' && token.value === '(').length;
+  const closed = tokens.filter(token => token.type === 'op' && token.value === ')').length;
+  if (opened !== closed) {
+    return [{ rule: 'parentheses', message: 'Unbalanced parentheses in ' + quoted + ': ' + opened + ' "(" and ' + closed + ' ")"' }];
+  }
+
+  tokens.filter(token => token.quoted).forEach(token => {
+    problems.push({ rule: 'backtick', message: 'Backtick key `' + token.value + '` in ' + quoted + ' - write .' + token.value + ' without backticks' });
+  });
+
+  let tree;
+  try {
+    tree = iml.parseExpression(source);
+  } catch (error) {
+    return problems.concat([{ rule: 'syntax', message: error.message }]);
+  }
+
+  walk(tree, node => {
+    if (node.type === 'call' && iml.MAKE_FUNCTIONS.indexOf(node.name) === -1) {
+      problems.push({ rule: 'unknown-function', message: '"' + node.name + '" is not a Make.com function (' + quoted + ')' });
+    } else if (node.type === 'variable') {
+      problems.push({ rule: 'unknown-name', message: '"' + node.name + '" is not a keyword or module reference (' + quoted + ')' });
+    } else if (node.type === 'reference') {
+      problems.push.apply(problems, lintReference(node.module, quoted, scope));
+    }
+  });
+  return problems;
+}
+
+function lintReference(id, quoted, scope) {
+  if (scope.ids.indexOf(String(id)) === -1) {
+    return [{ rule: 'unknown-module', message: 'Module ' + id + ' does not exist (' + quoted + ')' }];
+  }
+  if (scope.upstream.indexOf(String(id)) === -1) {
+    return [{ rule: 'not-upstream', message: 'Module ' + id + ' does not run before module ' + scope.module + ' (' + quoted + ')' }];
+  }
+  return [];
+}
+
+/**
+ * Problems of one mapped value (text with {{ }} parts)
+ */
+function lintValue(text, scope) {
+  const parts = iml.parseTemplate(text);
+  const problems = [];
+  parts.forEach(part => {
+    if (part.type === 'expression') {
+      problems.push.apply(problems, lintExpression(part.source, scope));
+    } else if (part.value.indexOf('{{') !== -1) {
+      problems.push({ rule: 'syntax', message: 'Unclosed {{ in "' + shorten(part.value.slice(part.value.indexOf('{{'))) + '"' });
+    }
+  });
+  return problems;
+}
+
+// ============================================================================
+// MODULES
+// ============================================================================
+
+/**
+ * Calls fn(module, upstreamIds) for every module, in flow order
+ */
+function eachModule(flow, upstream, fn) {
+  let before = upstream.slice();
+  (flow || []).forEach(module => {
+    fn(module, before);
+    (module.routes || []).forEach(route => eachModule(route.flow, before.concat(String(module.id)), fn));
+    before = before.concat(String(module.id));
+  });
+}
+
+/**
+ * Calls fn(text, field) for every string inside a value
+ */
+function eachString(value, field, fn) {
+  if (typeof value === 'string') {
+    fn(value, field);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => eachString(item, field + '[' + i + ']', fn));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => eachString(value[key], field + '.' + key, fn));
+  }
+}
+
+function isSheetModule(module) {
+  return !!module && /^google-sheets:/.test(module.module);
+}
+
+/**
+ * Problems of a filter ({ conditions } or a sheet module's filter list)
+ * columnOf(condition) returns the sheet column index a condition tests, if any
+ */
+function lintConditions(conditions, field, scope, columnOf) {
+  const problems = [];
+  const groups = (conditions || []).length > 0 && !Array.isArray(conditions[0]) ? [conditions] : (conditions || []);
+
+  groups.forEach((group, i) => group.forEach((condition, j) => {
+    const at = field + '[' + i + '][' + j + ']';
+    const column = columnOf(condition);
+    if (column !== null) {
+      const letter = ExpoCore.getColumnLetter(column + 1);
+      if (!scope.columns[letter]) {
+        problems.push({ field: at + '.a', rule: 'filter-column', message: 'Column ' + letter + ' is not in the columnMappings of google-sheets-config.json' });
+      }
+    }
+    ['a', 'b'].forEach(side => {
+      if (typeof condition[side] === 'string' && !(side === 'a' && scope.sheetFilter)) {
+        lintValue(condition[side], scope).forEach(problem => problems.push(Object.assign({ field: at + '.' + side }, problem)));
+      }
+    });
+  }));
+  return problems;
+}
+
+/**
+ * The sheet column a route/module filter condition tests: {{1.3}} where
+ * module 1 is a Google Sheets module
+ */
+function referencedColumn(condition, modules) {
+  const match = /^\{\{\s*(\d+)\.`?(\d+)`?\s*\}\}$/.exec(condition.a || '');
+  return match && isSheetModule(modules[match[1]]) ? Number(match[2]) : null;
+}
+
+/**
+ * Lints one blueprint
+ * Returns [{ module, field, rule, severity, message }]
+ */
+function lintBlueprint(blueprint, sheetsConfig) {
+  const columns = (sheetsConfig && sheetsConfig.columnMappings) || {};
+  const modules = {};
+  eachModule(blueprint.flow, [], module => {
+    modules[String(module.id)] = module;
+  });
+  const ids = Object.keys(modules);
+  const problems = [];
+
+  eachModule(blueprint.flow, [], (module, upstream) => {
+    const scope = { module: String(module.id), upstream: upstream, ids: ids, columns: columns };
+    const report = list => list.forEach(problem => problems.push(Object.assign({ module: scope.module }, problem)));
+    const mapper = module.mapper || {};
+
+    if (module.filter) {
+      report(lintConditions(module.filter.conditions, 'filter', scope, condition => referencedColumn(condition, modules)));
+    }
+    (module.routes || []).forEach((route, i) => {
+      if (route.filter) {
+        const routeScope = Object.assign({}, scope, { upstream: upstream.concat(scope.module) });
+        report(lintConditions(route.filter.conditions, 'routes[' + i + '].filter', routeScope, condition => referencedColumn(condition, modules)));
+      }
+    });
+
+    Object.keys(mapper).forEach(key => {
+      const value = mapper[key];
+      if (isSheetModule(module) && (key === 'filters' || key === 'filter')) {
+        const sheetScope = Object.assign({}, scope, { sheetFilter: true });
+        report(lintConditions(value, 'mapper.' + key, sheetScope, condition => {
+          try {
+            return columnIndex(condition.a);
+          } catch (error) {
+            return null;
+          }
+        }));
+      } else if (module.module === 'builtin:ArrayAggregator' && key === 'array' && /^\{\{\s*\d+\s*\}\}$/.test(value)) {
+        report(lintReference(value.replace(/[{}\s]/g, ''), value, scope).map(problem => Object.assign({ field: 'mapper.array' }, problem)));
+      } else {
+        eachString(value, 'mapper.' + key, (text, field) => {
+          report(lintValue(text, scope).map(problem => Object.assign({ field: field }, problem)));
+        });
+      }
+    });
+  });
+
+  return problems.map(problem => Object.assign(problem, { severity: WARNINGS.indexOf(problem.rule) === -1 ? 'error' : 'warning' }));
+}
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+/**
+ * The blueprint files in the repository root (JSON files with a flow)
+ */
+function findBlueprints(root) {
+  return fs.readdirSync(root)
+    .filter(file => /\.json$/.test(file))
+    .filter(file => {
+      try {
+        return Array.isArray(JSON.parse(fs.readFileSync(path.join(root, file), 'utf8')).flow);
+      } catch (error) {
+        return false;
+      }
+    })
+    .sort()
+    .map(file => path.join(root, file));
+}
+
+function main(args) {
+  const files = args.length > 0 ? args.map(file => path.resolve(file)) : findBlueprints(ROOT);
+  const sheetsConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  let errors = 0;
+  let warnings = 0;
+
+  files.forEach(file => {
+    const problems = lintBlueprint(JSON.parse(fs.readFileSync(file, 'utf8')), sheetsConfig);
+    console.log((problems.some(problem => problem.severity === 'error') ? '✗ ' : '✓ ') + path.basename(file));
+    problems.forEach(problem => {
+      console.log('  ' + (problem.severity === 'error' ? '✗' : '⚠') + ' module ' + problem.module + ' ' + problem.field + ': ' + problem.message + ' [' + problem.rule + ']');
+      if (problem.severity === 'error') {
+        errors++;
+      } else {
+        warnings++;
+      }
+    });
+  });
+
+  console.log((errors > 0 ? '✗ ' : '✓ ') + errors + ' error(s), ' + warnings + ' warning(s) in ' + files.length + ' blueprint(s)');
+  return errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { lintExpression: lintExpression, lintBlueprint: lintBlueprint, findBlueprints: findBlueprints, main: main };
@@ -0,0 +1,188 @@
+/**
+ * Local Make.com stand-in: receives our webhook payloads and replays the
+ * scenario blueprints offline
+ *
+ *   node tools/make-standin.js                      listen on http://127.0.0.1:8787
+ *   node tools/make-standin.js --port 9000 --secret <WEBHOOK_SECRET>
+ *   node tools/make-standin.js --run email-1-fixed-complete --payload lead.json
+ *
+ * POST /<blueprint> runs <blueprint>.json from the repository root with the
+ * request body as the trigger data, e.g. point webhookUrl at
+ * http://127.0.0.1:8787/email-1-fixed-complete. Google Sheets modules work on
+ * a CSV file (--sheet, default .make-standin/leads.csv, created with the
+ * leads headers); emails are written to a folder (--sink, default
+ * .make-standin/emails). See MAKE-STANDIN-GUIDE.txt.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ExpoSigning = require('../apps-script/signing');
+const sheetsConfig = require('../google-sheets-config.json');
+const { openCsvSheet } = require('./lib/csv-sheet');
+const { runScenario, formatTrace } = require('./lib/scenario');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULTS = {
+  port: 8787,
+  // Loopback only: the stand-in writes files and has no access control of
+  // its own. Pass --host 0.0.0.0 to reach it from other machines.
+  host: '127.0.0.1',
+  root: ROOT,
+  sheet: path.join(ROOT, '.make-standin', 'leads.csv'),
+  sink: path.join(ROOT, '.make-standin', 'emails'),
+  secret: ''
+};
+
+// Headers of a new sheet: the columns of google-sheets-config.json
+const LEADS_HEADERS = Object.keys(sheetsConfig.columnMappings)
+  .sort()
+  .map(letter => sheetsConfig.columnMappings[letter]);
+
+/**
+ * Loads a blueprint by name from the root folder, or returns null
+ */
+function loadBlueprint(root, name) {
+  if (!/^[\w.-]+$/.test(name)) {
+    return null;
+  }
+  const file = path.join(root, name.replace(/\.json$/, '') + '.json');
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const blueprint = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(blueprint.flow) ? blueprint : null;
+}
+
+/**
+ * Runs one blueprint for one payload and logs the trace
+ */
+function replay(name, payload, options, log) {
+  const blueprint = loadBlueprint(options.root, name);
+  if (!blueprint) {
+    return null;
+  }
+  const result = runScenario(blueprint, payload, {
+    sheet: openCsvSheet(options.sheet, LEADS_HEADERS),
+    sink: options.sink
+  });
+
+  log('→ ' + name + ' (' + (blueprint.name || 'unnamed scenario') + ')');
+  formatTrace(result).forEach(line => log('  ' + line));
+  log(result.status === 'success' ? '✓ Run complete' : '✗ Run stopped: ' + result.error);
+  return result;
+}
+
+/**
+ * The HTTP server
+ * Replies like a Make.com webhook: 200 "Accepted" once the payload is taken,
+ * 404 for unknown scenarios, 500 if the stand-in itself fails (a broken
+ * blueprint, an unreadable sheet). X-Standin-Status tells whether the run
+ * succeeded.
+ */
+function createServer(overrides, log) {
+  const options = Object.assign({}, DEFAULTS, overrides || {});
+  const write = log || console.log;
+
+  return http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const reply = (code, text, headers) => {
+        response.writeHead(code, Object.assign({ 'Content-Type': 'text/plain; charset=utf-8' }, headers || {}));
+        response.end(text);
+      };
+
+      try {
+        handle(request, Buffer.concat(chunks).toString('utf8'), reply);
+      } catch (error) {
+        write('✗ ' + request.method + ' ' + request.url + ' failed: ' + error.message);
+        if (!response.headersSent) {
+          reply(500, 'Stand-in error: ' + error.message);
+        }
+      }
+    });
+  });
+
+  /**
+   * Handles one request once its body has arrived
+   */
+  function handle(request, body, reply) {
+    const name = decodeURIComponent(request.url.split('?')[0]).replace(/^\/+|\/+$/g, '');
+    if (request.method !== 'POST') {
+      return reply(405, 'Use POST /<blueprint>');
+    }
+    if (!loadBlueprint(options.root, name)) {
+      return reply(404, 'There is no scenario listening for this webhook.');
+    }
+
+    if (options.secret) {
+      const check = ExpoSigning.verifyRequest(body, request.headers, options.secret);
+      if (!check.valid) {
+        write('✗ Rejected ' + name + ': ' + check.reason);
+        return reply(401, check.reason);
+      }
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body || '{}');
+    } catch (error) {
+      return reply(400, 'Body is not JSON: ' + error.message);
+    }
+
+    const result = replay(name, payload, options, write);
+    reply(200, 'Accepted', { 'X-Standin-Status': result.status });
+  }
+}
+
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const key = args[i].replace(/^--/, '');
+    if (['port', 'host', 'sheet', 'sink', 'secret', 'run', 'payload', 'root'].indexOf(key) === -1 || i + 1 >= args.length) {
+      throw new Error('Unknown or incomplete option ' + args[i]);
+    }
+    options[key] = key === 'port' ? Number(args[++i]) : args[++i];
+  }
+  ['sheet', 'sink', 'root'].forEach(key => {
+    if (options[key]) {
+      options[key] = path.resolve(options[key]);
+    }
+  });
+  return Object.assign({}, DEFAULTS, options);
+}
+
+function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error('✗ ' + error.message);
+    return 1;
+  }
+
+  if (options.run) {
+    const payload = options.payload ? JSON.parse(fs.readFileSync(options.payload, 'utf8')) : {};
+    const result = replay(options.run, payload, options, console.log);
+    if (!result) {
+      console.error('✗ No blueprint named ' + options.run);
+      return 1;
+    }
+    return result.status === 'success' ? 0 : 1;
+  }
+
+  createServer(options).listen(options.port, options.host, () => {
+    console.log('✓ Make.com stand-in listening on http://' + options.host + ':' + options.port + '/<blueprint>');
+    console.log('  Sheet: ' + options.sheet);
+    console.log('  Emails: ' + options.sink);
+    console.log('  Signatures: ' + (options.secret ? 'required' : 'not checked'));
+  });
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { LEADS_HEADERS: LEADS_HEADERS, createServer: createServer, replay: replay, main: main };